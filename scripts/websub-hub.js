@@ -0,0 +1,217 @@
+/**
+ * Stand-in WebSub Hub
+ *
+ * A minimal WebSub hub for trying out push subscriptions locally, without a
+ * public callback address. It also publishes a feed of its own that
+ * advertises the hub, so the desktop app has something to subscribe to:
+ *
+ *   npm run websub:hub
+ *   # Add http://127.0.0.1:9799/feed.xml as a feed in the desktop app
+ *   curl -X POST http://127.0.0.1:9799/publish
+ *
+ * Endpoints:
+ * - GET  /feed.xml      The hub's own Atom feed, with rel="hub" and rel="self" links
+ * - POST /              Subscription requests (hub.mode, hub.topic, hub.callback, hub.secret,
+ *                       hub.lease_seconds); intent is verified with a challenge before they apply
+ * - POST /publish       Adds an entry to the hub's feed and pushes it to its subscribers.
+ *                       With ?topic=<url>, pushes the request body to that topic's subscribers
+ *                       instead. With ?signature=bad, signs with the wrong secret, which
+ *                       subscribers must ignore.
+ * - GET  /subscriptions Lists the verified subscriptions
+ *
+ * The port is taken from WEBSUB_HUB_PORT (default 9799).
+ */
+
+import http from 'http';
+import fetch from 'node-fetch';
+import { createHmac, randomBytes } from 'crypto';
+
+const PORT = parseInt(process.env.WEBSUB_HUB_PORT, 10) || 9799;
+const HUB_URL = `http://127.0.0.1:${PORT}/`;
+const FEED_URL = `http://127.0.0.1:${PORT}/feed.xml`;
+
+// Verified subscriptions by callback URL: { topic, callback, secret, expires }
+const subscriptions = new Map();
+// Entries of the hub's own feed, newest first
+const entries = [];
+
+/**
+ * Escapes text for XML.
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Renders the hub's own feed.
+ * @returns {string} The Atom document
+ */
+function renderFeed() {
+    const updated = entries[0]?.updated || new Date().toISOString();
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>WebSub Test Feed</title>
+  <id>${FEED_URL}</id>
+  <updated>${updated}</updated>
+  <link rel="hub" href="${HUB_URL}"/>
+  <link rel="self" href="${FEED_URL}"/>
+${entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <updated>${entry.updated}</updated>
+    <content type="html">${escapeXml(entry.content)}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Reads a request body.
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<Buffer>} The body
+ */
+async function readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Verifies a subscriber's intent, then applies the request.
+ * @param {URLSearchParams} params - The subscription request
+ */
+async function verifyIntent(params) {
+    const mode = params.get('hub.mode');
+    const topic = params.get('hub.topic');
+    const callback = params.get('hub.callback');
+    const leaseSeconds = parseInt(params.get('hub.lease_seconds'), 10) || 24 * 60 * 60;
+    const challenge = randomBytes(16).toString('hex');
+
+    const url = new URL(callback);
+    url.searchParams.set('hub.mode', mode);
+    url.searchParams.set('hub.topic', topic);
+    url.searchParams.set('hub.challenge', challenge);
+    if (mode === 'subscribe') {
+        url.searchParams.set('hub.lease_seconds', String(leaseSeconds));
+    }
+
+    try {
+        const response = await fetch(url);
+        const body = await response.text();
+        if (!response.ok || body !== challenge) {
+            console.log(`Intent not verified for ${mode} of ${topic} by ${callback} (${response.status})`);
+            return;
+        }
+    } catch (error) {
+        console.log(`Intent not verified for ${mode} of ${topic} by ${callback}: ${error.message}`);
+        return;
+    }
+
+    if (mode === 'subscribe') {
+        subscriptions.set(callback, {
+            topic,
+            callback,
+            secret: params.get('hub.secret') || '',
+            expires: Date.now() + leaseSeconds * 1000
+        });
+    } else {
+        subscriptions.delete(callback);
+    }
+    console.log(`Verified ${mode} of ${topic} by ${callback}`);
+}
+
+/**
+ * Pushes content to the subscribers of a topic.
+ * @param {string} topic - The topic URL
+ * @param {Buffer} body - The content
+ * @param {string} contentType - Its content type
+ * @param {boolean} badSignature - Whether to sign with the wrong secret
+ * @returns {Promise<number>} The number of subscribers the content was delivered to
+ */
+async function distribute(topic, body, contentType, badSignature) {
+    let delivered = 0;
+    for (const subscription of subscriptions.values()) {
+        if (subscription.topic !== topic || subscription.expires < Date.now()) continue;
+
+        const headers = {
+            'Content-Type': contentType,
+            Link: `<${HUB_URL}>; rel="hub", <${topic}>; rel="self"`
+        };
+        if (subscription.secret) {
+            const secret = badSignature ? `${subscription.secret}-wrong` : subscription.secret;
+            headers['X-Hub-Signature'] = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+        }
+
+        try {
+            const response = await fetch(subscription.callback, { method: 'POST', headers, body });
+            console.log(`Delivered ${topic} to ${subscription.callback} (${response.status})`);
+            if (response.ok) delivered++;
+        } catch (error) {
+            console.log(`Failed to deliver ${topic} to ${subscription.callback}: ${error.message}`);
+        }
+    }
+    return delivered;
+}
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, HUB_URL);
+
+    try {
+        if (request.method === 'GET' && url.pathname === '/feed.xml') {
+            response.writeHead(200, { 'Content-Type': 'application/atom+xml; charset=utf-8' });
+            response.end(renderFeed());
+        } else if (request.method === 'GET' && url.pathname === '/subscriptions') {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(Array.from(subscriptions.values(), ({ secret, ...rest }) => rest), null, 2));
+        } else if (request.method === 'POST' && url.pathname === '/') {
+            const params = new URLSearchParams((await readBody(request)).toString());
+            const mode = params.get('hub.mode');
+            if (!['subscribe', 'unsubscribe'].includes(mode) || !params.get('hub.topic') || !params.get('hub.callback')) {
+                response.writeHead(400, { 'Content-Type': 'text/plain' });
+                response.end('hub.mode, hub.topic and hub.callback are required');
+                return;
+            }
+            response.writeHead(202);
+            response.end();
+            // Verification happens after the request is accepted, as the spec allows
+            setTimeout(() => verifyIntent(params), 0);
+        } else if (request.method === 'POST' && url.pathname === '/publish') {
+            const badSignature = url.searchParams.get('signature') === 'bad';
+            let topic = url.searchParams.get('topic');
+            let body = await readBody(request);
+            let contentType = request.headers['content-type'] || 'application/octet-stream';
+
+            if (!topic) {
+                const now = new Date().toISOString();
+                entries.unshift({
+                    id: `${FEED_URL}#${entries.length + 1}`,
+                    title: `Test entry ${entries.length + 1}`,
+                    updated: now,
+                    content: `<p>Published by the stand-in hub at ${now}.</p>`
+                });
+                topic = FEED_URL;
+                body = Buffer.from(renderFeed());
+                contentType = 'application/atom+xml; charset=utf-8';
+            }
+
+            const delivered = await distribute(topic, body, contentType, badSignature);
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ topic, delivered }));
+        } else {
+            response.writeHead(404);
+            response.end();
+        }
+    } catch (error) {
+        console.error('Request failed:', error);
+        response.writeHead(500);
+        response.end();
+    }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Stand-in WebSub hub at ${HUB_URL}, publishing ${FEED_URL}`);
+});
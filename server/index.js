@@ -0,0 +1,33 @@
+/**
+ * KupuKupu Feed Proxy Server
+ *
+ * Run with `npm start` in this directory (Node 18 or later, no dependencies).
+ * Settings come from environment variables, see lib/config.js; with Node 20
+ * they can be kept in a file: `node --env-file=.env index.js`.
+ */
+
+import { loadConfig } from './lib/config.js';
+import { createApp } from './lib/app.js';
+
+// How often idle rate limit buckets are forgotten
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+const config = loadConfig();
+const { server, limiter } = createApp(config);
+
+setInterval(() => limiter.prune(), PRUNE_INTERVAL).unref();
+
+server.listen(config.port, config.host, () => {
+    console.log(`KupuKupu server listening on http://${config.host}:${config.port}`);
+    if (config.allowPrivateNetworks) {
+        console.warn('ALLOW_PRIVATE_NETWORKS is set: feeds on private networks can be fetched');
+    }
+});
+
+// Finish requests in progress before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`Received ${signal}, shutting down`);
+        server.close(() => process.exit(0));
+    });
+}
@@ -0,0 +1,150 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Address Guard
+ *
+ * Keeps the proxy from being used to reach the network it runs in (SSRF).
+ * Host names are resolved by the guard itself and every address is checked
+ * before a connection is made, so a name that resolves to a private address,
+ * or is re-pointed between check and connect, is refused too.
+ */
+
+// IPv4 ranges that are not reachable on the public internet: [network, prefix length]
+const BLOCKED_IPV4 = [
+    ['0.0.0.0', 8],         // "This" network
+    ['10.0.0.0', 8],        // Private
+    ['100.64.0.0', 10],     // Carrier-grade NAT
+    ['127.0.0.0', 8],       // Loopback
+    ['169.254.0.0', 16],    // Link-local, including cloud metadata services
+    ['172.16.0.0', 12],     // Private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.0.2.0', 24],      // Documentation
+    ['192.88.99.0', 24],    // 6to4 relay
+    ['192.168.0.0', 16],    // Private
+    ['198.18.0.0', 15],     // Benchmarking
+    ['198.51.100.0', 24],   // Documentation
+    ['203.0.113.0', 24],    // Documentation
+    ['224.0.0.0', 4],       // Multicast
+    ['240.0.0.0', 4]        // Reserved, including broadcast
+];
+
+/**
+ * Converts an IPv4 address to a number.
+ * @param {string} address - The dotted address
+ * @returns {number} The address as an unsigned 32-bit number
+ */
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Checks an IPv4 address against the blocked ranges.
+ * @param {string} address - The dotted address
+ * @returns {boolean} True if the address is blocked
+ */
+function isBlockedIpv4(address) {
+    const value = ipv4ToNumber(address);
+    return BLOCKED_IPV4.some(([network, prefix]) => {
+        const size = 2 ** (32 - prefix);
+        const start = ipv4ToNumber(network);
+        return value >= start && value < start + size;
+    });
+}
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups.
+ * @param {string} address - The IPv6 address
+ * @returns {Array<number>} The groups
+ */
+function ipv6Groups(address) {
+    let text = address.split('%')[0].toLowerCase();
+
+    // An embedded IPv4 address becomes the last two groups
+    const ipv4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4) {
+        const value = ipv4ToNumber(ipv4[1]);
+        text = text.slice(0, -ipv4[1].length) + `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups];
+    return groups.map(group => parseInt(group, 16) || 0);
+}
+
+/**
+ * Checks whether an address is private, loopback, link-local or otherwise
+ * not a public internet address.
+ *
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} True if the proxy must not connect to it
+ *
+ * @example
+ * isBlockedAddress('10.1.2.3');        // true
+ * isBlockedAddress('::ffff:127.0.0.1'); // true
+ * isBlockedAddress('93.184.216.34');   // false
+ */
+export function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        return isBlockedIpv4(address);
+    }
+    if (family !== 6) {
+        return true;
+    }
+
+    const groups = ipv6Groups(address);
+    const [first] = groups;
+
+    // Unspecified (::) and loopback (::1)
+    if (groups.slice(0, 7).every(group => group === 0) && groups[7] <= 1) return true;
+    // IPv4-mapped (::ffff:0:0/96) and IPv4-compatible addresses are judged by their IPv4 part
+    if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0)) {
+        return isBlockedIpv4(`${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`);
+    }
+    // NAT64 (64:ff9b::/96) embeds an IPv4 address too
+    if (first === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return isBlockedIpv4(`${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`);
+    }
+    return (first & 0xfe00) === 0xfc00    // Unique local (fc00::/7)
+        || (first & 0xffc0) === 0xfe80    // Link-local (fe80::/10)
+        || (first & 0xffc0) === 0xfec0    // Site-local (fec0::/10)
+        || (first & 0xff00) === 0xff00    // Multicast (ff00::/8)
+        || first === 0x2001 && groups[1] === 0x0db8; // Documentation (2001:db8::/32)
+}
+
+/**
+ * Creates a DNS lookup function for http.request that refuses blocked
+ * addresses. Connections then go to exactly the address that was checked.
+ *
+ * @param {Object} options - Guard options
+ * @param {boolean} [options.allowPrivate=false] - Allow private addresses, e.g. for local development
+ * @returns {Function} A lookup function with the signature of dns.lookup
+ */
+export function createGuardedLookup({ allowPrivate = false } = {}) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            const blocked = !allowPrivate && addresses.find(({ address }) => isBlockedAddress(address));
+            if (blocked || addresses.length === 0) {
+                const refusal = new Error(`Refusing to connect to ${hostname}: not a public address`);
+                refusal.code = 'EBLOCKED';
+                callback(refusal);
+                return;
+            }
+
+            if (options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        });
+    };
+}
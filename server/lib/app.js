@@ -0,0 +1,322 @@
+import http from 'http';
+import { discoverFeeds } from '../../src/utils/feed-discovery.js';
+import { decodeBody } from '../../src/utils/encoding.js';
+import { fetchUpstream, filterRequestHeaders, UpstreamError } from './upstream.js';
+import { ResponseCache } from './response-cache.js';
+import { RateLimiter } from './rate-limiter.js';
+
+// Request header carrying a feed's authentication headers, as JSON (see src/assets/js/fetch-transport.js)
+const AUTH_HEADER = 'x-feed-headers';
+// Identifies the proxy to publishers
+const USER_AGENT = 'KupuKupu/1.0 (feed reader proxy)';
+// Content types asked for when fetching feeds and pages
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, text/html;q=0.8, */*;q=0.5';
+
+/**
+ * Feed Proxy Server
+ *
+ * The server the web build talks to (`getServerUrl()`), since publishers
+ * rarely allow cross-origin requests. It implements the same contract as the
+ * desktop app's IPC handlers (src/ipc/handlers/feeds.js): JSON responses of
+ * `{ success, data, error }`, plus the fields each endpoint documents.
+ *
+ * Endpoints:
+ * - GET /api/feed/fetch?url=&etag=&lastModified=  Fetches a feed, conditionally
+ * - GET /api/feed/validate?url=                   Finds the feeds offered at a feed or website URL
+ * - GET /api/image/fetch?url=                     Fetches an image; responds with the image itself
+ * - GET /api/health                               Reports that the server is up
+ *
+ * Upstream requests are cached, rate limited per host, size limited and
+ * refused for private network addresses (see upstream.js).
+ *
+ * @param {Object} config - The configuration from loadConfig
+ * @returns {{server: http.Server, limiter: RateLimiter}} The server, not yet listening, and its rate limiter
+ */
+export function createApp(config) {
+    const cache = new ResponseCache({ maxBytes: config.cacheMaxBytes });
+    const limiter = new RateLimiter({ requests: config.rateLimitRequests, interval: config.rateLimitInterval });
+    const startedAt = Date.now();
+
+    /**
+     * Fetches from upstream, once the host's rate limit allows.
+     * @param {URL} url - The URL
+     * @param {Object} options - Options for fetchUpstream
+     * @returns {Promise<Object>} The upstream response
+     * @throws {UpstreamError} If the host is over its rate limit, or the fetch fails
+     */
+    async function fetchLimited(url, options) {
+        const wait = limiter.take(url.hostname);
+        if (wait > 0) {
+            throw new UpstreamError(`Too many requests to ${url.hostname}`, {
+                status: 429,
+                retryAfter: Math.ceil(wait / 1000)
+            });
+        }
+        return fetchUpstream(url.href, {
+            ...options,
+            timeout: config.requestTimeout,
+            allowPrivate: config.allowPrivateNetworks
+        });
+    }
+
+    /**
+     * Returns how long a response may be cached, honouring Cache-Control.
+     * @param {Object} headers - The response headers
+     * @param {number} ttl - The configured time to live in milliseconds
+     * @returns {number} Milliseconds to cache for, 0 for not at all
+     */
+    function cacheTtl(headers, ttl) {
+        const control = (headers['cache-control'] || '').toLowerCase();
+        if (/\b(no-store|private)\b/.test(control)) return 0;
+        return ttl;
+    }
+
+    /**
+     * Fetches a feed or page, from the cache when possible.
+     * Responses fetched with credentials are private and never cached.
+     * @param {URL} url - The URL
+     * @param {Object} [options] - Fetch options
+     * @param {string} [options.etag] - The ETag the client has
+     * @param {string} [options.lastModified] - The Last-Modified value the client has
+     * @param {Object} [options.credentials] - Authentication headers
+     * @returns {Promise<Object>} { status, data, contentType, etag, lastModified, url, redirects }; status
+     *     is 304 with no data if the client's copy is current. Redirects are { from, to, status }
+     * @throws {UpstreamError} If the fetch fails or the publisher responds with an error
+     */
+    async function getFeed(url, { etag = '', lastModified = '', credentials = {} } = {}) {
+        const shared = Object.keys(credentials).length === 0;
+        const key = `feed:${url.href}`;
+
+        const cached = shared && cache.get(key);
+        if (cached) {
+            const current = (etag && etag === cached.etag) || (lastModified && lastModified === cached.lastModified);
+            return current ? { ...cached, status: 304, data: '' } : cached;
+        }
+
+        const headers = { 'User-Agent': USER_AGENT, Accept: FEED_ACCEPT };
+        if (etag) headers['If-None-Match'] = etag;
+        if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+        const response = await fetchLimited(url, { headers, credentials, maxBytes: config.maxFeedBytes });
+        const result = {
+            status: response.status,
+            data: '',
+            contentType: response.headers['content-type'] || '',
+            etag: response.headers.etag || etag,
+            lastModified: response.headers['last-modified'] || lastModified,
+            url: response.url,
+            redirects: response.redirects
+        };
+
+        if (response.status === 304) {
+            return result;
+        }
+        if (response.status < 200 || response.status >= 300) {
+            throw new UpstreamError(`HTTP error! status: ${response.status}`, {
+                status: response.status,
+                retryAfter: response.retryAfter
+            });
+        }
+
+        result.data = decodeBody(response.body, result.contentType);
+        if (shared) {
+            cache.set(key, result, cacheTtl(response.headers, config.feedCacheTtl), response.body.length);
+        }
+        return result;
+    }
+
+    /**
+     * Fetches an image, from the cache when possible.
+     * @param {URL} url - The image URL
+     * @returns {Promise<{type: string, body: Buffer}>} The image
+     * @throws {UpstreamError} If the fetch fails or the response is not an image
+     */
+    async function getImage(url) {
+        const key = `image:${url.href}`;
+        const cached = cache.get(key);
+        if (cached) return cached;
+
+        const response = await fetchLimited(url, {
+            headers: { 'User-Agent': USER_AGENT, Accept: 'image/*' },
+            maxBytes: config.maxImageBytes
+        });
+        if (response.status < 200 || response.status >= 300) {
+            throw new UpstreamError(`HTTP error! status: ${response.status}`, { status: response.status });
+        }
+
+        const type = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!type.startsWith('image/')) {
+            throw new UpstreamError(`Not an image: ${type || 'unknown type'}`, { status: 415 });
+        }
+
+        const image = { type, body: response.body };
+        cache.set(key, image, cacheTtl(response.headers, config.imageCacheTtl), response.body.length);
+        return image;
+    }
+
+    /**
+     * Reads and checks the url query parameter.
+     * @param {URLSearchParams} params - The query parameters
+     * @returns {URL} The URL
+     * @throws {UpstreamError} If it is missing or not an http(s) URL
+     */
+    function readTargetUrl(params) {
+        try {
+            const url = new URL(params.get('url'));
+            if (url.protocol === 'http:' || url.protocol === 'https:') {
+                return url;
+            }
+        } catch (error) {
+            // Reported below
+        }
+        throw new UpstreamError('A valid http or https url parameter is required', { status: 400 });
+    }
+
+    /**
+     * Reads the authentication headers a client sent for the upstream request.
+     * @param {http.IncomingMessage} request - The request
+     * @returns {Object} Header names and values
+     * @throws {UpstreamError} If the header is not a JSON object
+     */
+    function readCredentials(request) {
+        const value = request.headers[AUTH_HEADER];
+        if (!value) return {};
+        try {
+            const parsed = JSON.parse(value);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                return filterRequestHeaders(parsed);
+            }
+        } catch (error) {
+            // Reported below
+        }
+        throw new UpstreamError(`Invalid ${AUTH_HEADER} header`, { status: 400 });
+    }
+
+    // Route handlers by path; each returns the JSON payload, or writes the response itself
+    const routes = {
+        '/api/health': () => ({
+            success: true,
+            data: {
+                status: 'ok',
+                uptime: Math.round((Date.now() - startedAt) / 1000),
+                cache: cache.stats()
+            }
+        }),
+
+        '/api/feed/fetch': async (params, request) => {
+            const result = await getFeed(readTargetUrl(params), {
+                etag: params.get('etag') || '',
+                lastModified: params.get('lastModified') || '',
+                credentials: readCredentials(request)
+            });
+            return { success: true, ...result };
+        },
+
+        '/api/feed/validate': async params => {
+            const url = readTargetUrl(params);
+            const candidates = await discoverFeeds(url.href, async pageUrl => {
+                const page = await getFeed(new URL(pageUrl));
+                return { body: page.data, contentType: page.contentType };
+            });
+            return { success: true, data: candidates };
+        },
+
+        '/api/image/fetch': async (params, request, response) => {
+            const image = await getImage(readTargetUrl(params));
+            response.writeHead(200, {
+                'Content-Type': image.type,
+                'Content-Length': image.body.length,
+                'Cache-Control': 'public, max-age=86400',
+                'X-Content-Type-Options': 'nosniff',
+                // Images are displayed, never run; SVG scripts stay inert
+                'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+            });
+            response.end(image.body);
+        }
+    };
+
+    /**
+     * Adds the CORS headers for a request's origin.
+     * @param {http.IncomingMessage} request - The request
+     * @param {http.ServerResponse} response - The response
+     */
+    function applyCors(request, response) {
+        const origin = request.headers.origin;
+        if (config.allowedOrigins.includes('*')) {
+            response.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (origin && config.allowedOrigins.includes(origin)) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+        }
+        response.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'X-Feed-Headers');
+        response.setHeader('Access-Control-Max-Age', '86400');
+    }
+
+    /**
+     * Sends a JSON payload.
+     * @param {http.ServerResponse} response - The response
+     * @param {number} status - The HTTP status
+     * @param {Object} payload - The payload
+     */
+    function sendJson(response, status, payload) {
+        const body = JSON.stringify(payload);
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-store'
+        });
+        response.end(body);
+    }
+
+    const server = http.createServer(async (request, response) => {
+        const started = Date.now();
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+        applyCors(request, response);
+
+        // Logged without the query or headers, which may identify private feeds or carry credentials
+        response.on('finish', () => {
+            console.log(`${request.method} ${pathname} ${response.statusCode} ${Date.now() - started}ms`);
+        });
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        const route = routes[pathname];
+        if (!route) {
+            sendJson(response, 404, { success: false, error: 'Not found' });
+            return;
+        }
+        if (request.method !== 'GET') {
+            response.setHeader('Allow', 'GET, OPTIONS');
+            sendJson(response, 405, { success: false, error: 'Method not allowed' });
+            return;
+        }
+
+        try {
+            const payload = await route(searchParams, request, response);
+            if (payload) {
+                sendJson(response, 200, payload);
+            }
+        } catch (error) {
+            if (!(error instanceof UpstreamError)) {
+                console.error(`Unexpected error in ${pathname}:`, error);
+            }
+            const status = error.status >= 400 && error.status < 600 ? error.status : 502;
+            if (status === 429 || status === 503) {
+                response.setHeader('Retry-After', String(error.retryAfter || 60));
+            }
+            sendJson(response, status, {
+                success: false,
+                error: error instanceof UpstreamError ? error.message : 'Internal server error',
+                status: error.status || 0,
+                retryAfter: error.retryAfter || 0
+            });
+        }
+    });
+
+    return { server, limiter };
+}
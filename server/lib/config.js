@@ -0,0 +1,46 @@
+/**
+ * Server Configuration
+ *
+ * Every setting can be changed with an environment variable; the defaults
+ * suit a single server behind nginx on the same machine.
+ */
+
+/**
+ * Reads a number from the environment.
+ * @param {string} name - The variable name
+ * @param {number} fallback - The default value
+ * @returns {number} The value
+ */
+function readNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+}
+
+/**
+ * Loads the server configuration from the environment.
+ *
+ * @returns {Object} The configuration
+ */
+export function loadConfig() {
+    return {
+        // Address and port to listen on; keep the host local when nginx is in front
+        host: process.env.HOST || '127.0.0.1',
+        port: readNumber('PORT', 9797),
+        // Origins allowed to call the API, comma separated, or * for any
+        allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+        // Allow fetching from private networks, e.g. for feeds on a development machine
+        allowPrivateNetworks: process.env.ALLOW_PRIVATE_NETWORKS === 'true',
+        // Largest feed and image bodies accepted from publishers (after decompression)
+        maxFeedBytes: readNumber('MAX_FEED_BYTES', 10 * 1024 * 1024),
+        maxImageBytes: readNumber('MAX_IMAGE_BYTES', 10 * 1024 * 1024),
+        // Socket idle timeout for upstream requests
+        requestTimeout: readNumber('REQUEST_TIMEOUT_MS', 15 * 1000),
+        // How long responses are cached, and the cache's memory budget
+        feedCacheTtl: readNumber('FEED_CACHE_TTL_SECONDS', 5 * 60) * 1000,
+        imageCacheTtl: readNumber('IMAGE_CACHE_TTL_SECONDS', 60 * 60) * 1000,
+        cacheMaxBytes: readNumber('CACHE_MAX_BYTES', 64 * 1024 * 1024),
+        // Requests per upstream host per interval
+        rateLimitRequests: readNumber('RATE_LIMIT_REQUESTS', 30),
+        rateLimitInterval: readNumber('RATE_LIMIT_INTERVAL_SECONDS', 60) * 1000
+    };
+}
@@ -0,0 +1,59 @@
+/**
+ * Rate Limiter
+ *
+ * Limits how often the proxy requests any one upstream host, so it cannot be
+ * used to flood a publisher and stays within what publishers tolerate. Each
+ * host gets a token bucket that refills continuously.
+ *
+ * @example
+ * const limiter = new RateLimiter({ requests: 30, interval: 60 * 1000 });
+ * const wait = limiter.take('example.com');
+ * if (wait > 0) {
+ *     // Refuse, asking the client to retry after `wait` milliseconds
+ * }
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} options - Limiter options
+     * @param {number} options.requests - Requests allowed per interval, and the burst size
+     * @param {number} options.interval - The interval in milliseconds
+     */
+    constructor({ requests, interval }) {
+        this.capacity = requests;
+        this.refillRate = requests / interval;
+        // Buckets by host: { tokens, updated }
+        this.buckets = new Map();
+    }
+
+    /**
+     * Takes a token for a request to a host.
+     *
+     * @param {string} host - The upstream host name
+     * @returns {number} 0 if the request may go ahead, otherwise milliseconds until it may
+     */
+    take(host) {
+        const now = Date.now();
+        const bucket = this.buckets.get(host) || { tokens: this.capacity, updated: now };
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updated) * this.refillRate);
+        bucket.updated = now;
+        this.buckets.set(host, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) / this.refillRate);
+    }
+
+    /**
+     * Forgets hosts whose buckets are full again, so idle hosts use no memory.
+     */
+    prune() {
+        const now = Date.now();
+        for (const [host, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updated) * this.refillRate >= this.capacity) {
+                this.buckets.delete(host);
+            }
+        }
+    }
+}
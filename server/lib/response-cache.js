@@ -0,0 +1,89 @@
+/**
+ * Response Cache
+ *
+ * Keeps recent upstream responses in memory, so many readers of the same
+ * feed cost the publisher one request per TTL. Entries expire after their
+ * TTL; when the cache is over its size budget, the least recently used
+ * entries are dropped first.
+ *
+ * @example
+ * const cache = new ResponseCache({ maxBytes: 50 * 1024 * 1024 });
+ * cache.set(url, entry, 5 * 60 * 1000, entry.body.length);
+ * const cached = cache.get(url);
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxBytes - Total size of the cached entries
+     */
+    constructor({ maxBytes }) {
+        this.maxBytes = maxBytes;
+        this.size = 0;
+        // Entries in least recently used order: key => { value, size, expires }
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns a cached value, if it has not expired.
+     *
+     * @param {string} key - The cache key
+     * @returns {*} The value, or undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expires <= Date.now()) {
+            this.delete(key);
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Caches a value. Values larger than the whole budget are not cached.
+     *
+     * @param {string} key - The cache key
+     * @param {*} value - The value
+     * @param {number} ttl - Milliseconds the value stays fresh
+     * @param {number} size - Approximate size of the value in bytes
+     */
+    set(key, value, ttl, size) {
+        this.delete(key);
+        if (ttl <= 0 || size > this.maxBytes) return;
+
+        this.entries.set(key, { value, size, expires: Date.now() + ttl });
+        this.size += size;
+
+        for (const oldest of this.entries.keys()) {
+            if (this.size <= this.maxBytes) break;
+            this.delete(oldest);
+        }
+    }
+
+    /**
+     * Removes a cached value.
+     *
+     * @param {string} key - The cache key
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.size -= entry.size;
+            this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Reports how full the cache is.
+     *
+     * @returns {{entries: number, bytes: number}} The number of entries and their total size
+     */
+    stats() {
+        return { entries: this.entries.size, bytes: this.size };
+    }
+}
@@ -0,0 +1,182 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+import { createGuardedLookup, isBlockedAddress } from './address-guard.js';
+
+// Redirects followed before giving up
+const MAX_REDIRECTS = 5;
+// Request headers a caller may not set upstream
+const RESERVED_HEADERS = new Set([
+    'host', 'connection', 'content-length', 'transfer-encoding', 'upgrade',
+    'te', 'trailer', 'keep-alive', 'proxy-authorization', 'proxy-connection', 'accept-encoding'
+]);
+
+/**
+ * An error from fetching upstream, with the HTTP status to report.
+ */
+export class UpstreamError extends Error {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {Object} [details] - Details for the client
+     * @param {number} [details.status=0] - The upstream status, or the proxy's own for refusals
+     * @param {number} [details.retryAfter=0] - Seconds the client should wait before retrying
+     */
+    constructor(message, { status = 0, retryAfter = 0 } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Removes headers a caller may not send upstream.
+ * @param {Object} headers - Header names and values
+ * @returns {Object} The allowed headers, with string values
+ */
+export function filterRequestHeaders(headers) {
+    return Object.fromEntries(
+        Object.entries(headers || {})
+            .filter(([name, value]) => !RESERVED_HEADERS.has(name.toLowerCase()) && typeof value === 'string')
+    );
+}
+
+/**
+ * Parses a Retry-After header.
+ * @param {string} value - The header value: seconds or an HTTP date
+ * @returns {number} Seconds to wait, 0 if absent or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return 0;
+    const seconds = parseInt(value, 10);
+    if (String(seconds) === value.trim()) return Math.max(seconds, 0);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+}
+
+/**
+ * Makes one request, without following redirects.
+ * @param {URL} url - The URL
+ * @param {Object} options - Request options, see fetchUpstream
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>} The response
+ */
+function request(url, { headers, maxBytes, timeout, lookup }) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, {
+            method: 'GET',
+            headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+            lookup,
+            timeout
+        }, response => {
+            const status = response.statusCode;
+
+            // Redirect and not-modified bodies are not needed
+            if (status >= 300 && status < 400) {
+                response.resume();
+                resolve({ status, headers: response.headers, body: Buffer.alloc(0) });
+                return;
+            }
+
+            const declared = parseInt(response.headers['content-length'], 10);
+            if (declared > maxBytes) {
+                response.destroy();
+                reject(new UpstreamError('Response too large', { status: 413 }));
+                return;
+            }
+
+            const decoders = {
+                gzip: () => zlib.createGunzip(),
+                'x-gzip': () => zlib.createGunzip(),
+                deflate: () => zlib.createInflate(),
+                br: () => zlib.createBrotliDecompress()
+            };
+            const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+            const stream = decoders[encoding] ? response.pipe(decoders[encoding]()) : response;
+
+            // The limit applies to the decoded size, so compressed bombs are cut off too
+            const chunks = [];
+            let size = 0;
+            stream.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    response.destroy();
+                    stream.destroy();
+                    reject(new UpstreamError('Response too large', { status: 413 }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('end', () => resolve({ status, headers: response.headers, body: Buffer.concat(chunks) }));
+            stream.on('error', error => reject(new UpstreamError(`Failed to read response: ${error.message}`)));
+        });
+
+        req.on('timeout', () => req.destroy(new UpstreamError('Upstream request timed out', { status: 504 })));
+        req.on('error', error => {
+            if (error instanceof UpstreamError) {
+                reject(error);
+            } else if (error.code === 'EBLOCKED') {
+                reject(new UpstreamError(error.message, { status: 403 }));
+            } else {
+                reject(new UpstreamError(`Failed to fetch: ${error.message}`));
+            }
+        });
+        req.end();
+    });
+}
+
+/**
+ * Fetches a URL from the public internet. Redirects are followed, and every
+ * hop is checked against the address guard. Credential headers are only
+ * sent to the site they were given for.
+ *
+ * @param {string} url - The http or https URL
+ * @param {Object} options - Request options
+ * @param {Object} [options.headers] - Request headers
+ * @param {Object} [options.credentials] - Authentication headers, dropped if a redirect leaves the site
+ * @param {number} options.maxBytes - Largest (decoded) body accepted
+ * @param {number} options.timeout - Socket idle timeout in milliseconds
+ * @param {boolean} [options.allowPrivate=false] - Allow private addresses
+ * @returns {Promise<{status: number, headers: Object, body: Buffer, url: string, redirects: Array<Object>}>}
+ *     The final response, its URL and the redirects taken: { from, to, status }
+ * @throws {UpstreamError} If the URL is refused, the request fails or the body is too large
+ */
+export async function fetchUpstream(url, { headers = {}, credentials = {}, maxBytes, timeout, allowPrivate = false }) {
+    const lookup = createGuardedLookup({ allowPrivate });
+    const origin = new URL(url).origin;
+    let current = new URL(url);
+    const redirects = [];
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+            throw new UpstreamError(`Unsupported protocol: ${current.protocol}`, { status: 400 });
+        }
+        if (current.username || current.password) {
+            throw new UpstreamError('Credentials in URLs are not supported', { status: 400 });
+        }
+        // Address literals never reach the lookup function, so they are checked here
+        const literal = current.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(literal) && !allowPrivate && isBlockedAddress(literal)) {
+            throw new UpstreamError(`Refusing to connect to ${literal}: not a public address`, { status: 403 });
+        }
+
+        const requestHeaders = current.origin === origin ? { ...credentials, ...headers } : headers;
+        const response = await request(current, { headers: requestHeaders, maxBytes, timeout, lookup });
+        const location = response.headers.location;
+        if (![301, 302, 303, 307, 308].includes(response.status) || !location) {
+            return {
+                ...response,
+                url: current.href,
+                redirects,
+                retryAfter: parseRetryAfter(response.headers['retry-after'])
+            };
+        }
+
+        const next = new URL(location, current);
+        redirects.push({ from: current.href, to: next.href, status: response.status });
+        current = next;
+    }
+
+    throw new UpstreamError('Too many redirects', { status: 508 });
+}
@@ -0,0 +1,112 @@
+/**
+ * Address guard tests: which addresses the proxy refuses to connect to,
+ * directly (isBlockedAddress) and as address literals in requested URLs
+ * (fetchUpstream), which never go through the guarded DNS lookup.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { isBlockedAddress } from '../lib/address-guard.js';
+import { fetchUpstream, UpstreamError } from '../lib/upstream.js';
+
+// Addresses the proxy must not reach, by kind
+const BLOCKED = {
+    loopback: ['127.0.0.1', '127.255.255.254', '::1', '0:0:0:0:0:0:0:1'],
+    rfc1918: ['10.0.0.1', '10.255.255.255', '172.16.0.1', '172.31.255.255', '192.168.0.1', '192.168.255.255'],
+    cgnat: ['100.64.0.1', '100.127.255.255'],
+    linkLocal: ['169.254.169.254', '169.254.0.1', 'fe80::1', 'fe80::1%eth0'],
+    uniqueLocal: ['fc00::1', 'fd12:3456:789a::1'],
+    ipv4Mapped: ['::ffff:127.0.0.1', '::ffff:10.0.0.1', '::ffff:169.254.169.254', '::ffff:7f00:1', '::ffff:a9fe:a9fe'],
+    ipv4Compatible: ['::127.0.0.1', '::10.0.0.1'],
+    nat64: ['64:ff9b::127.0.0.1', '64:ff9b::a00:1', '64:ff9b::192.168.0.1', '64:ff9b::a9fe:a9fe'],
+    other: ['0.0.0.0', '::', '224.0.0.1', '255.255.255.255', '192.0.2.1', 'ff02::1', '2001:db8::1', 'not an address']
+};
+
+// Public addresses, including ones next to the blocked ranges
+const ALLOWED = [
+    '93.184.216.34',
+    '8.8.8.8',
+    '9.255.255.255',
+    '11.0.0.0',
+    '100.63.255.255',
+    '100.128.0.0',
+    '169.253.255.255',
+    '172.15.255.255',
+    '172.32.0.0',
+    '192.167.255.255',
+    '2606:2800:220:1:248:1893:25c8:1946',
+    '::ffff:93.184.216.34',
+    '64:ff9b::8.8.8.8',
+    '64:ff9b:1::a00:1'
+];
+
+for (const [kind, addresses] of Object.entries(BLOCKED)) {
+    test(`isBlockedAddress refuses ${kind} addresses`, () => {
+        for (const address of addresses) {
+            assert.equal(isBlockedAddress(address), true, address);
+        }
+    });
+}
+
+test('isBlockedAddress allows public addresses', () => {
+    for (const address of ALLOWED) {
+        assert.equal(isBlockedAddress(address), false, address);
+    }
+});
+
+/**
+ * Requests a URL through fetchUpstream with the proxy's defaults.
+ * @param {string} url - The URL
+ * @param {Object} [options] - Extra fetchUpstream options
+ * @returns {Promise<Object>} The upstream response
+ */
+function fetchLiteral(url, options = {}) {
+    return fetchUpstream(url, { maxBytes: 1024, timeout: 2000, ...options });
+}
+
+test('fetchUpstream refuses private address literals before connecting', async () => {
+    const urls = [
+        'http://127.0.0.1/',
+        'http://2130706433/',          // 127.0.0.1 as a single number
+        'http://0x7f.1/',              // 127.0.0.1 in hex shorthand
+        'http://[::1]/',
+        'http://10.0.0.1/',
+        'http://192.168.1.1:8080/feed.xml',
+        'http://100.64.0.1/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[fe80::1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://[::ffff:169.254.169.254]/',
+        'http://[64:ff9b::10.0.0.1]/',
+        'https://[64:ff9b::7f00:1]/'
+    ];
+
+    for (const url of urls) {
+        await assert.rejects(fetchLiteral(url), error => {
+            assert.ok(error instanceof UpstreamError, url);
+            assert.equal(error.status, 403, url);
+            assert.match(error.message, /not a public address/);
+            return true;
+        });
+    }
+});
+
+test('fetchUpstream connects to address literals when private addresses are allowed', async () => {
+    const server = http.createServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/`;
+        await assert.rejects(fetchLiteral(url), { status: 403 });
+
+        const response = await fetchLiteral(url, { allowPrivate: true });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.toString(), 'ok');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,292 @@
+/**
+ * Article Extractor Module
+ *
+ * Finds the main article body of a web page, for feeds that only publish a
+ * summary. This is a readability-style heuristic:
+ * 1. Scripts, navigation, sidebars, comments and similar clutter are removed
+ * 2. Every paragraph scores its parent and grandparent by its length and commas
+ * 3. Scores are weighted by the element's class/id and reduced by link density
+ * 4. The best candidate is kept, with any siblings that look like part of the article
+ *
+ * The result is cleaned of inline scripts and styles, and its relative links
+ * and images are made absolute. Runs in the renderer, as it needs DOMParser.
+ *
+ * @module article-extractor
+ */
+
+// Pages whose best candidate has less text than this are treated as failures
+export const MIN_ARTICLE_LENGTH = 250;
+
+// Elements that are never part of an article
+const REMOVED_ELEMENTS = 'script, style, noscript, template, iframe, form, nav, header, footer, aside, button, input, select, textarea, svg, canvas, object, embed, dialog';
+
+// Class/id fragments of page clutter, and of likely article containers
+const UNLIKELY_PATTERN = /banner|breadcrumb|comment|community|cookie|disqus|footer|header|menu|modal|nav|newsletter|pagination|popup|promo|related|remark|share|sidebar|social|sponsor|subscribe|tags|tool|widget|\bad-|\bads\b/i;
+const LIKELY_PATTERN = /article|body|content|entry|main|page|post|story|text/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|post|story|text|blog/i;
+const NEGATIVE_PATTERN = /comment|footer|meta|nav|promo|related|share|shoutbox|sidebar|social|sponsor|widget|hidden|\bad-|\bads\b/i;
+
+// Elements whose text is scored, and the tags that can hold an article
+const SCORED_ELEMENTS = 'p, pre, td, blockquote';
+const PARAGRAPH_MIN_LENGTH = 25;
+
+// Attributes kept on extracted elements
+const KEPT_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'alt', 'title', 'width', 'height', 'colspan', 'rowspan', 'datetime', 'lang', 'dir']);
+
+/**
+ * Returns the normalized visible text of an element.
+ *
+ * @param {Element} element - The element
+ * @returns {string} The text
+ */
+function getText(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns the share of an element's text that sits inside links.
+ *
+ * @param {Element} element - The element
+ * @returns {number} Link density, from 0 to 1
+ */
+function getLinkDensity(element) {
+    const length = getText(element).length;
+    if (length === 0) return 0;
+    const linkLength = Array.from(element.querySelectorAll('a'))
+        .reduce((total, link) => total + getText(link).length, 0);
+    return linkLength / length;
+}
+
+/**
+ * Weighs an element by how article-like its class and id look.
+ *
+ * @param {Element} element - The element
+ * @returns {number} The weight, negative for clutter
+ */
+function getClassWeight(element) {
+    const names = `${element.className || ''} ${element.id || ''}`;
+    let weight = 0;
+    if (NEGATIVE_PATTERN.test(names)) weight -= 25;
+    if (POSITIVE_PATTERN.test(names)) weight += 25;
+    return weight;
+}
+
+/**
+ * Gives a candidate its starting score from its tag and class.
+ *
+ * @param {Element} element - The candidate
+ * @returns {number} The starting score
+ */
+function getInitialScore(element) {
+    let score = getClassWeight(element);
+    switch (element.tagName) {
+        case 'ARTICLE':
+            score += 10;
+            break;
+        case 'DIV':
+        case 'SECTION':
+        case 'MAIN':
+            score += 5;
+            break;
+        case 'PRE':
+        case 'TD':
+        case 'BLOCKQUOTE':
+            score += 3;
+            break;
+        case 'OL':
+        case 'UL':
+        case 'DL':
+        case 'FORM':
+            score -= 3;
+            break;
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6':
+        case 'TH':
+            score -= 5;
+            break;
+    }
+    return score;
+}
+
+/**
+ * Removes page clutter that can never be part of the article.
+ *
+ * @param {Element} body - The page body
+ */
+function removeClutter(body) {
+    body.querySelectorAll(REMOVED_ELEMENTS).forEach(element => element.remove());
+    body.querySelectorAll('[hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"], [role="banner"]')
+        .forEach(element => element.remove());
+
+    for (const element of Array.from(body.querySelectorAll('*'))) {
+        if (!element.isConnected || element.tagName === 'ARTICLE') continue;
+        const names = `${element.className || ''} ${element.id || ''}`;
+        if (UNLIKELY_PATTERN.test(names) && !LIKELY_PATTERN.test(names)) {
+            element.remove();
+        }
+    }
+}
+
+/**
+ * Scores the elements that contain paragraphs and returns the best one.
+ *
+ * @param {Element} body - The page body, with clutter removed
+ * @returns {{element: Element, score: number, scores: Map<Element, number>}|null} The best candidate and all scores
+ */
+function findTopCandidate(body) {
+    const scores = new Map();
+
+    for (const paragraph of body.querySelectorAll(SCORED_ELEMENTS)) {
+        const text = getText(paragraph);
+        if (text.length < PARAGRAPH_MIN_LENGTH) continue;
+
+        const score = text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        const parent = paragraph.parentElement;
+        const grandparent = parent?.parentElement;
+
+        for (const [ancestor, share] of [[parent, 1], [grandparent, 0.5]]) {
+            if (!ancestor || ancestor === body.parentElement) continue;
+            if (!scores.has(ancestor)) {
+                scores.set(ancestor, getInitialScore(ancestor));
+            }
+            scores.set(ancestor, scores.get(ancestor) + score * share);
+        }
+    }
+
+    let top = null;
+    for (const [element, score] of scores) {
+        const adjusted = score * (1 - getLinkDensity(element));
+        scores.set(element, adjusted);
+        if (!top || adjusted > top.score) {
+            top = { element, score: adjusted };
+        }
+    }
+
+    return top && { ...top, scores };
+}
+
+/**
+ * Collects the top candidate and its siblings that look like part of the article.
+ *
+ * @param {Object} top - The result of findTopCandidate
+ * @param {Document} doc - The page document
+ * @returns {Element} A container holding the article
+ */
+function collectArticle({ element, score, scores }, doc) {
+    const container = doc.createElement('div');
+    const threshold = Math.max(10, score * 0.2);
+    const siblings = element.parentElement ? Array.from(element.parentElement.children) : [element];
+
+    for (const sibling of siblings) {
+        let include = sibling === element || (scores.get(sibling) || 0) >= threshold;
+
+        if (!include && sibling.tagName === 'P') {
+            const text = getText(sibling);
+            const density = getLinkDensity(sibling);
+            include = (text.length > 80 && density < 0.25) ||
+                (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+        }
+
+        if (include) {
+            container.appendChild(sibling.cloneNode(true));
+        }
+    }
+
+    return container;
+}
+
+/**
+ * Cleans an extracted article: drops link-heavy blocks and unsafe or
+ * presentational attributes, loads lazy images, and makes URLs absolute.
+ *
+ * @param {Element} container - The extracted article
+ * @param {string} pageUrl - The URL the page was fetched from, for relative URLs
+ */
+function cleanArticle(container, pageUrl) {
+    for (const block of Array.from(container.querySelectorAll('div, section, ul, ol, table'))) {
+        if (block.isConnected && getText(block).length < 200 && getLinkDensity(block) > 0.5) {
+            block.remove();
+        }
+    }
+
+    for (const element of container.querySelectorAll('*')) {
+        // Lazy-loaded images keep their real source in a data attribute
+        if (element.tagName === 'IMG') {
+            const lazySource = element.getAttribute('data-src') || element.getAttribute('data-lazy-src');
+            if (lazySource) element.setAttribute('src', lazySource);
+        }
+
+        for (const { name } of Array.from(element.attributes)) {
+            if (!KEPT_ATTRIBUTES.has(name)) {
+                element.removeAttribute(name);
+            }
+        }
+
+        for (const name of ['href', 'src']) {
+            const value = element.getAttribute(name);
+            if (value === null) continue;
+            try {
+                const url = new URL(value, pageUrl);
+                if (/^https?:$/.test(url.protocol) || (name === 'href' && url.protocol === 'mailto:')) {
+                    element.setAttribute(name, url.href);
+                } else {
+                    element.removeAttribute(name);
+                }
+            } catch (error) {
+                element.removeAttribute(name);
+            }
+        }
+
+        if (element.tagName === 'A') {
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    // srcset entries are not resolved individually, so they are only kept when absolute
+    for (const image of container.querySelectorAll('[srcset]')) {
+        if (!/^\s*https?:\/\//i.test(image.getAttribute('srcset'))) {
+            image.removeAttribute('srcset');
+        }
+    }
+}
+
+/**
+ * Extracts the main article from a web page.
+ *
+ * @param {string} html - The page markup
+ * @param {string} pageUrl - The URL the page was fetched from
+ * @returns {{content: string, length: number}|null} The article HTML and its text length,
+ *     or null if no article could be found
+ *
+ * @example
+ * const { body } = await fetchTransport.fetchPage(item.link);
+ * const article = extractArticle(body, item.link);
+ * if (article) {
+ *     item.article = { status: 'extracted', content: article.content };
+ * }
+ */
+export function extractArticle(html, pageUrl) {
+    if (!html) return null;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const body = doc.body;
+    if (!body) return null;
+
+    removeClutter(body);
+
+    const top = findTopCandidate(body);
+    if (!top) return null;
+
+    const container = collectArticle(top, doc);
+    cleanArticle(container, pageUrl);
+
+    const length = getText(container).length;
+    if (length < MIN_ARTICLE_LENGTH) return null;
+
+    return { content: container.innerHTML.trim(), length };
+}
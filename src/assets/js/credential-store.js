@@ -0,0 +1,261 @@
+import { isElectron } from '../../utils/index.js';
+import { storage } from './storage.js';
+import { pubsub } from './pubsub.js';
+
+// Storage key of the encrypted credentials, by feed ID
+const CREDENTIALS_KEY = 'feedCredentials';
+// Storage key of the browser's encryption key
+const ENCRYPTION_KEY = 'credentialKey';
+
+// Supported ways of authenticating to a feed
+export const AUTH_TYPES = ['basic', 'bearer', 'header'];
+
+/**
+ * Encodes bytes as base64.
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} The base64 text
+ */
+function toBase64(bytes) {
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * Decodes base64 into bytes.
+ * @param {string} text - The base64 text
+ * @returns {Uint8Array} The bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Builds the request headers that authenticate with a feed's credentials.
+ *
+ * @param {Object} credentials - The credentials, see CredentialStore.set
+ * @returns {Object} Header names and values; empty if the credentials are incomplete
+ *
+ * @example
+ * buildAuthHeaders({ type: 'bearer', token: 'abc' });
+ * // { Authorization: 'Bearer abc' }
+ */
+export function buildAuthHeaders(credentials) {
+    switch (credentials?.type) {
+        case 'basic': {
+            if (!credentials.username) return {};
+            const pair = new TextEncoder().encode(`${credentials.username}:${credentials.password || ''}`);
+            return { Authorization: `Basic ${toBase64(pair)}` };
+        }
+        case 'bearer':
+            return credentials.token ? { Authorization: `Bearer ${credentials.token}` } : {};
+        case 'header':
+            return credentials.headerName && credentials.headerValue
+                ? { [credentials.headerName]: credentials.headerValue }
+                : {};
+        default:
+            return {};
+    }
+}
+
+/**
+ * Encrypted store for the credentials of authenticated feeds.
+ *
+ * Credentials never go into the settings object: each feed's credentials are
+ * encrypted and kept under their own storage key, so settings can be logged,
+ * synced or exported without carrying secrets. In the Electron environment
+ * they are encrypted by the main process with the operating system's
+ * keychain (`safeStorage`); in the browser with AES-GCM, using a
+ * non-extractable key kept in IndexedDB.
+ *
+ * The fetch transport applies them to feed requests (see fetch-transport.js).
+ *
+ * @example
+ * import { credentialStore } from './credential-store.js';
+ *
+ * await credentialStore.set(feed.id, { type: 'basic', username: 'me', password: 'secret' });
+ * const headers = await credentialStore.getHeaders(feed.id);
+ */
+class CredentialStore {
+    /**
+     * Determines the runtime environment once, as the storage module does.
+     */
+    constructor() {
+        this.isElectron = isElectron();
+        // Decrypted credentials by feed ID, so fetches do not decrypt every time
+        this.cache = new Map();
+        // The browser's encryption key, once loaded
+        this.key = null;
+
+        // Credentials are saved along with the settings, possibly in another window
+        pubsub.on('savedSettings', () => this.cache.clear());
+    }
+
+    /**
+     * Returns a feed's credentials.
+     *
+     * @param {string} feedId - The feed ID
+     * @returns {Promise<Object|null>} The credentials, or null if the feed has none or they cannot be decrypted
+     */
+    async get(feedId) {
+        if (this.cache.has(feedId)) {
+            return this.cache.get(feedId);
+        }
+
+        const encrypted = (await storage.get(CREDENTIALS_KEY) || {})[feedId];
+        let credentials = null;
+        if (encrypted) {
+            try {
+                credentials = JSON.parse(await this.decrypt(encrypted));
+            } catch (error) {
+                // The error never includes the credentials themselves
+                console.error(`Failed to decrypt credentials for feed ${feedId}:`, error.message);
+            }
+        }
+
+        this.cache.set(feedId, credentials);
+        return credentials;
+    }
+
+    /**
+     * Stores a feed's credentials, replacing any it had.
+     *
+     * @param {string} feedId - The feed ID
+     * @param {Object} credentials - The credentials
+     * @param {'basic'|'bearer'|'header'} credentials.type - How to authenticate
+     * @param {string} [credentials.username] - Basic auth user name
+     * @param {string} [credentials.password] - Basic auth password
+     * @param {string} [credentials.token] - Bearer token
+     * @param {string} [credentials.headerName] - Name of a custom header
+     * @param {string} [credentials.headerValue] - Value of the custom header
+     * @returns {Promise<void>}
+     * @throws {Error} If the type is unknown, or the credentials cannot be encrypted
+     */
+    async set(feedId, credentials) {
+        if (!AUTH_TYPES.includes(credentials?.type)) {
+            throw new Error(`Unknown authentication type: ${credentials?.type}`);
+        }
+
+        const encrypted = await this.encrypt(JSON.stringify(credentials));
+        const stored = await storage.get(CREDENTIALS_KEY) || {};
+        await storage.set(CREDENTIALS_KEY, { ...stored, [feedId]: encrypted });
+        this.cache.set(feedId, credentials);
+    }
+
+    /**
+     * Removes a feed's credentials.
+     *
+     * @param {string} feedId - The feed ID
+     * @returns {Promise<void>}
+     */
+    async delete(feedId) {
+        const stored = await storage.get(CREDENTIALS_KEY) || {};
+        if (feedId in stored) {
+            delete stored[feedId];
+            await storage.set(CREDENTIALS_KEY, stored);
+        }
+        this.cache.delete(feedId);
+    }
+
+    /**
+     * Removes the credentials of every feed not listed, e.g. after feeds were deleted.
+     *
+     * @param {Array<string>} feedIds - The IDs of the feeds that still exist
+     * @returns {Promise<void>}
+     */
+    async retain(feedIds) {
+        const keep = new Set(feedIds);
+        const stored = await storage.get(CREDENTIALS_KEY) || {};
+        const removed = Object.keys(stored).filter(feedId => !keep.has(feedId));
+        if (removed.length === 0) return;
+
+        removed.forEach(feedId => {
+            delete stored[feedId];
+            this.cache.delete(feedId);
+        });
+        await storage.set(CREDENTIALS_KEY, stored);
+    }
+
+    /**
+     * Returns the headers that authenticate requests for a feed.
+     *
+     * @param {string} feedId - The feed ID
+     * @returns {Promise<Object>} Header names and values; empty if the feed has no credentials
+     */
+    async getHeaders(feedId) {
+        return buildAuthHeaders(await this.get(feedId));
+    }
+
+    /**
+     * Encrypts text for storage.
+     * @private
+     * @param {string} text - The text
+     * @returns {Promise<string|Object>} Base64 ciphertext from the main process, or `{ iv, data }` in the browser
+     * @throws {Error} If encryption is unavailable
+     */
+    async encrypt(text) {
+        if (this.isElectron) {
+            const result = await window.api.credentials.encrypt(text);
+            if (!result.ok) {
+                throw new Error(result.error || 'Failed to encrypt credentials');
+            }
+            return result.data;
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            await this.getKey(),
+            new TextEncoder().encode(text)
+        );
+        return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * Decrypts text stored by encrypt.
+     * @private
+     * @param {string|Object} encrypted - The stored ciphertext
+     * @returns {Promise<string>} The text
+     * @throws {Error} If the ciphertext cannot be decrypted, e.g. it was stored by the other environment
+     */
+    async decrypt(encrypted) {
+        if (this.isElectron) {
+            if (typeof encrypted !== 'string') {
+                throw new Error('Credentials were not encrypted by the desktop app');
+            }
+            const result = await window.api.credentials.decrypt(encrypted);
+            if (!result.ok) {
+                throw new Error(result.error || 'Failed to decrypt credentials');
+            }
+            return result.text;
+        }
+
+        if (typeof encrypted !== 'object') {
+            throw new Error('Credentials were not encrypted by the browser');
+        }
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+            await this.getKey(),
+            fromBase64(encrypted.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    /**
+     * Returns the browser's encryption key, creating it on first use. The key
+     * cannot be exported, so the stored ciphertext is only readable here.
+     * @private
+     * @returns {Promise<CryptoKey>} The AES-GCM key
+     */
+    async getKey() {
+        if (!this.key) {
+            this.key = await storage.get(ENCRYPTION_KEY);
+        }
+        if (!this.key) {
+            this.key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await storage.set(ENCRYPTION_KEY, this.key);
+        }
+        return this.key;
+    }
+}
+
+// Export singleton instance
+export const credentialStore = new CredentialStore();
@@ -0,0 +1,74 @@
+import { diffWords } from '../item-revisions.js';
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a revision date for display
+ * @param {string} date - ISO date string
+ * @returns {string} The formatted date
+ */
+function formatDate(date) {
+    return new Date(date).toLocaleString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Renders a word diff as HTML, marking removed and added words
+ * @param {string} before - The earlier text or HTML
+ * @param {string} after - The later text or HTML
+ * @returns {string} HTML for the diff
+ */
+function renderDiff(before, after) {
+    return diffWords(before, after).map(({ type, text }) => {
+        if (type === 'added') return `<ins class="item-diff-added">${escapeHtml(text)}</ins>`;
+        if (type === 'removed') return `<del class="item-diff-removed">${escapeHtml(text)}</del>`;
+        return escapeHtml(text);
+    }).join(' ');
+}
+
+/**
+ * Renders what changed between the revisions of an edited feed item for the drawer.
+ * The newest change is shown first; each compares a stored revision with the one after it.
+ * @param {Object} item - The stored feed item, with its revisions (newest first)
+ * @returns {string} HTML content for the drawer
+ */
+export function renderItemDiff(item) {
+    const versions = [item, ...(item.revisions || [])];
+
+    const changes = versions.slice(0, -1).map((version, index) => {
+        const previous = versions[index + 1];
+        const titleChanged = previous.title !== version.title;
+
+        return `
+            <section class="item-diff-change">
+                <h3 class="item-diff-date">Changed ${formatDate(previous.replacedAt)}</h3>
+                ${titleChanged ? `<p class="item-diff-title">${renderDiff(previous.title, version.title)}</p>` : ''}
+                <p class="item-diff-content">${renderDiff(previous.content, version.content)}</p>
+            </section>
+        `;
+    }).join('');
+
+    return `
+        <div class="item-diff">
+            <h2>${escapeHtml(item.title)}</h2>
+            <p>The publisher has edited this item since it was first fetched. Removed words are struck through, added words are highlighted.</p>
+            ${changes}
+        </div>
+    `;
+}
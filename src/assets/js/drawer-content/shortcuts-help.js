@@ -26,7 +26,10 @@ export function renderShortcutsHelp() {
             nextItem: 'Next Feed Item',
             previousItem: 'Previous Feed Item',
             refreshFeeds: 'Refresh Feeds',
-            toggleStar: 'Toggle Star'
+            toggleStar: 'Toggle Star',
+            togglePlayback: 'Play/Pause Audio',
+            seekBackward: 'Skip Back 15 Seconds',
+            seekForward: 'Skip Forward 30 Seconds'
         }[action];
 
         const formattedShortcut = shortcut
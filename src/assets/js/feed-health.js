@@ -0,0 +1,274 @@
+import { feedManager } from './feed-manager.js';
+import { pubsub } from './pubsub.js';
+import { notify } from './notifications.js';
+
+// Labels for the feed statuses reported by feedManager.getFeedHealth
+const STATUS_LABELS = {
+    active: 'Healthy',
+    failing: 'Retrying',
+    error: 'Failing',
+    disabled: 'Paused'
+};
+
+// Units used to describe how often a feed posts, largest first
+const FREQUENCY_UNITS = [
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000]
+];
+
+// Labels for the statuses of feed address changes; entries logged without one were changed
+const URL_CHANGE_LABELS = {
+    changed: 'Changed',
+    pending: 'Waiting for you',
+    declined: 'Kept old address'
+};
+
+// Waits this long after a burst of fetch events before redrawing
+const RENDER_DELAY = 250;
+
+/**
+ * Feed Health Page Handler
+ *
+ * Shows how each feed is doing: its status, last successful fetch, last
+ * error with its HTTP status, stored and unread item counts and how often
+ * it posts. Each feed can be retried, paused or resumed, or opened in the
+ * settings page. The table redraws as fetches complete.
+ *
+ * Below the feeds, the log of automatic address changes lists the feeds
+ * that were switched to a new URL after moving permanently, and those with
+ * credentials waiting for the user to move them to another site or keep them.
+ *
+ * @example
+ * // The page automatically initializes the handler
+ * document.addEventListener('DOMContentLoaded', () => {
+ *     new FeedHealthPage();
+ * });
+ */
+class FeedHealthPage {
+    /**
+     * Creates a new FeedHealthPage instance and renders the feeds
+     */
+    constructor() {
+        this.rows = document.getElementById('feed-health-rows');
+        this.template = document.getElementById('feed-health-template');
+        this.summary = document.getElementById('feed-health-summary');
+        this.emptyMessage = document.getElementById('feed-health-empty');
+        this.retryAllButton = document.getElementById('retry-all');
+        this.urlChanges = document.getElementById('feed-url-changes');
+        this.urlChangeRows = document.getElementById('feed-url-change-rows');
+        this.renderTimer = null;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Redraws the table when feeds are fetched or their settings change
+     */
+    setupEventListeners() {
+        for (const event of ['feedFetchProgress', 'feedFetchFinished', 'feedError', 'feedRecovered', 'savedSettings', 'feedItemRead', 'feedUrlChanged', 'feedUrlChangePending']) {
+            pubsub.on(event, () => this.scheduleRender());
+        }
+
+        this.retryAllButton.addEventListener('click', () => {
+            pubsub.emit('refreshFeeds');
+        });
+    }
+
+    /**
+     * Redraws the table once a burst of events has passed
+     */
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), RENDER_DELAY);
+    }
+
+    /**
+     * Draws a row for every feed, and the summary above them
+     */
+    async render() {
+        const feeds = await feedManager.getFeedHealth();
+
+        this.rows.replaceChildren(this.template, ...feeds.map(feed => this.createRow(feed)));
+        this.emptyMessage.hidden = feeds.length > 0;
+
+        const failing = feeds.filter(feed => feed.status === 'error' || feed.status === 'failing').length;
+        const paused = feeds.filter(feed => feed.status === 'disabled').length;
+        this.summary.textContent = feeds.length === 0
+            ? ''
+            : `${feeds.length} ${feeds.length === 1 ? 'feed' : 'feeds'}, ${failing} failing, ${paused} paused`;
+
+        await this.renderUrlChanges();
+    }
+
+    /**
+     * Draws the log of automatic feed address changes, hidden while it is empty
+     */
+    async renderUrlChanges() {
+        const changes = await feedManager.getUrlChanges();
+        this.urlChanges.hidden = changes.length === 0;
+        this.urlChangeRows.replaceChildren(...changes.map(change => {
+            const row = document.createElement('tr');
+            const cells = [this.formatTime(change.time), change.title || change.to, change.from, change.to];
+            for (const text of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            row.cells[0].title = `After ${change.redirects} permanently redirected fetches`;
+            row.cells[2].className = 'feed-url-change-address';
+            row.cells[3].className = 'feed-url-change-address';
+            row.appendChild(this.createUrlChangeStatus(change));
+            return row;
+        }));
+    }
+
+    /**
+     * Creates the status cell of an address change, with buttons to move or
+     * keep a feed whose change is waiting for confirmation
+     * @param {Object} change - An entry from feedManager.getUrlChanges
+     * @returns {HTMLElement} The cell
+     */
+    createUrlChangeStatus(change) {
+        const cell = document.createElement('td');
+        cell.textContent = URL_CHANGE_LABELS[change.status || 'changed'];
+        if (change.status !== 'pending') return cell;
+
+        const actions = document.createElement('div');
+        actions.className = 'feed-health-actions';
+        const moveButton = this.createButton('Move', 'Move the feed and its credentials to the new address');
+        const keepButton = this.createButton('Keep', 'Keep fetching the old address');
+        actions.append(moveButton, keepButton);
+        cell.appendChild(actions);
+
+        moveButton.addEventListener('click', async () => {
+            moveButton.disabled = keepButton.disabled = true;
+            if (!await feedManager.confirmUrlChange(change.feedId)) {
+                notify.error(`Failed to move ${change.title || change.from}`);
+                this.scheduleRender();
+            }
+        });
+        keepButton.addEventListener('click', async () => {
+            moveButton.disabled = keepButton.disabled = true;
+            await feedManager.declineUrlChange(change.feedId);
+            this.scheduleRender();
+        });
+        return cell;
+    }
+
+    /**
+     * Creates a small secondary button
+     * @param {string} text - The button's label
+     * @param {string} title - Its tooltip
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-secondary';
+        button.textContent = text;
+        button.title = title;
+        return button;
+    }
+
+    /**
+     * Creates the row for a feed
+     * @param {Object} feed - An entry from feedManager.getFeedHealth
+     * @returns {HTMLElement} The row
+     */
+    createRow(feed) {
+        const row = this.template.content.cloneNode(true).querySelector('.feed-health-row');
+        row.dataset.feedId = feed.id;
+        row.dataset.status = feed.status;
+
+        const icon = row.querySelector('.feed-health-icon');
+        if (feed.favicon) {
+            icon.src = feed.favicon;
+            icon.hidden = false;
+            icon.addEventListener('error', () => { icon.hidden = true; });
+        }
+        row.querySelector('.feed-health-title').textContent = feed.title;
+        row.querySelector('.feed-health-url').textContent = feed.url;
+
+        const status = row.querySelector('.feed-health-status');
+        status.textContent = STATUS_LABELS[feed.status] || feed.status;
+        status.className = `feed-health-status feed-health-status--${feed.status}`;
+        if (feed.errorCount > 0) {
+            status.title = `${feed.errorCount} failed ${feed.errorCount === 1 ? 'attempt' : 'attempts'}`;
+        }
+
+        row.querySelector('.feed-health-last-fetch').textContent = this.formatTime(feed.lastFetchTime);
+        row.querySelector('.feed-health-error').textContent = this.formatError(feed);
+        row.querySelector('.feed-health-items').textContent = feed.itemCount;
+        row.querySelector('.feed-health-unread').textContent = feed.unreadCount;
+        row.querySelector('.feed-health-frequency').textContent = this.formatFrequency(feed.publishInterval);
+
+        const retryButton = row.querySelector('.feed-health-retry');
+        retryButton.addEventListener('click', () => {
+            retryButton.disabled = true;
+            pubsub.emit('refreshFeeds', { feedId: feed.id });
+        });
+
+        const paused = feed.status === 'disabled';
+        const toggleButton = row.querySelector('.feed-health-toggle');
+        toggleButton.textContent = paused ? 'Resume' : 'Pause';
+        toggleButton.addEventListener('click', async () => {
+            toggleButton.disabled = true;
+            if (await feedManager.setFeedDisabled(feed.id, !paused)) {
+                notify.success(`${paused ? 'Resumed' : 'Paused'} ${feed.title}`);
+            } else {
+                notify.error(`Failed to ${paused ? 'resume' : 'pause'} ${feed.title}`);
+                toggleButton.disabled = false;
+            }
+        });
+
+        row.querySelector('.feed-health-edit').href = `./settings.html#${encodeURIComponent(feed.id)}`;
+
+        return row;
+    }
+
+    /**
+     * Formats a timestamp for the table
+     * @param {number} time - Milliseconds since the epoch, 0 if it never happened
+     * @returns {string} The formatted date and time
+     */
+    formatTime(time) {
+        return time ? new Date(time).toLocaleString() : 'Never';
+    }
+
+    /**
+     * Describes a feed's last error, with its HTTP status and when it happened
+     * @param {Object} feed - An entry from feedManager.getFeedHealth
+     * @returns {string} The description, empty if the last fetch succeeded
+     */
+    formatError(feed) {
+        if (!feed.lastError) return '';
+
+        const status = feed.lastErrorStatus ? `HTTP ${feed.lastErrorStatus}: ` : '';
+        const time = feed.lastErrorTime ? ` (${this.formatTime(feed.lastErrorTime)})` : '';
+        return `${status}${feed.lastError}${time}`;
+    }
+
+    /**
+     * Describes the average time between a feed's posts
+     * @param {number} interval - Milliseconds between posts, 0 if unknown
+     * @returns {string} E.g. "Every 3 hours"
+     */
+    formatFrequency(interval) {
+        if (!interval) return 'Unknown';
+
+        for (const [unit, size] of FREQUENCY_UNITS) {
+            if (interval >= size) {
+                const count = Math.round(interval / size);
+                return count === 1 ? `Every ${unit}` : `Every ${count} ${unit}s`;
+            }
+        }
+        return 'Every minute';
+    }
+}
+
+// Initialize feed health page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new FeedHealthPage();
+});
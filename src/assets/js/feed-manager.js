@@ -4,15 +4,23 @@
  * Manages the fetching, processing, and storage of RSS/Atom feeds in KupuKupu.
  * This module is responsible for:
  * - Fetching feeds from remote sources
- * - Parsing RSS and Atom feed formats
+ * - Parsing RSS, Atom and JSON Feed formats, in the feed worker
  * - Managing feed items storage and deduplication
  * - Tracking read state of items
- * - Handling background fetching and updates
+ * - Handling background fetching and updates, through a priority fetch queue
  * - Managing error states and retries
+ * - Applying the user's rules to new items (rules-engine.js)
  *
  * The feed manager is implemented as a singleton to ensure consistent state
- * across the application. It works in both web and desktop environments,
- * using appropriate APIs for each platform.
+ * across the application. It works in both web and desktop environments;
+ * network access goes through the fetch transport (fetch-transport.js), which
+ * uses the main process on desktop and the proxy server on the web. Parsing,
+ * deduplication and sorting run in a Web Worker (feed-worker-client.js); the
+ * main thread only stores and displays the finished items.
+ *
+ * On desktop, feeds that advertise a WebSub hub are also subscribed to it
+ * (see src/ipc/websub.js). Content the hub pushes goes through the fetch
+ * queue like a fetched response; polling carries on as the fallback.
  *
  * @module feed-manager
  */
@@ -20,62 +28,44 @@
 import { storage } from './storage.js';
 import { pubsub } from './pubsub.js';
 import { settingsManager } from './settings-manager.js';
-import { createHash } from '../../utils/hash.js';
+import { migrateItemIdentity, rekeyItemReferences } from './item-identity.js';
+import { sanitizeHtml } from './html-sanitizer.js';
+import { extractImages } from './feed-processing.js';
+import { feedWorker } from './feed-worker-client.js';
+import { FetchQueue, FETCH_PRIORITY } from './fetch-queue.js';
+import {
+    computeNextFetchTime,
+    estimatePublishInterval,
+    classifyFetchError,
+    computeRetryDelay
+} from './feed-scheduler.js';
+import {
+    resolveRetentionPolicy,
+    applyRetentionPolicy,
+    estimateStorageSize,
+    formatBytes
+} from './feed-retention.js';
 import { shortcuts } from './shortcuts.js';
+import { fetchTransport } from './fetch-transport.js';
+import { credentialStore } from './credential-store.js';
+import { findIconLink } from '../../utils/feed-discovery.js';
+import { extractArticle } from './article-extractor.js';
+import { imageCache } from './image-cache.js';
 import { isElectron } from '../../utils/index.js';
-import { getServerUrl } from '../../utils/config.js';
+import { compileRules, evaluateRules } from './rules-engine.js';
 
 // Configuration constants
 const FETCH_CONCURRENCY = 10;          // Maximum number of concurrent feed fetches
-const DEFAULT_FETCH_INTERVAL = 60 * 60 * 1000; // 60 minutes between feed updates
-const MAX_RETRIES = 3;                 // Maximum number of retry attempts for failed fetches
-const ITEMS_PER_FEED = 10;             // Maximum number of items to keep per feed
+const SCHEDULER_TICK = 60 * 1000;      // How often to check for feeds that are due (1 minute)
+const MAX_RETRIES = 3;                 // Consecutive failures before a feed is marked as errored
+const RETENTION_INTERVAL = 6 * 60 * 60 * 1000; // How often stored items are pruned (6 hours)
+const FAVICON_REFRESH_INTERVAL = 7 * 24 * 60 * 60 * 1000; // How often a site's favicon is looked up again (7 days)
+const MAX_ARTICLE_EXTRACTIONS = 10;    // Linked articles downloaded per feed fetch, for feeds showing full articles
 const PRELOAD_THRESHOLD = 5;           // Number of items from bottom to trigger preload
 const PRELOAD_AMOUNT = 10;             // Number of items to preload
 const INITIAL_LOAD_AMOUNT = 20;        // Number of items to load on initial page load
-const HISTORY_RETENTION_DAYS = 365;    // Number of days to retain feed history
-
-/**
- * Fetches a feed URL using the appropriate method for the current environment.
- * In web environment, uses the fetch API through a proxy server.
- * In desktop environment, uses direct fetch through the main process.
- *
- * @async
- * @param {string} url - The URL of the feed to fetch
- * @returns {Promise<string>} The raw feed content as text
- * @throws {Error} If the fetch fails or returns an error status
- */
-async function fetchUrl(url) {
-    const serverUrl = getServerUrl();
-    const response = await fetch(`${serverUrl}/api/feed/fetch?url=${encodeURIComponent(url)}`);
-    const data = await response.json();
-
-    if (!data.success) {
-        throw new Error(data.error || 'Failed to fetch feed');
-    }
-
-    return data.data;
-}
-
-/**
- * Escapes special XML characters in a string to prevent parsing errors.
- *
- * @param {string} unsafe - The string containing potentially unsafe characters
- * @returns {string} The escaped string safe for XML parsing
- */
-function escapeXml(unsafe) {
-    if (!unsafe) return '';
-    return unsafe
-        .replace(/[<>&'"]/g, c => {
-            switch (c) {
-                case '<': return '&lt;';
-                case '>': return '&gt;';
-                case '&': return '&amp;';
-                case '\'': return '&apos;';
-                case '"': return '&quot;';
-            }
-        });
-}
+const REDIRECT_MIGRATION_THRESHOLD = 3; // Consecutive fetches permanently redirected to the same URL before a feed's URL is changed
+const MAX_URL_CHANGES = 200;           // Automatic feed URL changes kept in the audit log
 
 /**
  * FeedManager class handles all feed-related operations in KupuKupu.
@@ -91,16 +81,21 @@ export class FeedManager {
     constructor() {
         // Map of feed ID to feed object containing metadata and status
         this.feeds = new Map();
-        // Queue of feeds waiting to be fetched
-        this.fetchQueue = [];
-        // Number of currently active fetch operations
-        this.activeFetches = 0;
+        // Feeds waiting to be fetched or being fetched, by priority
+        this.fetchQueue = new FetchQueue(
+            (feedId, signal, pushed) => this.fetchFeed(feedId, signal, pushed),
+            { concurrency: FETCH_CONCURRENCY }
+        );
         // Whether the feed manager has been initialized
         this.initialized = false;
         // Array of all loaded feed items for display
         this.loadedItems = [];
         // Current index in the loaded items array for infinite scroll
         this.currentIndex = 0;
+        // Global retention policy from settings; feeds may override individual rules
+        this.retention = {};
+        // The user's rules from settings, compiled (see rules-engine.js)
+        this.rules = [];
     }
 
     /**
@@ -126,17 +121,43 @@ export class FeedManager {
                 return;
             }
 
+            this.retention = settings.retention || {};
+            this.rules = compileRules(settings.rules);
+
+            // Rekey items stored under the old link-hash ids
+            await migrateItemIdentity(settings.rssFeeds.map(feed => feed.id));
+
+            // Previously saved feed state, so cache validators survive reloads
+            const savedFeeds = await storage.get('feeds') || {};
+
             // Convert feeds array to Map with additional metadata
             this.feeds = new Map(
-                settings.rssFeeds.map(feed => [
-                    feed.id,
-                    {
-                        ...feed,
-                        lastFetchTime: 0,
-                        errorCount: 0,
-                        status: 'active'
-                    }
-                ])
+                settings.rssFeeds.map(feed => {
+                    // Validators only apply if the feed still points at the same URL
+                    const saved = savedFeeds[feed.id]?.url === feed.url ? savedFeeds[feed.id] : {};
+                    return [
+                        feed.id,
+                        {
+                            ...feed,
+                            lastFetchTime: saved.lastFetchTime || 0,
+                            // Failure state is kept so backoff continues across reloads
+                            errorCount: saved.errorCount || 0,
+                            status: saved.status || 'active',
+                            lastError: saved.lastError || '',
+                            lastErrorKind: saved.lastErrorKind || '',
+                            lastErrorStatus: saved.lastErrorStatus || 0,
+                            lastErrorTime: saved.lastErrorTime || 0,
+                            etag: saved.etag || '',
+                            lastModified: saved.lastModified || '',
+                            nextFetchTime: saved.nextFetchTime || 0,
+                            publishInterval: saved.publishInterval || 0,
+                            scheduleHints: saved.scheduleHints || {},
+                            metadata: saved.metadata || {},
+                            redirectTarget: saved.redirectTarget || '',
+                            redirectCount: saved.redirectCount || 0
+                        }
+                    ];
+                })
             );
             console.log('Initialized feeds:', this.feeds);
 
@@ -148,12 +169,15 @@ export class FeedManager {
 
             this.initialized = true;
 
-            // Initial feed fetch
+            // Initial fetch of any feeds that came due while the app was closed
             console.log('Starting initial feed fetch...');
-            await this.fetchAllFeeds();
+            await this.fetchDueFeeds();
 
             // Load initial items
             await this.loadInitialItems();
+
+            // Enforce retention policies on items stored by previous sessions
+            await this.pruneAllFeeds();
         } catch (error) {
             console.error('Failed to initialize feed manager:', error);
             pubsub.emit('newFeedItems', { count: 0 }); // Hide loading indicator
@@ -170,7 +194,16 @@ export class FeedManager {
     setupEventListeners() {
         // Listen for settings changes to update feeds
         pubsub.on('savedSettings', async (settings) => {
+            this.retention = settings.retention || {};
+            this.rules = compileRules(settings.rules);
             await this.updateFeeds(settings.rssFeeds);
+            // Retention policies may have been tightened
+            await this.pruneAllFeeds();
+        });
+
+        // Stored items were changed by re-running the rules
+        pubsub.on('rulesApplied', async () => {
+            await this.loadInitialItems();
         });
 
         // Listen for feed item read events
@@ -179,12 +212,34 @@ export class FeedManager {
             await this.markItemAsRead(id);
         });
 
-        // Listen for refresh feeds event
-        pubsub.on('refreshFeeds', async () => {
+        // Show what changed in an edited item
+        pubsub.on('showItemDiff', async ({ id }) => {
+            const item = await this.findItem(id);
+            if (item?.revisions?.length > 0) {
+                pubsub.emit('openDrawer', { content: 'item-diff', item });
+            }
+        });
+
+        // Listen for refresh feeds event; a feedId refreshes only that feed, ahead of everything else
+        pubsub.on('refreshFeeds', async ({ feedId } = {}) => {
             console.log( 'Refreshing Feeds. refreshFeeds event received' );
-            await this.fetchAllFeeds();
+            if (feedId) {
+                this.fetchQueue.add(feedId, FETCH_PRIORITY.viewing);
+            } else {
+                await this.fetchAllFeeds();
+            }
         });
 
+        // Content pushed by WebSub hubs is processed ahead of scheduled fetches
+        if (isElectron()) {
+            window.api.receive('websub:content', content => this.handlePushedContent(content));
+        }
+
+        // Work in progress is abandoned when the page is left
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', () => this.fetchQueue.cancel());
+        }
+
         // Listen for scroll events to handle infinite scroll
         if (typeof window !== 'undefined') {
             window.addEventListener('scroll', this.handleScroll.bind(this));
@@ -193,7 +248,8 @@ export class FeedManager {
 
     /**
      * Updates the list of feeds from settings.
-     * Preserves existing feed metadata when updating.
+     * Preserves existing feed metadata when updating, also for feeds whose
+     * URL was changed after they moved (see migrateFeedUrl).
      * Cleans up stored items for removed feeds.
      *
      * @async
@@ -219,7 +275,7 @@ export class FeedManager {
 
         // Process each new feed
         for (const feed of newFeeds) {
-            const oldFeed = oldFeedsByUrl.get(feed.url);
+            const oldFeed = oldFeedsByUrl.get(feed.url) || this.findMovedFeed(feed);
             const newId = feed.id;
             newFeedIds.add(newId);
 
@@ -239,12 +295,32 @@ export class FeedManager {
             }
 
             // Update feeds map with new/existing feed data
-            feedsMap.set(newId, {
+            const updatedFeed = {
                 ...feed,
                 lastFetchTime: oldFeed?.feed?.lastFetchTime || 0,
                 errorCount: oldFeed?.feed?.errorCount || 0,
-                status: oldFeed?.feed?.status || 'active'
-            });
+                status: oldFeed?.feed?.status || 'active',
+                lastError: oldFeed?.feed?.lastError || '',
+                lastErrorKind: oldFeed?.feed?.lastErrorKind || '',
+                lastErrorStatus: oldFeed?.feed?.lastErrorStatus || 0,
+                lastErrorTime: oldFeed?.feed?.lastErrorTime || 0,
+                etag: oldFeed?.feed?.etag || '',
+                lastModified: oldFeed?.feed?.lastModified || '',
+                publishInterval: oldFeed?.feed?.publishInterval || 0,
+                scheduleHints: oldFeed?.feed?.scheduleHints || {},
+                metadata: oldFeed?.feed?.metadata || {},
+                // Redirects seen at the old URL say nothing about the new one
+                redirectTarget: oldFeed?.feed?.url === feed.url ? oldFeed.feed.redirectTarget || '' : '',
+                redirectCount: oldFeed?.feed?.url === feed.url ? oldFeed.feed.redirectCount || 0 : 0
+            };
+
+            // Recompute the schedule in case the feed's interval setting changed.
+            // Feeds that have never been fetched stay due immediately.
+            updatedFeed.nextFetchTime = updatedFeed.lastFetchTime
+                ? computeNextFetchTime(updatedFeed, updatedFeed.lastFetchTime)
+                : 0;
+
+            feedsMap.set(newId, updatedFeed);
         }
 
         // Find and clean up feeds that were removed
@@ -255,9 +331,38 @@ export class FeedManager {
             await storage.delete(`seen_hashes_${feedId}`);
         }
 
+        // Fetches of removed feeds, or of feeds now pointing elsewhere, are no longer wanted
+        this.fetchQueue.cancel(feedId => feedsMap.get(feedId)?.url !== this.feeds.get(feedId)?.url);
+
+        // Neither are pushes for them, or for paused feeds
+        for (const [feedId, feed] of this.feeds) {
+            const updated = feedsMap.get(feedId);
+            if (!updated || updated.disabled || updated.url !== feed.url) {
+                this.unsubscribeFromHub(feedId).catch(error => {
+                    console.warn(`WebSub unsubscribe for ${feedId} failed:`, error);
+                });
+            }
+        }
+
         this.feeds = feedsMap;
         await this.saveFeeds();
-        await this.fetchAllFeeds();
+        await this.fetchDueFeeds();
+    }
+
+    /**
+     * Finds the feed a settings entry was before its URL was changed to
+     * follow a permanent redirect.
+     *
+     * @private
+     * @param {Object} feed - A feed from settings
+     * @returns {{id: string, feed: Object}|undefined} The feed as it was, if it moved to this URL
+     */
+    findMovedFeed(feed) {
+        const previous = this.feeds.get(feed.id);
+        if (previous && previous.redirectTarget === feed.url) {
+            return { id: feed.id, feed: previous };
+        }
+        return undefined;
     }
 
     /**
@@ -271,282 +376,1067 @@ export class FeedManager {
     }
 
     /**
-     * Starts the background fetching interval.
-     * Fetches all feeds periodically based on DEFAULT_FETCH_INTERVAL.
+     * Starts the background fetching scheduler.
+     * Every SCHEDULER_TICK the feeds are checked and any whose nextFetchTime
+     * has passed are fetched. Each feed's schedule is computed by the
+     * feed-scheduler module, so feeds are fetched at their own pace.
+     * Retention policies are enforced every RETENTION_INTERVAL.
      *
      * @private
      */
     startBackgroundFetching() {
         setInterval(() => {
-            this.fetchAllFeeds();
-        }, DEFAULT_FETCH_INTERVAL);
+            this.fetchDueFeeds();
+        }, SCHEDULER_TICK);
+
+        // Retention is also enforced on every fetch; this catches items that age out in between
+        setInterval(() => {
+            this.pruneAllFeeds();
+        }, RETENTION_INTERVAL);
     }
 
     /**
-     * Initiates fetching of all active feeds.
-     * Feeds are added to a queue and processed with concurrency limits.
+     * Fetches every active feed whose scheduled fetch time has passed.
+     * Feeds already in the fetch queue are not queued twice.
      *
      * @async
      */
-    async fetchAllFeeds() {
-        this.fetchQueue = Array.from(this.feeds.values())
-            .filter(feed => feed.status === 'active')
-            .map(feed => ({
-                ...feed,
-                retryCount: 0
-            }));
+    async fetchDueFeeds() {
+        const now = Date.now();
+        const dueFeeds = Array.from(this.feeds.values())
+            // Errored feeds are included so they are re-probed once their backoff expires
+            .filter(feed => !feed.disabled && (feed.status === 'active' || feed.status === 'error'))
+            .filter(feed => (feed.nextFetchTime || 0) <= now)
+            .filter(feed => !this.fetchQueue.has(feed.id));
+
+        if (dueFeeds.length === 0) {
+            // Nothing to fetch, but the loading indicator may be waiting on us
+            if (!this.fetchQueue.isBusy()) {
+                pubsub.emit('feedFetchFinished', { completed: 0, total: 0, failed: 0, cancelled: 0 });
+            }
+            return;
+        }
 
-        await this.processFetchQueue();
+        console.log(`${dueFeeds.length} feeds due for fetching`);
+        dueFeeds.forEach(feed => this.fetchQueue.add(feed.id, FETCH_PRIORITY.scheduled));
     }
 
     /**
-     * Processes the fetch queue while respecting concurrency limits.
-     * Feeds are fetched in parallel up to FETCH_CONCURRENCY limit.
+     * Initiates fetching of all active feeds, regardless of their schedule.
+     * Used for manual refreshes. Fetches already queued or running are kept;
+     * the feed being viewed is fetched first.
      *
      * @async
-     * @private
      */
-    async processFetchQueue() {
-        while (this.fetchQueue.length > 0 && this.activeFetches < FETCH_CONCURRENCY) {
-            const feed = this.fetchQueue.shift();
-            this.activeFetches++;
+    async fetchAllFeeds() {
+        const viewedFeedId = this.getViewedFeedId();
 
-            this.fetchFeed(feed).finally(() => {
-                this.activeFetches--;
-                this.processFetchQueue();
-            });
+        // A manual refresh also retries errored feeds without waiting for their backoff
+        for (const feed of this.feeds.values()) {
+            if (!feed.disabled && (feed.status === 'active' || feed.status === 'error')) {
+                this.fetchQueue.add(feed.id, feed.id === viewedFeedId ? FETCH_PRIORITY.viewing : FETCH_PRIORITY.manual);
+            }
         }
     }
 
+    /**
+     * Returns the feed of the item the user is looking at.
+     *
+     * @private
+     * @returns {string|null} The feed ID, or null if no item is active
+     */
+    getViewedFeedId() {
+        if (typeof document === 'undefined') return null;
+        return document.querySelector('kupukupu-feed-item[active]')?.dataset.feedId || null;
+    }
+
     /**
      * Fetches and processes a single feed.
-     * Handles fetch errors and implements retry logic.
+     * Failures are retried on a backoff schedule (see feed-scheduler.js): the
+     * feed is marked as errored after MAX_RETRIES consecutive failures but keeps
+     * being re-probed, and feedRecovered is emitted when it comes back.
+     *
+     * A cancelled fetch stops before anything is stored and counts as
+     * neither a success nor a failure.
+     *
+     * Content pushed by a WebSub hub is processed in place of a response,
+     * without a request; the cache validators of the last fetch are kept.
+     *
+     * Only the fetch state (status, errors, cache validators, schedule and
+     * learned metadata) is written back, onto the feed as it is when the fetch
+     * ends, so settings changed while it ran (e.g. pausing) are kept.
+     *
+     * Permanent redirects are counted; once a feed has been redirected to the
+     * same URL REDIRECT_MIGRATION_THRESHOLD times in a row, its URL is changed
+     * (or, for a feed with credentials that moved to another site, the change
+     * waits for the user's confirmation).
      *
      * @async
      * @private
-     * @param {Object} feed - The feed object to fetch
+     * @param {string} feedId - The ID of the feed to fetch
+     * @param {AbortSignal} [signal] - Cancels the fetch
+     * @param {Object} [pushed] - Content pushed by the feed's hub, with its body and contentType
+     * @returns {Promise<'fetched'|'failed'|'cancelled'>} How the fetch ended
      */
-    async fetchFeed(feed) {
-        console.log(`Fetching feed: ${feed.url}`);
-        try {
-            // Fetch and parse feed content
-            const text = await fetchUrl(feed.url);
-            console.log(`Received response from ${feed.url}:`, text.substring(0, 200) + '...');
+    async fetchFeed(feedId, signal, pushed) {
+        if (!this.feeds.has(feedId)) return 'cancelled';
+        const feed = { ...this.feeds.get(feedId) };
 
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(text, 'application/xml');
+        console.log(`${pushed ? 'Processing pushed content for' : 'Fetching'} feed: ${feed.url}`);
+        try {
+            // Fetch feed content, conditionally if we have validators from a previous fetch
+            const response = pushed
+                ? { ...pushed, etag: feed.etag, lastModified: feed.lastModified }
+                : await fetchTransport.fetchFeed(feed.url, {
+                    etag: feed.etag,
+                    lastModified: feed.lastModified,
+                    feedId: feed.id,
+                    signal
+                });
 
-            // Check for parsing errors
-            const parseError = doc.querySelector('parsererror');
-            if (parseError) {
-                throw new Error(`XML parsing error: ${parseError.textContent}`);
+            let { publishInterval, scheduleHints, metadata } = feed;
+
+            if (response.notModified) {
+                // Nothing changed since the last fetch, so there is nothing to parse
+                console.log(`Feed not modified since last fetch: ${feed.url}`);
+            } else {
+                const { body: text, contentType } = response;
+                console.log(`Received response from ${feed.url}:`, text.substring(0, 200) + '...');
+
+                // Parse the feed and merge its items with the stored ones in the feed worker
+                const result = await feedWorker.request('processFeed', {
+                    feed: { id: feed.id, url: feed.url },
+                    body: text,
+                    contentType,
+                    existingItems: await storage.get(`feed_items_${feed.id}`) || [],
+                    seenIds: await storage.get(`seen_hashes_${feed.id}`) || [],
+                    policy: this.getRetentionPolicy(feed.id),
+                    starredIds: await this.getStarredIds()
+                }).catch(error => {
+                    // A moved feed often ends up at a web page, which is worth saying
+                    if (response.redirects?.length > 0) {
+                        throw new Error(`Feed parsing error: the feed redirected to ${response.url}, which is not a feed (${error.message})`);
+                    }
+                    throw error;
+                });
+                const { channel } = result;
+                console.log(`Parsed ${result.parsedCount} items from ${feed.url}`);
+                signal?.throwIfAborted();
+
+                const storedItems = await this.processFeedItems(feed.id, result, signal);
+
+                // Learn how often this feed publishes and what it asks of pollers
+                publishInterval = estimatePublishInterval(storedItems) || publishInterval;
+                scheduleHints = channel.schedule;
+                metadata = await this.resolveFeedMetadata(feed, channel);
+
+                // Ask for pushes if the feed has a hub (a no-op while subscribed)
+                if (channel.hub) {
+                    this.subscribeToHub(feed, channel).catch(error => {
+                        console.warn(`WebSub subscription for ${feed.url} failed:`, error);
+                    });
+                }
             }
 
-            // Parse and process feed items
-            const items = this.parseFeedItems(doc, feed);
-            console.log(`Parsed ${items.length} items from ${feed.url}`);
-
-            await this.processFeedItems(feed.id, items);
+            // Count consecutive permanent redirects to the same place
+            let { redirectTarget = '', redirectCount = 0 } = feed;
+            if (!pushed) {
+                const movedTo = response.movedTo && response.movedTo !== feed.url ? response.movedTo : '';
+                redirectCount = movedTo && movedTo === redirectTarget ? redirectCount + 1 : movedTo ? 1 : 0;
+                redirectTarget = movedTo;
+            }
 
-            // Update feed status on success
-            this.feeds.set(feed.id, {
-                ...feed,
-                lastFetchTime: Date.now(),
+            // Update feed status, cache validators and schedule on success
+            const lastFetchTime = Date.now();
+            this.updateFetchState(feed.id, {
+                lastFetchTime,
                 errorCount: 0,
-                status: 'active'
-            });
+                status: 'active',
+                lastError: '',
+                lastErrorKind: '',
+                lastErrorStatus: 0,
+                etag: response.etag,
+                lastModified: response.lastModified,
+                publishInterval: publishInterval || 0,
+                scheduleHints: scheduleHints || {},
+                metadata: metadata || {},
+                redirectTarget,
+                redirectCount
+            }, updatedFeed => computeNextFetchTime(updatedFeed, lastFetchTime));
+
+            /**
+             * Emitted when a feed that was in error status fetches successfully again.
+             *
+             * @event feedRecovered
+             * @type {Object}
+             * @property {string} feedId - The ID of the recovered feed
+             * @property {number} failedAttempts - Consecutive failures before recovery
+             * @property {string} lastError - The last error message before recovery
+             */
+            if (feed.status === 'error') {
+                console.log(`Feed recovered after ${feed.errorCount} failed attempts: ${feed.url}`);
+                pubsub.emit('feedRecovered', {
+                    feedId: feed.id,
+                    failedAttempts: feed.errorCount,
+                    lastError: feed.lastError
+                });
+            }
         } catch (error) {
+            if (signal?.aborted) {
+                console.log(`Fetch cancelled: ${feed.url}`);
+                return 'cancelled';
+            }
+
             console.error(`Error fetching feed ${feed.url}:`, error);
 
-            // Handle fetch errors with retry logic
-            feed.errorCount = (feed.errorCount || 0) + 1;
-            feed.lastError = error.message;
+            // Schedule the next attempt with a backoff suited to the kind of failure
+            const kind = classifyFetchError(error);
+            const wasErrored = feed.status === 'error';
+            const errorCount = (feed.errorCount || 0) + 1;
+            const failure = {
+                errorCount,
+                lastError: error.message,
+                lastErrorKind: kind,
+                lastErrorStatus: error.status || 0,
+                lastErrorTime: Date.now(),
+                nextFetchTime: Date.now() + computeRetryDelay(errorCount, kind, error.retryAfter)
+            };
 
-            if (feed.errorCount >= MAX_RETRIES) {
-                feed.status = 'error';
-                pubsub.emit('feedError', {
-                    feedId: feed.id,
-                    error: `Failed to fetch feed after ${MAX_RETRIES} attempts: ${error.message}`
-                });
-            } else if (feed.retryCount < MAX_RETRIES) {
-                feed.retryCount++;
-                this.fetchQueue.push(feed);
+            if (errorCount >= MAX_RETRIES) {
+                failure.status = 'error';
+
+                /**
+                 * Emitted when a feed starts failing: after MAX_RETRIES consecutive failures.
+                 * Failed re-probes of a feed already in error status are not announced again.
+                 *
+                 * @event feedError
+                 * @type {Object}
+                 * @property {string} feedId - The ID of the failing feed
+                 * @property {string} title - The feed's title
+                 * @property {string} kind - Failure kind from classifyFetchError
+                 * @property {string} error - Description of the failure
+                 */
+                if (!wasErrored) {
+                    pubsub.emit('feedError', {
+                        feedId: feed.id,
+                        title: this.getFeedTitle(feed),
+                        kind,
+                        error: `Failed to fetch feed after ${errorCount} attempts: ${error.message}`
+                    });
+                }
             }
 
-            this.feeds.set(feed.id, feed);
+            console.log(`Next attempt for ${feed.url} at ${new Date(failure.nextFetchTime).toISOString()} (${kind})`);
+            if (this.updateFetchState(feed.id, failure)) {
+                await this.saveFeeds();
+            }
+            return 'failed';
         }
 
         await this.saveFeeds();
 
-        // Hide loading indicator if this was the last fetch
-        if (this.activeFetches === 1 && this.fetchQueue.length === 0) {
-            pubsub.emit('newFeedItems', { count: 0 });
+        // Changing the URL cancels the feed's fetches, so it waits until this one has finished
+        const fetched = this.feeds.get(feedId);
+        if (fetched?.redirectCount >= REDIRECT_MIGRATION_THRESHOLD) {
+            setTimeout(() => {
+                this.migrateFeedUrl(feedId, fetched.redirectTarget).catch(error => {
+                    console.error(`Failed to move feed ${feedId} to ${fetched.redirectTarget}:`, error);
+                });
+            }, 0);
         }
+        return 'fetched';
     }
 
     /**
-     * Parses feed items from an XML document.
-     * Supports both RSS and Atom feed formats.
+     * Writes the outcome of a fetch onto a feed's current record, keeping
+     * everything else on it, such as settings changed while the fetch ran.
      *
      * @private
-     * @param {Document} doc - The parsed XML document
-     * @param {Object} feed - The feed object being processed
-     * @returns {Array<Object>} Array of parsed feed items
-     */
-    parseFeedItems(doc, feed) {
-        const items = [];
-        let entries;
-
-        // Try RSS format first, then Atom
-        entries = doc.querySelectorAll('item');
-        if (entries.length === 0) {
-            entries = doc.querySelectorAll('entry');
-        }
-
-        for (const entry of entries) {
-            const item = {
-                feedId: feed.id,
-                title: this.getElementText(entry, 'title'),
-                content: this.getElementText(entry, 'description') || this.getElementText(entry, 'content'),
-                link: this.getElementText(entry, 'link'),
-                author: this.getElementText(entry, 'author'),
-                published: this.parseDate(entry),
-                urlHash: '',
-                isRead: false,
-                images: []
-            };
+     * @param {string} feedId - The ID of the feed
+     * @param {Object} fetchState - The fields set by the fetch
+     * @param {Function} [nextFetchTime] - Computes the next fetch time from the updated feed
+     * @returns {boolean} False if the feed was removed while it was being fetched
+     */
+    updateFetchState(feedId, fetchState, nextFetchTime) {
+        const current = this.feeds.get(feedId);
+        if (!current) return false;
+
+        const updatedFeed = { ...current, ...fetchState };
+        if (nextFetchTime) {
+            updatedFeed.nextFetchTime = nextFetchTime(updatedFeed);
+        }
+        this.feeds.set(feedId, updatedFeed);
+        return true;
+    }
 
-            // Generate unique hash for deduplication
-            item.urlHash = createHash(item.link);
+    /**
+     * Changes a feed's URL to where it has permanently moved. The change is
+     * saved to the feed's settings, so updateFeeds carries the feed's items and
+     * state over to the new URL, and recorded in the URL change log.
+     * Nothing changes if another feed already uses the new URL.
+     *
+     * A feed's credentials are sent wherever its URL points, so a feed with
+     * credentials is only moved to another origin once the user confirms it
+     * (see confirmUrlChange); until then the change is logged as pending.
+     *
+     * @async
+     * @private
+     * @param {string} feedId - The ID of the feed
+     * @param {string} newUrl - The URL the feed redirects to
+     * @param {Object} [options]
+     * @param {boolean} [options.confirmed=false] - Whether the user confirmed the change
+     * @returns {Promise<boolean>} True if the URL was changed
+     */
+    async migrateFeedUrl(feedId, newUrl, { confirmed = false } = {}) {
+        const feed = this.feeds.get(feedId);
+        if (!feed || !newUrl || feed.url === newUrl) return false;
 
-            // Extract and track images for potential future caching
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = item.content;
-            const images = Array.from(tempDiv.querySelectorAll('img')).map(img => ({
-                originalUrl: img.src,
-                localPath: null,
-                status: 'pending'
-            }));
-            item.images = images;
+        if (!confirmed && new URL(newUrl).origin !== new URL(feed.url).origin && await credentialStore.get(feedId)) {
+            await this.requestUrlChangeConfirmation(feed, newUrl);
+            return false;
+        }
 
-            items.push(item);
+        const settings = await settingsManager.loadSettings();
+        const rssFeeds = settings.rssFeeds || [];
+        if (rssFeeds.some(entry => entry.url === newUrl)) {
+            console.warn(`Not moving ${feed.url} to ${newUrl}: another feed already uses it`);
+            return false;
         }
 
-        return items;
+        const updatedSettings = {
+            ...settings,
+            rssFeeds: rssFeeds.map(entry => entry.id === feedId
+                ? { ...entry, url: newUrl, title: entry.title === entry.url ? newUrl : entry.title }
+                : entry)
+        };
+        if (!await settingsManager.saveSettings(updatedSettings)) {
+            return false;
+        }
+
+        const change = {
+            feedId,
+            title: this.getFeedTitle(feed),
+            from: feed.url,
+            to: newUrl,
+            redirects: feed.redirectCount,
+            time: Date.now(),
+            status: 'changed'
+        };
+        await this.recordUrlChange(change);
+        console.log(`Feed moved permanently, URL changed from ${feed.url} to ${newUrl}`);
+
+        await pubsub.emit('savedSettings', updatedSettings);
+
+        /**
+         * Emitted when a feed's URL is changed automatically because the feed
+         * moved permanently. The change is also recorded in the URL change log.
+         *
+         * @event feedUrlChanged
+         * @type {Object}
+         * @property {string} feedId - The ID of the feed
+         * @property {string} title - The feed's title
+         * @property {string} from - The old URL
+         * @property {string} to - The new URL
+         */
+        pubsub.emit('feedUrlChanged', { feedId, title: change.title, from: change.from, to: change.to });
+        return true;
     }
 
     /**
-     * Extracts text content from an XML element.
+     * Logs a change of a feed with credentials to another origin as pending,
+     * and asks the user to confirm it. Each target is only raised once: a
+     * change already pending or declined is not logged again.
      *
+     * @async
      * @private
-     * @param {Element} parent - The parent element to search in
-     * @param {string} tagName - The tag name to find
-     * @returns {string} The text content or empty string if not found
+     * @param {Object} feed - The feed
+     * @param {string} newUrl - The URL the feed redirects to
+     * @returns {Promise<void>}
+     */
+    async requestUrlChangeConfirmation(feed, newUrl) {
+        const changes = await this.getUrlChanges();
+        const raised = changes.some(change => change.feedId === feed.id && change.from === feed.url &&
+            change.to === newUrl && (change.status === 'pending' || change.status === 'declined'));
+        if (raised) return;
+
+        const change = {
+            feedId: feed.id,
+            title: this.getFeedTitle(feed),
+            from: feed.url,
+            to: newUrl,
+            redirects: feed.redirectCount,
+            time: Date.now(),
+            status: 'pending'
+        };
+        await this.recordUrlChange(change);
+        console.warn(`Feed ${feed.url} moved to another site (${newUrl}); waiting for confirmation before moving its credentials`);
+
+        /**
+         * Emitted when a feed with credentials moved permanently to another
+         * origin. Its URL is not changed, and its credentials not sent to the
+         * new origin, until the user confirms (feedManager.confirmUrlChange).
+         *
+         * @event feedUrlChangePending
+         * @type {Object}
+         * @property {string} feedId - The ID of the feed
+         * @property {string} title - The feed's title
+         * @property {string} from - The current URL
+         * @property {string} to - The URL the feed redirects to
+         */
+        pubsub.emit('feedUrlChangePending', { feedId: feed.id, title: change.title, from: change.from, to: change.to });
+    }
+
+    /**
+     * Moves a feed to the URL of its pending change, credentials included.
+     *
+     * @async
+     * @param {string} feedId - The ID of the feed
+     * @returns {Promise<boolean>} True if the URL was changed; false if nothing is pending
+     *     for the feed's current URL, or the change failed
+     */
+    async confirmUrlChange(feedId) {
+        const feed = this.feeds.get(feedId);
+        const pending = (await this.getUrlChanges()).find(change =>
+            change.feedId === feedId && change.status === 'pending' && change.from === feed?.url);
+        if (!pending) return false;
+
+        return this.migrateFeedUrl(feedId, pending.to, { confirmed: true });
+    }
+
+    /**
+     * Keeps a feed at its URL instead of the pending change, which is logged
+     * as declined and not raised again.
+     *
+     * @async
+     * @param {string} feedId - The ID of the feed
+     * @returns {Promise<boolean>} True if a pending change was declined
      */
-    getElementText(parent, tagName) {
-        const element = parent.querySelector(tagName);
-        return element ? element.textContent.trim() : '';
+    async declineUrlChange(feedId) {
+        const changes = await this.getUrlChanges();
+        const pending = changes.find(change => change.feedId === feedId && change.status === 'pending');
+        if (!pending) return false;
+
+        await this.recordUrlChange({ ...pending, time: Date.now(), status: 'declined' });
+        return true;
     }
 
     /**
-     * Parses publication date from feed item.
-     * Handles multiple date formats from RSS and Atom feeds.
+     * Adds an entry to the URL change log, replacing the feed's pending change if it had one.
      *
+     * @async
      * @private
-     * @param {Element} entry - The feed entry element
-     * @returns {string} ISO date string
+     * @param {Object} change - The log entry
+     * @returns {Promise<void>}
      */
-    parseDate(entry) {
-        const dateStr =
-            this.getElementText(entry, 'pubDate') || // RSS
-            this.getElementText(entry, 'published') || // Atom
-            this.getElementText(entry, 'updated') || // Atom fallback
-            new Date().toISOString(); // Default to now
+    async recordUrlChange(change) {
+        const changes = (await this.getUrlChanges())
+            .filter(entry => !(entry.feedId === change.feedId && entry.status === 'pending'));
+        await storage.set('feedUrlChanges', [change, ...changes].slice(0, MAX_URL_CHANGES));
+    }
 
-        const date = new Date(dateStr);
-        return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    /**
+     * Returns the log of automatic feed URL changes, newest first.
+     *
+     * @async
+     * @returns {Promise<Array<Object>>} Changes with feedId, title, from, to, redirects (how many
+     *     redirected fetches led to the change), time and status: 'changed', 'pending' (waiting
+     *     for the user to confirm moving the feed's credentials) or 'declined'. Entries logged
+     *     before statuses were recorded have none and were changed
+     */
+    async getUrlChanges() {
+        return await storage.get('feedUrlChanges') || [];
     }
 
     /**
-     * Processes new feed items, handling deduplication and storage.
+     * Queues content pushed by a feed's WebSub hub for processing.
+     *
+     * @private
+     * @param {Object} content - The pushed content
+     * @param {string} content.feedId - The ID of the feed it belongs to
+     * @param {string} content.body - The feed document
+     * @param {string} content.contentType - Its content type
+     */
+    handlePushedContent({ feedId, body, contentType }) {
+        const feed = this.feeds.get(feedId);
+        if (!feed || feed.disabled) return;
+
+        console.log(`Received pushed content for feed: ${feed.url}`);
+        this.fetchQueue.add(feedId, FETCH_PRIORITY.viewing, { body, contentType });
+    }
+
+    /**
+     * Subscribes a feed to the WebSub hub it advertises. Only the desktop app
+     * can receive pushes, and only from hubs that can reach it (the main process
+     * skips the others); failures are logged and polling carries on.
      *
      * @async
      * @private
-     * @param {string} feedId - ID of the feed being processed
-     * @param {Array<Object>} newItems - Array of new items to process
+     * @param {Object} feed - The feed
+     * @param {Object} channel - The channel from parseFeed, with its hub and self URLs
      */
-    async processFeedItems(feedId, newItems) {
-        // Get existing items and seen hashes
-        const existingItems = await storage.get(`feed_items_${feedId}`) || [];
-        const seenHashes = await storage.get(`seen_hashes_${feedId}`) || [];
+    async subscribeToHub(feed, channel) {
+        if (!isElectron() || feed.disabled) return;
 
-        // Create a map of existing items by hash for efficient lookup
-        const existingItemsByHash = new Map(
-            existingItems.map(item => [item.urlHash, item])
-        );
+        const result = await window.api.websub.subscribe({
+            feedId: feed.id,
+            topic: channel.self || feed.url,
+            hub: channel.hub
+        });
+        if (!result.ok) {
+            console.warn(`WebSub subscription for ${feed.url} failed:`, result.error);
+        }
+    }
 
-        // Process new items
-        let hasNewItems = false;
-        for (const newItem of newItems) {
-            const existingItem = existingItemsByHash.get(newItem.urlHash);
+    /**
+     * Stops pushes for a feed, if it was subscribed to a hub.
+     *
+     * @async
+     * @private
+     * @param {string} feedId - The ID of the feed
+     */
+    async unsubscribeFromHub(feedId) {
+        if (!isElectron()) return;
 
-            // Update if item is new or newer than existing
-            if (!existingItem || new Date(newItem.published) > new Date(existingItem.published)) {
-                existingItemsByHash.set(newItem.urlHash, newItem);
-                if (!seenHashes.includes(newItem.urlHash)) {
-                    hasNewItems = true;
-                }
+        const result = await window.api.websub.unsubscribe(feedId);
+        if (!result.ok) {
+            console.warn(`WebSub unsubscribe for ${feedId} failed:`, result.error);
+        }
+    }
+
+    /**
+     * Builds the channel-level metadata stored on a feed record from a freshly
+     * parsed channel. The favicon comes from the feed itself when it declares
+     * one, otherwise from the website, looked up at most every FAVICON_REFRESH_INTERVAL.
+     *
+     * @async
+     * @private
+     * @param {Object} feed - The feed object being processed
+     * @param {Object} channel - The channel from parseFeed
+     * @returns {Promise<Object>} Metadata with title, siteUrl, description, language, image and favicon
+     */
+    async resolveFeedMetadata(feed, channel) {
+        const previous = feed.metadata || {};
+        const metadata = {
+            title: channel.title || previous.title || '',
+            siteUrl: channel.link || previous.siteUrl || '',
+            description: channel.description || '',
+            language: channel.language || '',
+            image: channel.image || '',
+            favicon: previous.favicon || '',
+            faviconCheckedAt: previous.faviconCheckedAt || 0
+        };
+
+        if (channel.icon) {
+            metadata.favicon = channel.icon;
+        } else if (Date.now() - metadata.faviconCheckedAt > FAVICON_REFRESH_INTERVAL) {
+            metadata.favicon = await this.findFavicon(metadata.siteUrl || feed.url);
+            metadata.faviconCheckedAt = Date.now();
+        }
+
+        /**
+         * Emitted when a feed's title, website or icon changes.
+         *
+         * @event feedMetadataUpdated
+         * @type {Object}
+         * @property {string} feedId - The ID of the feed
+         * @property {Object} metadata - The new metadata
+         */
+        if (['title', 'siteUrl', 'favicon'].some(key => metadata[key] !== previous[key])) {
+            pubsub.emit('feedMetadataUpdated', { feedId: feed.id, metadata });
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Looks up the favicon of a website.
+     *
+     * @async
+     * @private
+     * @param {string} siteUrl - The website URL
+     * @returns {Promise<string>} The favicon URL, or an empty string if the URL is invalid
+     */
+    async findFavicon(siteUrl) {
+        try {
+            const page = await fetchTransport.fetchPage(siteUrl);
+            return findIconLink(page.body, siteUrl);
+        } catch (error) {
+            // The site itself may be down; /favicon.ico is still the best guess
+            try {
+                return new URL('/favicon.ico', siteUrl).href;
+            } catch (urlError) {
+                return '';
             }
         }
+    }
+
+    /**
+     * Stores the items merged by the feed worker and applies what only the
+     * main thread can: moving starred items and playback positions to adopted
+     * ids, downloading full articles, syncing image cache statuses, and
+     * applying the user's rules to new items.
+     *
+     * @async
+     * @private
+     * @param {string} feedId - ID of the feed being processed
+     * @param {Object} result - The processFeed result from the feed worker (see feed-processing.js)
+     * @param {AbortSignal} [signal] - Cancels processing before anything is stored
+     * @returns {Promise<Array<Object>>} The items now stored for the feed
+     * @throws {DOMException} If the signal is aborted before the items are stored
+     */
+    async processFeedItems(feedId, { items, seenIds, newCount, newItemIds, updatedItemIds, rekeyed }, signal) {
+        const feed = this.feeds.get(feedId);
+        if (feed?.fullContent) {
+            await this.extractArticles(items, signal);
+        }
+        await this.syncImageStatuses(items);
+        signal?.throwIfAborted();
+
+        // Act on new items as the user's rules say
+        const { notifications } = await this.applyRules(feed || { id: feedId }, items, new Set(newItemIds), this.rules);
 
-        // Sort items by date and keep only the most recent ones
-        const allItems = Array.from(existingItemsByHash.values())
-            .sort((a, b) => new Date(b.published) - new Date(a.published));
-        const itemsToKeep = allItems.slice(0, ITEMS_PER_FEED);
+        // Starred items and playback positions follow adopted ids
+        await rekeyItemReferences(new Map(rekeyed));
 
         // Update storage
-        const updatedHashes = itemsToKeep.map(item => item.urlHash);
         await Promise.all([
-            storage.set(`feed_items_${feedId}`, itemsToKeep),
-            storage.set(`seen_hashes_${feedId}`, updatedHashes)
+            storage.set(`feed_items_${feedId}`, items),
+            storage.set(`seen_hashes_${feedId}`, seenIds)
         ]);
 
+        // Download images in the background; statuses are recorded on the next pass
+        imageCache.enqueue(items.flatMap(item =>
+            item.images.filter(image => image.status === 'pending').map(image => image.originalUrl)
+        ));
+
         // Notify if we have new items
-        if (hasNewItems) {
+        if (newCount > 0) {
             pubsub.emit('newFeedItems', {
                 feedId,
-                count: itemsToKeep.length
+                count: items.length
+            });
+        }
+
+        /**
+         * Emitted when publishers edited items that were already stored.
+         *
+         * @event feedItemsUpdated
+         * @type {Object}
+         * @property {string} feedId - The ID of the feed
+         * @property {Array<string>} itemIds - The IDs of the edited items
+         */
+        if (updatedItemIds.length > 0) {
+            pubsub.emit('feedItemsUpdated', { feedId, itemIds: updatedItemIds });
+        }
+
+        for (const [rule, matchedItems] of notifications) {
+            /**
+             * Emitted when new items match a rule with the notify action.
+             *
+             * @event ruleMatched
+             * @type {Object}
+             * @property {string} ruleName - The rule's name, or its pattern if it has none
+             * @property {string} feedId - The ID of the feed
+             * @property {string} feedTitle - The feed's title
+             * @property {Array<{id: string, title: string}>} items - The matching items
+             */
+            pubsub.emit('ruleMatched', {
+                ruleName: rule.name || rule.pattern,
+                feedId,
+                feedTitle: feed ? this.getFeedTitle(feed) : '',
+                items: matchedItems.map(({ id, title }) => ({ id, title }))
             });
         }
 
         // Reload items in the UI
         await this.loadInitialItems();
+
+        return items;
     }
 
     /**
-     * Loads initial items for display in the UI.
-     * Handles deduplication across feeds and sorts by date.
+     * Applies rules to some of a feed's items: hides, tags, marks read and
+     * stars the items they match, and collects the notifications they ask for.
+     * Hiding and tags follow the rules as they are now; items are never marked
+     * unread or unstarred, since the user may have done that themselves.
      *
      * @async
+     * @private
+     * @param {Object} feed - The feed, with its id and title
+     * @param {Array<Object>} items - The feed's items; updated in place
+     * @param {Set<string>} itemIds - IDs of the items to apply the rules to
+     * @param {Array<Object>} rules - Rules from compileRules
+     * @returns {Promise<{matchedCount: number, changed: boolean, notifications: Map<Object, Array<Object>>}>}
+     *     How many items matched a rule, whether any item changed, and the matching items of each rule
+     *     with the notify action
      */
-    async loadInitialItems() {
-        console.log('Loading initial items...');
-        const allItems = [];
-        const seenHashes = new Set();
+    async applyRules(feed, items, itemIds, rules) {
+        const notifications = new Map();
+        const toStar = [];
+        let matchedCount = 0;
+        let changed = false;
+
+        for (const item of items) {
+            if (!itemIds.has(item.id)) continue;
+
+            const result = evaluateRules({ ...item, feedId: feed.id }, rules);
+            const before = JSON.stringify([item.hidden, item.tags, item.isRead]);
+
+            if (result.hide) {
+                item.hidden = true;
+            } else {
+                delete item.hidden;
+            }
+            if (result.tags.length > 0) {
+                item.tags = result.tags;
+            } else {
+                delete item.tags;
+            }
+            if (result.markRead) {
+                item.isRead = true;
+            }
+            if (result.star) {
+                toStar.push(item);
+            }
+            for (const rule of result.notify) {
+                notifications.set(rule, [...(notifications.get(rule) || []), item]);
+            }
+
+            if (result.matched.length > 0) matchedCount++;
+            if (JSON.stringify([item.hidden, item.tags, item.isRead]) !== before) changed = true;
+        }
+
+        await this.starItems(feed, toStar);
+        return { matchedCount, changed, notifications };
+    }
+
+    /**
+     * Stars items, as the star button does, unless they already are.
+     *
+     * @async
+     * @private
+     * @param {Object} feed - The items' feed, whose title is the source of items without an author
+     * @param {Array<Object>} items - The items to star
+     * @returns {Promise<void>}
+     */
+    async starItems(feed, items) {
+        if (items.length === 0) return;
+
+        const permanentStorage = await storage.get('permanentStorage') || {};
+        const starredItems = permanentStorage.starredItems || {};
+        const newlyStarred = items.filter(item => !starredItems[item.id]);
+        if (newlyStarred.length === 0) return;
+
+        const starredAt = new Date().toISOString();
+        for (const item of newlyStarred) {
+            starredItems[item.id] = {
+                id: item.id,
+                title: item.title,
+                content: item.content,
+                source: item.author || this.getFeedTitle(feed) || feed.url || '',
+                published: item.published,
+                link: item.link,
+                starredAt
+            };
+        }
+        await storage.set('permanentStorage', { ...permanentStorage, starredItems });
+
+        for (const item of newlyStarred) {
+            pubsub.emit('itemStarred', { itemId: item.id });
+        }
+    }
+
+    /**
+     * Re-runs rules against every stored item, e.g. after they were edited.
+     * Reads the saved feeds rather than this.feeds, so it can be called from
+     * the settings page. Notifications are only given for new items, so none
+     * are given here.
+     *
+     * @async
+     * @param {Array<Object>} [rules] - The rules to apply, e.g. as edited on the settings page;
+     *     the saved rules if not given
+     * @returns {Promise<number>} How many items the rules matched
+     */
+    async applyRulesToStoredItems(rules) {
+        const settings = await settingsManager.loadSettings();
+        const compiled = compileRules(rules || settings.rules);
+        let matchedCount = 0;
+
+        for (const feed of settings.rssFeeds || []) {
+            const items = await storage.get(`feed_items_${feed.id}`) || [];
+            const result = await this.applyRules(feed, items, new Set(items.map(item => item.id)), compiled);
+            matchedCount += result.matchedCount;
+            if (result.changed) {
+                await storage.set(`feed_items_${feed.id}`, items);
+            }
+        }
+
+        /**
+         * Emitted when the rules were re-run against the stored items, which
+         * may have hidden, tagged or marked some of them.
+         *
+         * @event rulesApplied
+         * @type {Object}
+         * @property {number} matchedCount - How many items the rules matched
+         */
+        await pubsub.emit('rulesApplied', { matchedCount });
+        return matchedCount;
+    }
+
+    /**
+     * Downloads the linked pages of items that have no article yet and stores
+     * their main content on the item (`article`). Failed extractions are
+     * recorded, so the item shows its feed content instead and is not retried
+     * until the publisher edits it. At most MAX_ARTICLE_EXTRACTIONS pages are
+     * downloaded per call, newest items first; the rest follow on later fetches.
+     *
+     * @async
+     * @private
+     * @param {Array<Object>} items - The feed's items, newest first; updated in place
+     * @param {AbortSignal} [signal] - Stops further downloads
+     * @returns {Promise<void>}
+     */
+    async extractArticles(items, signal) {
+        const pending = items.filter(item => !item.article && /^https?:\/\//i.test(item.link || ''));
+
+        for (const item of pending.slice(0, MAX_ARTICLE_EXTRACTIONS)) {
+            if (signal?.aborted) return;
+            try {
+                const page = await fetchTransport.fetchPage(item.link);
+                const article = extractArticle(page.body, item.link);
+                item.article = article
+                    ? {
+                        status: 'extracted',
+                        content: sanitizeHtml(article.content, { baseUrl: item.link }),
+                        extractedAt: new Date().toISOString()
+                    }
+                    : { status: 'failed', error: 'No article found on the page', extractedAt: new Date().toISOString() };
+
+                // The article's images are cached like the feed content's
+                if (article) {
+                    const known = new Set((item.images || []).map(image => image.originalUrl));
+                    item.images = [
+                        ...(item.images || []),
+                        ...extractImages(article.content).filter(image => !known.has(image.originalUrl))
+                    ];
+                }
+            } catch (error) {
+                console.warn(`Failed to fetch article ${item.link}:`, error);
+                item.article = { status: 'failed', error: error.message, extractedAt: new Date().toISOString() };
+            }
+        }
+    }
+
+    /**
+     * Copies the image cache's status of each image onto the items' `images`
+     * records: `cached` with its `localPath`, `failed`, or still `pending`.
+     *
+     * @async
+     * @private
+     * @param {Array<Object>} items - Feed items; updated in place
+     * @returns {Promise<void>}
+     */
+    async syncImageStatuses(items) {
+        for (const item of items) {
+            for (const image of item.images || []) {
+                const entry = await imageCache.getEntry(image.originalUrl);
+                image.status = entry?.status || 'pending';
+                image.localPath = entry?.status === 'cached' ? entry.localPath : null;
+            }
+        }
+    }
+
+    /**
+     * Returns the effective retention policy for a feed.
+     *
+     * @private
+     * @param {string} feedId - ID of the feed
+     * @returns {Object} The policy, see feed-retention.js
+     */
+    getRetentionPolicy(feedId) {
+        return resolveRetentionPolicy(this.feeds.get(feedId)?.retention, this.retention);
+    }
+
+    /**
+     * Creates a filter matching starred items, which retention never prunes.
+     *
+     * @async
+     * @private
+     * @returns {Promise<Function>} Returns true for starred items
+     */
+    async getStarredFilter() {
+        const starredIds = new Set(await this.getStarredIds());
+        return (item) => starredIds.has(item.id);
+    }
+
+    /**
+     * Returns the ids of starred items.
+     *
+     * @async
+     * @private
+     * @returns {Promise<Array<string>>} The starred item ids
+     */
+    async getStarredIds() {
+        const permanentStorage = await storage.get('permanentStorage') || {};
+        return Object.keys(permanentStorage.starredItems || {});
+    }
+
+    /**
+     * Enforces retention policies on the stored items of every feed.
+     *
+     * @async
+     * @returns {Promise<{removedCount: number, reclaimedBytes: number, feeds: Object<string, number>, imagesRemoved: number}>}
+     *     How many items were pruned in total and per feed, how many cached images were evicted,
+     *     and the storage reclaimed
+     */
+    async pruneAllFeeds() {
+        const isExempt = await this.getStarredFilter();
+        const report = { removedCount: 0, reclaimedBytes: 0, feeds: {}, imagesRemoved: 0 };
+        const referencedImages = new Set();
 
-        // Collect and deduplicate items from all feeds
         for (const [feedId] of this.feeds) {
             const items = await storage.get(`feed_items_${feedId}`) || [];
-            for (const item of items) {
-                if (!seenHashes.has(item.urlHash)) {
-                    allItems.push(item);
-                    seenHashes.add(item.urlHash);
-                }
+            const { kept, removed } = applyRetentionPolicy(items, this.getRetentionPolicy(feedId), { isExempt });
+            kept.forEach(item => (item.images || []).forEach(image => referencedImages.add(image.originalUrl)));
+
+            if (removed.length > 0) {
+                await storage.set(`feed_items_${feedId}`, kept);
+                report.removedCount += removed.length;
+                report.reclaimedBytes += estimateStorageSize(removed);
+                report.feeds[feedId] = removed.length;
+            }
+        }
+
+        // Cached images go with the items that used them
+        const images = await imageCache.evict(referencedImages);
+        report.imagesRemoved = images.removedCount;
+        report.reclaimedBytes += images.reclaimedBytes;
+        if (images.removedCount > 0) {
+            console.log(`Evicted ${images.removedCount} cached images, reclaiming ${formatBytes(images.reclaimedBytes)}`);
+        }
+
+        if (report.removedCount > 0) {
+            console.log(`Pruned ${report.removedCount} items, reclaiming ${formatBytes(report.reclaimedBytes)}`);
+
+            /**
+             * Emitted when retention pruning removed stored items.
+             *
+             * @event feedItemsPruned
+             * @type {Object}
+             * @property {number} removedCount - Total number of items pruned
+             * @property {number} reclaimedBytes - Estimated storage reclaimed, in bytes
+             * @property {Object<string, number>} feeds - Number of items pruned per feed ID
+             * @property {number} imagesRemoved - Number of cached images evicted
+             */
+            pubsub.emit('feedItemsPruned', report);
+            await this.loadInitialItems();
+        }
+
+        return report;
+    }
+
+    /**
+     * Returns the title to show for a feed: the user's title, unless they
+     * left it as the URL, then the channel's own title.
+     *
+     * @private
+     * @param {Object} feed - The feed object
+     * @returns {string} The title, or an empty string if the feed has none yet
+     */
+    getFeedTitle(feed) {
+        return feed.title !== feed.url ? feed.title : (feed.metadata?.title || '');
+    }
+
+    /**
+     * Reports the fetch health of every feed, for the feed health page.
+     * Reads the saved feed state rather than this.feeds, so it can be called
+     * before the feed manager has finished initializing.
+     *
+     * @async
+     * @returns {Promise<Array<Object>>} One entry per feed, in settings order, with id, title, url, favicon,
+     *     status ('active', 'failing', 'error' or 'disabled'), lastFetchTime (last successful fetch),
+     *     nextFetchTime, errorCount, lastError, lastErrorKind, lastErrorStatus (HTTP status, 0 if none),
+     *     lastErrorTime, itemCount, unreadCount and publishInterval (average time between posts, 0 if unknown)
+     */
+    async getFeedHealth() {
+        const settings = await settingsManager.loadSettings();
+        const savedFeeds = await storage.get('feeds') || {};
+        const health = [];
+
+        for (const feedSettings of settings.rssFeeds || []) {
+            // Saved state only applies if the feed still points at the same URL
+            const saved = savedFeeds[feedSettings.id]?.url === feedSettings.url ? savedFeeds[feedSettings.id] : {};
+            const feed = { ...saved, ...feedSettings };
+            const items = await storage.get(`feed_items_${feed.id}`) || [];
+            let status = feed.status || 'active';
+            if (feed.disabled) {
+                status = 'disabled';
+            } else if (status === 'active' && feed.errorCount > 0) {
+                status = 'failing';
             }
+
+            health.push({
+                id: feed.id,
+                title: this.getFeedTitle(feed) || feed.url,
+                url: feed.url,
+                favicon: feed.metadata?.favicon || '',
+                status,
+                lastFetchTime: feed.lastFetchTime || 0,
+                nextFetchTime: feed.nextFetchTime || 0,
+                errorCount: feed.errorCount || 0,
+                lastError: feed.lastError || '',
+                lastErrorKind: feed.lastErrorKind || '',
+                lastErrorStatus: feed.lastErrorStatus || 0,
+                lastErrorTime: feed.lastErrorTime || 0,
+                itemCount: items.length,
+                unreadCount: items.filter(item => !item.isRead).length,
+                publishInterval: feed.publishInterval || 0
+            });
         }
 
-        // Sort by date
-        this.loadedItems = allItems.sort((a, b) => new Date(b.published) - new Date(a.published));
+        return health;
+    }
+
+    /**
+     * Stops or resumes fetching a feed. Its stored items stay available.
+     * The change is saved to the feed's settings, so it survives reloads.
+     *
+     * @async
+     * @param {string} feedId - The ID of the feed
+     * @param {boolean} disabled - Whether the feed should stop being fetched
+     * @returns {Promise<boolean>} True if the settings were saved
+     */
+    async setFeedDisabled(feedId, disabled) {
+        const settings = await settingsManager.loadSettings();
+        const rssFeeds = (settings.rssFeeds || []).map(feed =>
+            feed.id === feedId ? { ...feed, disabled } : feed
+        );
+        const updatedSettings = { ...settings, rssFeeds };
+
+        if (disabled) {
+            this.fetchQueue.cancel(id => id === feedId);
+        }
+        if (!await settingsManager.saveSettings(updatedSettings)) {
+            return false;
+        }
+        await pubsub.emit('savedSettings', updatedSettings);
+        return true;
+    }
+
+    /**
+     * Loads initial items for display in the UI.
+     * The feed worker deduplicates items across feeds and sorts them by date.
+     *
+     * @async
+     */
+    async loadInitialItems() {
+        console.log('Loading initial items...');
+        const itemLists = [];
+        for (const [feedId] of this.feeds) {
+            itemLists.push(await storage.get(`feed_items_${feedId}`) || []);
+        }
+
+        this.loadedItems = await feedWorker.request('collectItems', { itemLists });
         console.log(`Total items loaded: ${this.loadedItems.length}`);
 
         // Only try to display items if we're on a page that shows feeds
@@ -584,21 +1474,44 @@ export class FeedManager {
 
         for (const item of items) {
             // Skip if already displayed
-            if (existingHashes.has(item.urlHash)) {
+            if (existingHashes.has(item.id)) {
                 continue;
             }
 
+            const feed = this.feeds.get(item.feedId);
+            const feedTitle = feed ? this.getFeedTitle(feed) : '';
+
             // Create and configure feed item element
             const feedElement = document.createElement('kupukupu-feed-item');
-            feedElement.id = item.urlHash;
+            feedElement.id = item.id;
+            feedElement.dataset.feedId = item.feedId;
             feedElement.setAttribute('title', item.title);
-            feedElement.setAttribute('content', item.content);
-            feedElement.setAttribute('source', item.author);
+            // Feeds set to show full articles fall back to the feed content when extraction failed
+            const showArticle = feed?.fullContent && item.article?.status === 'extracted';
+            feedElement.setAttribute('content', showArticle ? item.article.content : item.content);
+            feedElement.setAttribute('source', item.author || feedTitle);
+            feedElement.setAttribute('feedtitle', feedTitle);
+            if (feed?.metadata?.favicon) {
+                feedElement.setAttribute('icon', feed.metadata.favicon);
+            }
             feedElement.setAttribute('published', item.published);
             feedElement.setAttribute('link', item.link);
+            if (item.enclosures?.length > 0) {
+                feedElement.setAttribute('enclosures', JSON.stringify(item.enclosures));
+            }
             if (item.isRead) {
                 feedElement.setAttribute('isread', 'true');
             }
+            if (item.updated) {
+                feedElement.setAttribute('updated', '');
+            }
+            const otherFeedTitles = this.getDuplicateFeedTitles(item, feedTitle);
+            if (otherFeedTitles.length > 0) {
+                feedElement.setAttribute('alsoin', JSON.stringify(otherFeedTitles));
+            }
+            if (item.tags?.length > 0) {
+                feedElement.setAttribute('tags', JSON.stringify(item.tags));
+            }
 
             container.appendChild(feedElement);
         }
@@ -606,6 +1519,26 @@ export class FeedManager {
         this.currentIndex = start + items.length;
     }
 
+    /**
+     * Lists the other feeds a story was also published in.
+     *
+     * @private
+     * @param {Object} item - A display item, with the other copies in `duplicates`
+     * @param {string} feedTitle - The title of the item's own feed, which is not repeated
+     * @returns {Array<string>} Feed titles, without duplicates
+     */
+    getDuplicateFeedTitles(item, feedTitle) {
+        const titles = new Set();
+        for (const { feedId } of item.duplicates || []) {
+            const feed = this.feeds.get(feedId);
+            if (feed && feedId !== item.feedId) {
+                titles.add(this.getFeedTitle(feed) || feed.url);
+            }
+        }
+        titles.delete(feedTitle);
+        return Array.from(titles);
+    }
+
     /**
      * Handles scroll events for infinite scrolling.
      * Loads more items when approaching the bottom of the page.
@@ -640,23 +1573,54 @@ export class FeedManager {
     }
 
     /**
-     * Marks a feed item as read.
+     * Looks up a stored feed item.
+     *
+     * @async
+     * @param {string} itemId - The id of the item
+     * @returns {Promise<Object|null>} The item, or null if it is not stored
+     */
+    async findItem(itemId) {
+        for (const [feedId] of this.feeds) {
+            const items = await storage.get(`feed_items_${feedId}`) || [];
+            const item = items.find(storedItem => storedItem.id === itemId);
+            if (item) return item;
+        }
+        return null;
+    }
+
+    /**
+     * Marks a feed item as read, together with its copies in other feeds
+     * (see item-duplicates.js).
      * Updates both the UI and storage.
      *
      * @async
-     * @param {string} itemId - The URL hash of the item to mark as read
+     * @param {string} itemId - The id of the item to mark as read
      */
     async markItemAsRead(itemId) {
-        for (const [feedId] of this.feeds) {
+        const displayed = this.loadedItems.find(item => item.id === itemId);
+        const copies = [{ id: itemId, feedId: displayed?.feedId }, ...(displayed?.duplicates || [])];
+        const copyIds = new Set(copies.map(copy => copy.id));
+        // Only the copies' feeds are searched, or every feed for an item that is not displayed
+        const feedIds = displayed ? new Set(copies.map(copy => copy.feedId)) : new Set(this.feeds.keys());
+
+        for (const feedId of feedIds) {
             const items = await storage.get(`feed_items_${feedId}`) || [];
-            const itemIndex = items.findIndex(item => item.urlHash === itemId);
+            let changed = false;
+            for (const item of items) {
+                if (copyIds.has(item.id) && !item.isRead) {
+                    item.isRead = true;
+                    changed = true;
+                }
+            }
 
-            if (itemIndex !== -1) {
-                items[itemIndex].isRead = true;
+            if (changed) {
                 await storage.set(`feed_items_${feedId}`, items);
-                break;
             }
         }
+
+        if (displayed) {
+            displayed.isRead = true;
+        }
     }
 }
 
@@ -0,0 +1,669 @@
+/**
+ * Feed Parser Module
+ *
+ * Converts raw feed documents into a normalized structure that the feed
+ * manager can store. Supported formats:
+ * - RSS 0.9x, RSS 2.0 (including content:encoded, dc:creator and dc:date)
+ * - RSS 0.90 and RSS 1.0 (RDF), where items are siblings of the channel
+ * - Atom 1.0 (and the older Atom 0.3 namespace)
+ * - JSON Feed 1.0 and 1.1
+ *
+ * Podcast and media attachments are read from RSS <enclosure>, Atom
+ * rel="enclosure" links, Media RSS (media:content) and JSON Feed attachments
+ * into each item's enclosures array; iTunes podcast tags fill in durations,
+ * episode artwork and authors.
+ *
+ * Relative URLs are resolved against xml:base (where present) and the URL
+ * the feed was fetched from, both for item links and inside item content.
+ *
+ * The parser works on the element tree from xml-parser.js rather than the DOM,
+ * so it does not depend on DOMParser being available.
+ *
+ * @module feed-parser
+ *
+ * @example
+ * import { parseFeed } from './feed-parser.js';
+ *
+ * const { format, channel, items } = parseFeed(text, {
+ *     contentType: 'application/rss+xml',
+ *     baseUrl: 'https://example.com/feed.xml'
+ * });
+ */
+
+import {
+    parseXml,
+    isElement,
+    childElements,
+    firstChild,
+    textContent,
+    getAttribute,
+    innerXml,
+    decodeEntities,
+    escapeXml,
+    XML_NAMESPACE
+} from './xml-parser.js';
+
+// Namespaces used by the supported feed formats and their extensions
+export const NAMESPACES = {
+    atom: 'http://www.w3.org/2005/Atom',
+    atom03: 'http://purl.org/atom/ns#',
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rss090: 'http://my.netscape.com/rdf/simple/0.9/',
+    rss10: 'http://purl.org/rss/1.0/',
+    content: 'http://purl.org/rss/1.0/modules/content/',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    sy: 'http://purl.org/rss/1.0/modules/syndication/',
+    media: 'http://search.yahoo.com/mrss/',
+    itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd'
+};
+
+// Both Atom namespaces share enough vocabulary to be read by the same code
+const ATOM = [NAMESPACES.atom, NAMESPACES.atom03];
+
+// RSS 2.0 and 0.9x elements are in no namespace; RDF flavours have their own
+const RDF_ITEM_NAMESPACES = [NAMESPACES.rss10, NAMESPACES.rss090];
+
+/**
+ * Determines whether a fetched feed is a JSON Feed (https://jsonfeed.org).
+ * The content type is checked first; since many servers send JSON Feeds as
+ * text/plain or application/octet-stream, the payload itself is sniffed too.
+ *
+ * @param {string} text - The raw feed content
+ * @param {string} contentType - The content type reported for the response
+ * @returns {boolean} True if the content should be parsed as a JSON Feed
+ */
+export function isJsonFeed(text, contentType = '') {
+    if (/^application\/(feed\+)?json\b/i.test(contentType)) {
+        return true;
+    }
+
+    const trimmed = text.trimStart();
+    return trimmed.startsWith('{') && /"version"\s*:\s*"https?:\/\/jsonfeed\.org\/version\//.test(trimmed);
+}
+
+/**
+ * Resolves a possibly relative URL against a base URL.
+ *
+ * @param {string} url - The URL to resolve
+ * @param {string} [base] - The base URL
+ * @returns {string} The absolute URL, or the input if it cannot be resolved
+ */
+export function resolveUrl(url, base) {
+    if (!url) return '';
+    try {
+        return new URL(url.trim(), base || undefined).href;
+    } catch (error) {
+        return url.trim();
+    }
+}
+
+/**
+ * Resolves relative src and href attributes inside an HTML fragment.
+ *
+ * @param {string} html - The HTML fragment
+ * @param {string} base - The base URL to resolve against
+ * @returns {string} The HTML with absolute URLs
+ */
+function resolveHtmlUrls(html, base) {
+    if (!html || !base) return html;
+    return html.replace(/(\s(?:src|href|poster)\s*=\s*)(["'])([^"']*)\2/gi, (match, attribute, quote, url) => {
+        // Leave fragments, data URIs and already-absolute URLs alone
+        if (!url || url.startsWith('#') || /^[a-z][a-z0-9+.-]*:/i.test(url)) return match;
+        return `${attribute}${quote}${resolveUrl(decodeEntities(url), base)}${quote}`;
+    });
+}
+
+/**
+ * Converts a fragment of HTML into plain text.
+ * Used for titles, which some publishers encode as HTML.
+ *
+ * @param {string} html - The HTML fragment
+ * @returns {string} The plain text
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    if (!/<\/?[a-z][^>]*>|&[a-z#0-9]+;/i.test(html)) return html.trim();
+
+    return decodeEntities(
+        html.replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/gi, ' ')
+            .replace(/&hellip;/gi, '…')
+            .replace(/&[lr]squo;/gi, '\'')
+            .replace(/&[lr]dquo;/gi, '"')
+            .replace(/&[nm]dash;/gi, '–')
+    ).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalizes a date string into an ISO date string.
+ *
+ * @param {string} value - The date as found in the feed
+ * @returns {string|null} ISO date string, or null if it cannot be parsed
+ */
+function normalizeDate(value) {
+    if (!value) return null;
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Computes the effective base URL of an element by walking up its
+ * ancestors and applying every xml:base attribute in turn.
+ *
+ * @param {Object} node - The element
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {string} The base URL in effect for the element
+ */
+function baseFor(node, documentUrl) {
+    const bases = [];
+    for (let current = node; current; current = current.parent) {
+        const base = getAttribute(current, 'base', XML_NAMESPACE);
+        if (base) bases.unshift(base);
+    }
+    return bases.reduce((resolved, base) => resolveUrl(base, resolved), documentUrl || '');
+}
+
+/**
+ * Reads the text of the first matching child element.
+ *
+ * @param {Object} node - The parent element
+ * @param {string|Array<string>} namespace - Namespace URI(s) to match
+ * @param {string} localName - The local name to match
+ * @returns {string} The trimmed text, or an empty string
+ */
+function childText(node, namespace, localName) {
+    return textContent(firstChild(node, namespace, localName)).trim();
+}
+
+/**
+ * Reads an Atom text construct (title, summary, content, rights...) as HTML.
+ *
+ * @param {Object} node - The Atom text construct element
+ * @returns {string} The value as HTML
+ */
+function atomTextAsHtml(node) {
+    if (!node) return '';
+    const type = (getAttribute(node, 'type') || 'text').toLowerCase();
+
+    if (type === 'xhtml') {
+        // The payload is wrapped in a single xhtml:div which is not part of the content
+        const wrapper = node.children.find(child => child.type === 'element');
+        return (wrapper ? innerXml(wrapper) : innerXml(node)).trim();
+    }
+    if (type === 'html' || type === 'text/html') {
+        return textContent(node).trim();
+    }
+    return escapeXml(textContent(node).trim()).replace(/\n/g, '<br>');
+}
+
+/**
+ * Reads an Atom text construct as plain text.
+ *
+ * @param {Object} node - The Atom text construct element
+ * @returns {string} The value as plain text
+ */
+function atomTextAsPlain(node) {
+    if (!node) return '';
+    const type = (getAttribute(node, 'type') || 'text').toLowerCase();
+    return type === 'text' ? textContent(node).replace(/\s+/g, ' ').trim() : htmlToText(atomTextAsHtml(node));
+}
+
+/**
+ * Finds the best alternate link among a set of Atom link elements.
+ *
+ * @param {Array<Object>} links - The atom:link elements
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {string} The resolved href, or an empty string
+ */
+function atomAlternateLink(links, documentUrl) {
+    const alternates = links.filter(link => (getAttribute(link, 'rel') || 'alternate') === 'alternate');
+    const preferred = alternates.find(link => /html/i.test(getAttribute(link, 'type') || '')) || alternates[0];
+    if (!preferred) return '';
+    return resolveUrl(getAttribute(preferred, 'href'), baseFor(preferred, documentUrl));
+}
+
+/**
+ * Finds the WebSub discovery links among a set of atom:link elements:
+ * the hub and the canonical URL of the feed itself (its topic).
+ *
+ * @param {Array<Object>} links - The atom:link elements
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {{hub: string, self: string}} The resolved hrefs, or empty strings
+ */
+function atomWebSubLinks(links, documentUrl) {
+    const find = (rel) => {
+        const link = links.find(candidate => (getAttribute(candidate, 'rel') || '').split(/\s+/).includes(rel));
+        return link ? resolveUrl(getAttribute(link, 'href'), baseFor(link, documentUrl)) : '';
+    };
+    return { hub: find('hub'), self: find('self') };
+}
+
+/**
+ * Reads Atom person constructs (author/contributor) into a display string.
+ *
+ * @param {Array<Object>} people - The person elements
+ * @returns {string} Comma-separated names
+ */
+function atomPeople(people) {
+    return people
+        .map(person => childText(person, ATOM, 'name') || childText(person, ATOM, 'email'))
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Cleans up an RSS author field, which is specified as an email address
+ * optionally followed by a name in parentheses.
+ *
+ * @param {string} value - The raw author value
+ * @returns {string} The display name
+ */
+function rssAuthor(value) {
+    if (!value) return '';
+    const match = value.match(/^\s*\S+@\S+\s*\((.+)\)\s*$/);
+    return match ? match[1].trim() : value.trim();
+}
+
+/**
+ * Converts a duration into seconds. Accepts plain seconds ("3723") as well as
+ * the clock formats used by iTunes ("1:02:03", "62:03").
+ *
+ * @param {string|number} value - The duration as found in the feed
+ * @returns {number} Duration in seconds, or 0 if unknown
+ */
+function parseDuration(value) {
+    if (!value) return 0;
+    const parts = String(value).trim().split(':').map(Number);
+    if (parts.some(part => isNaN(part) || part < 0)) return 0;
+    return Math.round(parts.reduce((total, part) => total * 60 + part, 0));
+}
+
+/**
+ * Reads the media attachments of an item or entry: RSS <enclosure> elements,
+ * Atom rel="enclosure" links and Media RSS media:content (also inside media:group).
+ * The same URL is only listed once, in that order of preference.
+ *
+ * @param {Object} entry - The item or entry element
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {Array<{url: string, type: string, length: number, title: string, duration: number}>} The enclosures
+ */
+function parseEnclosures(entry, documentUrl) {
+    const base = baseFor(entry, documentUrl);
+    const enclosures = [];
+    const add = (url, attributes) => {
+        const resolved = resolveUrl(url, base);
+        if (resolved && !enclosures.some(enclosure => enclosure.url === resolved)) {
+            enclosures.push({ url: resolved, type: '', length: 0, title: '', duration: 0, ...attributes });
+        }
+    };
+
+    for (const node of childElements(entry, entry.namespace, 'enclosure')) {
+        add(getAttribute(node, 'url'), {
+            type: getAttribute(node, 'type') || '',
+            length: parseInt(getAttribute(node, 'length'), 10) || 0
+        });
+    }
+
+    for (const node of childElements(entry, ATOM, 'link')) {
+        if (getAttribute(node, 'rel') !== 'enclosure') continue;
+        add(getAttribute(node, 'href'), {
+            type: getAttribute(node, 'type') || '',
+            length: parseInt(getAttribute(node, 'length'), 10) || 0,
+            title: getAttribute(node, 'title') || ''
+        });
+    }
+
+    const mediaContent = [
+        ...childElements(entry, NAMESPACES.media, 'content'),
+        ...childElements(entry, NAMESPACES.media, 'group')
+            .flatMap(group => childElements(group, NAMESPACES.media, 'content'))
+    ];
+    for (const node of mediaContent) {
+        // Images are artwork rather than something to play or download
+        const medium = getAttribute(node, 'medium') || '';
+        const type = getAttribute(node, 'type') || '';
+        if (medium === 'image' || type.startsWith('image/')) continue;
+        add(getAttribute(node, 'url'), {
+            type: type || (medium ? `${medium}/*` : ''),
+            length: parseInt(getAttribute(node, 'fileSize'), 10) || 0,
+            title: childText(node, NAMESPACES.media, 'title'),
+            duration: parseDuration(getAttribute(node, 'duration'))
+        });
+    }
+
+    // iTunes declares a single duration for the episode
+    const duration = parseDuration(childText(entry, NAMESPACES.itunes, 'duration'));
+    if (duration) {
+        enclosures.filter(enclosure => !enclosure.duration).forEach(enclosure => {
+            enclosure.duration = duration;
+        });
+    }
+
+    return enclosures;
+}
+
+/**
+ * Finds the artwork declared for an item or entry: the iTunes episode image,
+ * a Media RSS thumbnail or an image-type media:content.
+ *
+ * @param {Object} entry - The item or entry element
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {string} The resolved image URL, or an empty string
+ */
+function parseItemImage(entry, documentUrl) {
+    const base = baseFor(entry, documentUrl);
+    const mediaImage = childElements(entry, NAMESPACES.media, 'content').find(node =>
+        getAttribute(node, 'medium') === 'image' || (getAttribute(node, 'type') || '').startsWith('image/'));
+
+    const url = getAttribute(firstChild(entry, NAMESPACES.itunes, 'image'), 'href') ||
+        getAttribute(firstChild(entry, NAMESPACES.media, 'thumbnail'), 'url') ||
+        getAttribute(firstChild(firstChild(entry, NAMESPACES.media, 'group'), NAMESPACES.media, 'thumbnail'), 'url') ||
+        getAttribute(mediaImage, 'url');
+
+    return url ? resolveUrl(url, base) : '';
+}
+
+/**
+ * Reads the polling hints a channel declares about itself.
+ * ttl, skipHours and skipDays are RSS 2.0 elements; updatePeriod and
+ * updateFrequency come from the syndication module, which any format may use.
+ *
+ * @param {Object} channel - The channel (or Atom feed) element
+ * @returns {Object} Schedule hints; absent hints are omitted
+ */
+function parseScheduleHints(channel) {
+    const ns = channel.namespace;
+    const hints = {};
+
+    const ttl = parseInt(childText(channel, ns, 'ttl'), 10);
+    if (ttl > 0) hints.ttl = ttl;
+
+    const skipHours = childElements(firstChild(channel, ns, 'skipHours'), ns, 'hour')
+        .map(node => parseInt(textContent(node), 10))
+        .filter(hour => hour >= 0 && hour <= 24)
+        .map(hour => hour % 24); // Some feeds count hours 1-24
+    if (skipHours.length > 0) hints.skipHours = skipHours;
+
+    const skipDays = childElements(firstChild(channel, ns, 'skipDays'), ns, 'day')
+        .map(node => textContent(node).trim().toLowerCase())
+        .filter(Boolean);
+    if (skipDays.length > 0) hints.skipDays = skipDays;
+
+    const updatePeriod = childText(channel, NAMESPACES.sy, 'updatePeriod').toLowerCase();
+    if (updatePeriod) hints.updatePeriod = updatePeriod;
+
+    const updateFrequency = parseInt(childText(channel, NAMESPACES.sy, 'updateFrequency'), 10);
+    if (updateFrequency > 0) hints.updateFrequency = updateFrequency;
+
+    return hints;
+}
+
+/**
+ * Parses an RSS 0.9x/2.0 or RDF (RSS 0.90/1.0) item element.
+ *
+ * @param {Object} entry - The item element
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {Object} Normalized item
+ */
+function parseRssItem(entry, documentUrl) {
+    const ns = entry.namespace;
+    const base = baseFor(entry, documentUrl);
+
+    // guid is only a permalink when isPermaLink is absent or true
+    const guidElement = firstChild(entry, ns, 'guid');
+    const guid = textContent(guidElement).trim() || getAttribute(entry, 'about', NAMESPACES.rdf) || '';
+    const guidIsLink = guidElement && getAttribute(guidElement, 'isPermaLink') !== 'false' && /^https?:\/\//i.test(guid);
+
+    const link = childText(entry, ns, 'link') ||
+        atomAlternateLink(childElements(entry, NAMESPACES.atom, 'link'), documentUrl) ||
+        (guidIsLink ? guid : '') ||
+        getAttribute(entry, 'about', NAMESPACES.rdf) || '';
+
+    // Podcasts often carry their show notes only in itunes:summary
+    const description = childText(entry, ns, 'description') || childText(entry, NAMESPACES.itunes, 'summary');
+    const encoded = childText(entry, NAMESPACES.content, 'encoded');
+
+    const creators = childElements(entry, NAMESPACES.dc, 'creator').map(node => textContent(node).trim()).filter(Boolean);
+
+    return {
+        id: guid,
+        title: htmlToText(childText(entry, ns, 'title') || childText(entry, NAMESPACES.dc, 'title')),
+        link: resolveUrl(link, base),
+        content: resolveHtmlUrls(encoded || description, base),
+        summary: encoded ? resolveHtmlUrls(description, base) : '',
+        author: rssAuthor(childText(entry, ns, 'author')) || creators.join(', ') ||
+            childText(entry, NAMESPACES.itunes, 'author'),
+        published: normalizeDate(childText(entry, ns, 'pubDate') || childText(entry, NAMESPACES.dc, 'date')),
+        updated: null,
+        categories: [
+            ...childElements(entry, ns, 'category'),
+            ...childElements(entry, NAMESPACES.dc, 'subject')
+        ].map(node => textContent(node).trim()).filter(Boolean),
+        image: parseItemImage(entry, documentUrl),
+        enclosures: parseEnclosures(entry, documentUrl)
+    };
+}
+
+/**
+ * Parses an Atom entry element.
+ *
+ * @param {Object} entry - The entry element
+ * @param {Object} feedElement - The feed element, for inherited authors
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {Object} Normalized item
+ */
+function parseAtomEntry(entry, feedElement, documentUrl) {
+    const base = baseFor(entry, documentUrl);
+    const contentElement = firstChild(entry, ATOM, 'content');
+    const summaryElement = firstChild(entry, ATOM, 'summary');
+
+    // Out-of-line content points at the real resource instead of embedding it
+    const contentSrc = contentElement ? getAttribute(contentElement, 'src') : null;
+    const contentBase = contentElement ? baseFor(contentElement, documentUrl) : base;
+    const summaryBase = summaryElement ? baseFor(summaryElement, documentUrl) : base;
+    const content = contentElement && !contentSrc ? resolveHtmlUrls(atomTextAsHtml(contentElement), contentBase) : '';
+    const summary = resolveHtmlUrls(atomTextAsHtml(summaryElement), summaryBase);
+
+    // Entries inherit the feed's authors when they declare none of their own
+    const authors = childElements(entry, ATOM, 'author');
+    const source = firstChild(entry, ATOM, 'source');
+    const author = atomPeople(authors) ||
+        atomPeople(childElements(source, ATOM, 'author')) ||
+        atomPeople(childElements(feedElement, ATOM, 'author'));
+
+    return {
+        id: childText(entry, ATOM, 'id'),
+        title: atomTextAsPlain(firstChild(entry, ATOM, 'title')),
+        link: atomAlternateLink(childElements(entry, ATOM, 'link'), documentUrl) ||
+            (contentSrc ? resolveUrl(contentSrc, contentBase) : ''),
+        content: content || summary,
+        summary: content ? summary : '',
+        author,
+        published: normalizeDate(childText(entry, ATOM, 'published') || childText(entry, ATOM, 'issued')),
+        updated: normalizeDate(childText(entry, ATOM, 'updated') || childText(entry, ATOM, 'modified')),
+        categories: childElements(entry, ATOM, 'category')
+            .map(node => getAttribute(node, 'label') || getAttribute(node, 'term'))
+            .filter(Boolean),
+        image: parseItemImage(entry, documentUrl),
+        enclosures: parseEnclosures(entry, documentUrl)
+    };
+}
+
+/**
+ * Parses an RSS or RDF document.
+ *
+ * @param {Object} root - The root element (rss or rdf:RDF)
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {Object} The parsed feed
+ */
+function parseRss(root, documentUrl) {
+    const isRdf = isElement(root, NAMESPACES.rdf, 'RDF');
+    const channel = isRdf
+        ? firstChild(root, RDF_ITEM_NAMESPACES, 'channel')
+        : firstChild(root, '', 'channel');
+
+    if (!channel) {
+        throw new Error('Feed parsing error: missing channel element');
+    }
+
+    // RDF feeds place items beside the channel; RSS 2.0 places them inside it
+    const entries = isRdf
+        ? childElements(root, RDF_ITEM_NAMESPACES, 'item')
+        : childElements(channel, '', 'item');
+
+    const ns = channel.namespace;
+    const base = baseFor(channel, documentUrl);
+
+    // RDF feeds place the image beside the channel too
+    const imageElement = firstChild(channel, ns, 'image') || (isRdf ? firstChild(root, ns, 'image') : null);
+    const image = childText(imageElement, ns, 'url') ||
+        getAttribute(firstChild(channel, NAMESPACES.itunes, 'image'), 'href') || '';
+
+    return {
+        format: isRdf ? 'rdf' : 'rss',
+        channel: {
+            title: htmlToText(childText(channel, ns, 'title')),
+            link: resolveUrl(childText(channel, ns, 'link'), base),
+            description: htmlToText(childText(channel, ns, 'description') || childText(channel, NAMESPACES.itunes, 'summary')),
+            language: childText(channel, ns, 'language') || childText(channel, NAMESPACES.dc, 'language'),
+            image: image ? resolveUrl(image, base) : '',
+            icon: '',
+            // RSS feeds announce their WebSub hub with atom:link elements
+            ...atomWebSubLinks(childElements(channel, NAMESPACES.atom, 'link'), documentUrl),
+            schedule: parseScheduleHints(channel)
+        },
+        items: entries.map(entry => parseRssItem(entry, documentUrl))
+    };
+}
+
+/**
+ * Parses an Atom document.
+ *
+ * @param {Object} root - The atom:feed element
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {Object} The parsed feed
+ */
+function parseAtom(root, documentUrl) {
+    const base = baseFor(root, documentUrl);
+    const logo = childText(root, ATOM, 'logo');
+    const icon = childText(root, ATOM, 'icon');
+
+    return {
+        format: 'atom',
+        channel: {
+            title: atomTextAsPlain(firstChild(root, ATOM, 'title')),
+            link: atomAlternateLink(childElements(root, ATOM, 'link'), documentUrl),
+            description: atomTextAsPlain(firstChild(root, ATOM, 'subtitle') || firstChild(root, ATOM, 'tagline')),
+            language: getAttribute(root, 'lang', XML_NAMESPACE) || '',
+            image: logo ? resolveUrl(logo, base) : '',
+            icon: icon ? resolveUrl(icon, base) : '',
+            ...atomWebSubLinks(childElements(root, ATOM, 'link'), documentUrl),
+            schedule: parseScheduleHints(root)
+        },
+        items: childElements(root, ATOM, 'entry').map(entry => parseAtomEntry(entry, root, documentUrl))
+    };
+}
+
+/**
+ * Parses a JSON Feed (version 1.0 or 1.1) document.
+ *
+ * @param {string} text - The JSON Feed document
+ * @param {string} documentUrl - The URL the document was fetched from
+ * @returns {Object} The parsed feed
+ * @throws {Error} If the JSON is invalid or has no items array
+ */
+function parseJsonFeed(text, documentUrl) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`JSON Feed parsing error: ${error.message}`);
+    }
+
+    if (!json || !Array.isArray(json.items)) {
+        throw new Error('JSON Feed parsing error: missing items array');
+    }
+
+    // Version 1.1 uses an authors array, version 1.0 a single author object;
+    // null entries are left out
+    const authorsOf = (source) => (Array.isArray(source.authors)
+        ? source.authors
+        : [source.author]).filter(Boolean);
+    const feedAuthors = authorsOf(json);
+    // Items that are not objects (null, strings, arrays) are left out
+    const entries = json.items.filter(entry => entry !== null && typeof entry === 'object' && !Array.isArray(entry));
+
+    return {
+        format: 'json',
+        channel: {
+            title: json.title || '',
+            link: resolveUrl(json.home_page_url, documentUrl),
+            description: json.description || '',
+            language: json.language || '',
+            image: json.icon ? resolveUrl(json.icon, documentUrl) : '',
+            icon: json.favicon ? resolveUrl(json.favicon, documentUrl) : '',
+            hub: resolveUrl((json.hubs || []).find(hub => /^websub$/i.test(hub?.type || ''))?.url, documentUrl),
+            self: resolveUrl(json.feed_url, documentUrl),
+            schedule: {}
+        },
+        items: entries.map(entry => {
+            const authors = authorsOf(entry).length > 0 ? authorsOf(entry) : feedAuthors;
+
+            // Plain text content is escaped so it can be rendered as HTML
+            const content = entry.content_html ||
+                (entry.content_text ? escapeXml(entry.content_text).replace(/\n/g, '<br>') : '') ||
+                entry.summary || '';
+
+            return {
+                id: entry.id !== undefined && entry.id !== null ? String(entry.id) : '',
+                title: entry.title || '',
+                link: resolveUrl(entry.url || entry.external_url, documentUrl),
+                content: resolveHtmlUrls(content, documentUrl),
+                summary: entry.content_html || entry.content_text ? (entry.summary || '') : '',
+                author: authors.map(author => author.name).filter(Boolean).join(', '),
+                published: normalizeDate(entry.date_published),
+                updated: normalizeDate(entry.date_modified),
+                categories: Array.isArray(entry.tags) ? entry.tags : [],
+                image: entry.image ? resolveUrl(entry.image, documentUrl) : '',
+                enclosures: (entry.attachments || [])
+                    .filter(attachment => attachment?.url)
+                    .map(attachment => ({
+                        url: resolveUrl(attachment.url, documentUrl),
+                        type: attachment.mime_type || '',
+                        length: attachment.size_in_bytes || 0,
+                        title: attachment.title || '',
+                        duration: attachment.duration_in_seconds || 0
+                    }))
+            };
+        })
+    };
+}
+
+/**
+ * Parses a feed document of any supported format.
+ *
+ * @param {string} text - The raw feed document
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.contentType] - Content type reported for the response
+ * @param {string} [options.baseUrl] - URL the feed was fetched from, for resolving relative links
+ * @returns {{format: string, channel: Object, items: Array<Object>}} The parsed feed. The channel has
+ *     title, link (the website), description, language, image (logo/artwork), icon, schedule hints,
+ *     and the WebSub hub and self (topic) URLs when the feed advertises them.
+ * @throws {Error} If the document cannot be parsed or is not a recognized feed format
+ */
+export function parseFeed(text, { contentType = '', baseUrl = '' } = {}) {
+    if (isJsonFeed(text, contentType)) {
+        return parseJsonFeed(text, baseUrl);
+    }
+
+    const root = parseXml(text);
+
+    if (isElement(root, '', 'rss') || isElement(root, NAMESPACES.rdf, 'RDF')) {
+        return parseRss(root, baseUrl);
+    }
+    if (isElement(root, ATOM, 'feed')) {
+        return parseAtom(root, baseUrl);
+    }
+
+    throw new Error(`Feed parsing error: unrecognized root element <${root.name}>`);
+}
@@ -0,0 +1,257 @@
+/**
+ * Feed Processing Module
+ *
+ * The CPU-heavy part of a feed fetch: parsing the response, building items,
+ * merging them with the stored items and sorting them for display. These
+ * functions have no storage, DOM or network dependencies, so they run in the
+ * feed worker (workers/feed-worker.js); the feed manager reads their inputs
+ * from storage and applies their results.
+ *
+ * @module feed-processing
+ */
+
+import { parseFeed } from './feed-parser.js';
+import { decodeEntities } from './xml-parser.js';
+import { sanitizeHtml } from './html-sanitizer.js';
+import { createItemId } from './item-id.js';
+import { createContentHash, mergeItemRevision, CONTENT_HASH_VERSION } from './item-revisions.js';
+import { applyRetentionPolicy } from './feed-retention.js';
+import { groupDuplicates } from './item-duplicates.js';
+
+// The src attribute of an img tag, quoted or not
+const IMAGE_SOURCE_PATTERN = /<img\b[^>]*?\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+
+/**
+ * Sorts items newest first.
+ *
+ * @param {Array<Object>} items - Feed items; sorted in place
+ * @returns {Array<Object>} The same array
+ */
+function sortByPublished(items) {
+    return items.sort((a, b) => new Date(b.published) - new Date(a.published));
+}
+
+/**
+ * Extracts image references from item HTML so they can be cached.
+ * Expects sanitized HTML, whose image sources are already absolute.
+ *
+ * @param {string} content - The HTML content of a feed item
+ * @returns {Array<Object>} Image records with pending status, without duplicates
+ */
+export function extractImages(content) {
+    const urls = new Set();
+    for (const match of (content || '').matchAll(IMAGE_SOURCE_PATTERN)) {
+        const url = decodeEntities(match[1] ?? match[2] ?? match[3]).trim();
+        if (url) urls.add(url);
+    }
+    return Array.from(urls, originalUrl => ({
+        originalUrl,
+        localPath: null,
+        status: 'pending'
+    }));
+}
+
+/**
+ * Converts entries from the feed parser into the item shape the feed
+ * manager stores.
+ *
+ * @param {Array<Object>} entries - Normalized entries from parseFeed
+ * @param {Object} feed - The feed being processed
+ * @param {string} feed.id - The feed ID
+ * @param {string} feed.url - The feed URL, for resolving relative links
+ * @returns {Promise<Array<Object>>} Array of parsed feed items
+ */
+export async function parseFeedItems(entries, feed) {
+    return Promise.all(entries.map(async entry => {
+        const item = {
+            id: '',
+            guid: entry.id || '',
+            feedId: feed.id,
+            title: entry.title,
+            // Feed content is untrusted; it is stored sanitized (and sanitized again when rendered)
+            content: sanitizeHtml(entry.content, { baseUrl: feed.url }),
+            link: entry.link,
+            author: entry.author,
+            published: entry.published || entry.updated || new Date().toISOString(),
+            isRead: false,
+            images: [],
+            enclosures: entry.enclosures || []
+        };
+
+        // Identify the item by guid, link or content fingerprint (see item-id.js)
+        // The raw content is used so ids stay the same as before content was sanitized
+        item.id = await createItemId({ ...item, content: entry.content }, feed.id);
+        // Fingerprint the content, so later edits by the publisher are noticed
+        item.contentHash = await createContentHash(item);
+        item.contentHashVersion = CONTENT_HASH_VERSION;
+
+        // Extract and track images for caching
+        item.images = extractImages(item.content);
+        if (entry.image && !item.images.some(image => image.originalUrl === entry.image)) {
+            item.images.unshift({
+                originalUrl: entry.image,
+                localPath: null,
+                status: 'pending'
+            });
+        }
+
+        return item;
+    }));
+}
+
+/**
+ * Merges freshly fetched items into a feed's stored items, handling
+ * deduplication, edits and retention.
+ *
+ * Seen ids record every item still served by the feed as well as every
+ * stored item, so items pruned by retention are not added back while the
+ * feed keeps serving them.
+ *
+ * @param {Object} options - Merge inputs
+ * @param {Array<Object>} options.existingItems - The feed's stored items
+ * @param {Array<string>} options.seenIds - The feed's seen item ids
+ * @param {Array<Object>} options.fetchedItems - Items from parseFeedItems
+ * @param {Object} options.policy - The feed's effective retention policy
+ * @param {Array<string>} [options.starredIds=[]] - Ids of starred items, which retention never prunes
+ * @returns {{items: Array<Object>, seenIds: Array<string>, newCount: number, newItemIds: Array<string>,
+ *     updatedItemIds: Array<string>, rekeyed: Array<Array<string>>}} The items to store (newest first), the
+ *     seen ids to store, how many items are new and their ids, which were edited, and the [oldId, newId]
+ *     pairs of migrated items that adopted a new id
+ *
+ * @example
+ * const { items, seenIds } = mergeFeedItems({ existingItems, seenIds, fetchedItems, policy });
+ */
+export function mergeFeedItems({ existingItems, seenIds, fetchedItems, policy, starredIds = [] }) {
+    const seen = new Set(seenIds);
+    const starred = new Set(starredIds);
+
+    // Create a map of existing items by id for efficient lookup
+    const existingItemsById = new Map(
+        existingItems.map(item => [item.id, item])
+    );
+
+    // Items migrated from the link-hash scheme, which may now be known by their guid
+    const legacyItemsByLink = new Map(
+        existingItems.filter(item => item.legacyId && item.link).map(item => [item.link, item])
+    );
+    const rekeyed = [];
+
+    const newItemIds = [];
+    const updatedItemIds = [];
+    for (const newItem of fetchedItems) {
+        let existingItem = existingItemsById.get(newItem.id);
+
+        // Adopt the new id for a migrated item, keeping its read state
+        const legacyItem = !existingItem && legacyItemsByLink.get(newItem.link);
+        if (legacyItem && legacyItem.id !== newItem.id) {
+            existingItemsById.delete(legacyItem.id);
+            legacyItemsByLink.delete(newItem.link);
+            rekeyed.push([legacyItem.id, newItem.id]);
+            existingItem = { ...legacyItem, id: newItem.id, legacyId: false };
+            existingItemsById.set(newItem.id, existingItem);
+        }
+
+        // Skip items that were stored before and have since been pruned
+        if (!existingItem && seen.has(newItem.id)) {
+            continue;
+        }
+
+        if (!existingItem) {
+            existingItemsById.set(newItem.id, newItem);
+            newItemIds.push(newItem.id);
+            continue;
+        }
+
+        // Keep the stored version as a revision if the publisher edited the item
+        const { item, changed, updated } = mergeItemRevision(existingItem, newItem);
+        if (changed) {
+            // A downloaded article stays valid until the publisher edits the item
+            existingItemsById.set(newItem.id, updated ? item : { ...item, article: existingItem.article });
+        }
+        if (updated) {
+            updatedItemIds.push(newItem.id);
+        }
+    }
+
+    // Sort items by date and apply the feed's retention policy
+    const allItems = sortByPublished(Array.from(existingItemsById.values()));
+    const { kept } = applyRetentionPolicy(allItems, policy, {
+        isExempt: item => starred.has(item.id)
+    });
+
+    const updatedSeenIds = new Set([
+        ...kept.map(item => item.id),
+        ...fetchedItems.map(item => item.id)
+    ]);
+
+    return {
+        items: kept,
+        seenIds: Array.from(updatedSeenIds),
+        newCount: newItemIds.length,
+        newItemIds,
+        updatedItemIds,
+        rekeyed
+    };
+}
+
+/**
+ * Parses a fetched feed and merges its items into the stored ones.
+ *
+ * @param {Object} options - Processing inputs
+ * @param {Object} options.feed - The feed being processed, with its id and url
+ * @param {string} options.body - The response body
+ * @param {string} [options.contentType] - The response content type
+ * @param {Array<Object>} options.existingItems - The feed's stored items
+ * @param {Array<string>} options.seenIds - The feed's seen item ids
+ * @param {Object} options.policy - The feed's effective retention policy
+ * @param {Array<string>} [options.starredIds] - Ids of starred items
+ * @returns {Promise<Object>} The parsed channel, the number of parsed items (`parsedCount`)
+ *     and the result of mergeFeedItems
+ * @throws {Error} If the body is not a feed
+ */
+export async function processFeed({ feed, body, contentType, existingItems, seenIds, policy, starredIds }) {
+    const { channel, items: entries } = parseFeed(body, { contentType, baseUrl: feed.url });
+    const fetchedItems = await parseFeedItems(entries, feed);
+
+    return {
+        channel,
+        parsedCount: fetchedItems.length,
+        ...mergeFeedItems({ existingItems, seenIds, fetchedItems, policy, starredIds })
+    };
+}
+
+/**
+ * Combines the stored items of all feeds for display, newest first.
+ * Ids are scoped to their feed, so the same story in several feeds is
+ * recognised by its canonical link or a near-identical title and shown
+ * once, listing its other copies in `duplicates` (see item-duplicates.js).
+ * Items hidden by a rule (see rules-engine.js) are left out.
+ *
+ * @param {Array<Array<Object>>} itemLists - The stored items of each feed, in feed order
+ * @returns {Array<Object>} The deduplicated, sorted items
+ */
+export function collectDisplayItems(itemLists) {
+    return sortByPublished(groupDuplicates(itemLists.map(items => items.filter(item => !item.hidden))));
+}
+
+// Feed worker request handlers by type (see workers/feed-worker.js)
+const REQUEST_HANDLERS = {
+    processFeed: payload => processFeed(payload),
+    collectItems: ({ itemLists }) => collectDisplayItems(itemLists)
+};
+
+/**
+ * Runs a feed worker request. Used by the worker, and by the worker client
+ * on the main thread when no worker can be started.
+ *
+ * @param {string} type - The request type
+ * @param {Object} payload - The request payload
+ * @returns {Promise<*>} The result
+ * @throws {Error} If the request type is unknown, or the request fails
+ */
+export async function handleFeedRequest(type, payload) {
+    if (!REQUEST_HANDLERS[type]) {
+        throw new Error(`Unknown feed worker request: ${type}`);
+    }
+    return REQUEST_HANDLERS[type](payload);
+}
@@ -0,0 +1,133 @@
+/**
+ * Feed Retention Module
+ *
+ * Decides which stored feed items are kept and which are pruned. A retention
+ * policy has three rules:
+ * - maxItems: Most recent items kept per feed (0 for no limit)
+ * - maxAgeDays: Items published longer ago than this are pruned (0 for no limit)
+ * - keepUnread: Unread items are never pruned, whatever their age or position
+ *
+ * Each feed may override any rule; rules it leaves unset fall back to the
+ * global policy from settings, and then to DEFAULT_RETENTION_POLICY.
+ * Starred items are always exempt.
+ *
+ * The functions here are pure; the feed manager applies the results to storage.
+ *
+ * @module feed-retention
+ */
+
+// Number of days to retain feed history unless a policy says otherwise
+export const HISTORY_RETENTION_DAYS = 365;
+
+// Policy used for any rule neither the feed nor the global settings define
+export const DEFAULT_RETENTION_POLICY = {
+    maxItems: 200,
+    maxAgeDays: HISTORY_RETENTION_DAYS,
+    keepUnread: false
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a policy rule has been set. Empty form fields are stored as
+ * null, and mean "use the default".
+ *
+ * @param {*} value - The rule value
+ * @returns {boolean} True if the rule is set
+ */
+function isSet(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Works out the effective retention policy for a feed.
+ *
+ * @param {Object} [feedPolicy] - The feed's own overrides
+ * @param {Object} [globalPolicy] - The global policy from settings
+ * @returns {{maxItems: number, maxAgeDays: number, keepUnread: boolean}} The effective policy
+ *
+ * @example
+ * const policy = resolveRetentionPolicy(feed.retention, settings.retention);
+ */
+export function resolveRetentionPolicy(feedPolicy = {}, globalPolicy = {}) {
+    const policy = { ...DEFAULT_RETENTION_POLICY };
+
+    for (const source of [globalPolicy || {}, feedPolicy || {}]) {
+        for (const rule of Object.keys(DEFAULT_RETENTION_POLICY)) {
+            if (isSet(source[rule])) {
+                policy[rule] = source[rule];
+            }
+        }
+    }
+
+    return {
+        maxItems: Math.max(0, parseInt(policy.maxItems, 10) || 0),
+        maxAgeDays: Math.max(0, parseInt(policy.maxAgeDays, 10) || 0),
+        keepUnread: policy.keepUnread === true
+    };
+}
+
+/**
+ * Splits a feed's items into those the policy keeps and those it prunes.
+ *
+ * @param {Array<Object>} items - The feed's items, newest first
+ * @param {Object} policy - An effective policy from resolveRetentionPolicy
+ * @param {Object} [options]
+ * @param {Function} [options.isExempt] - Returns true for items that must never be pruned (e.g. starred)
+ * @param {number} [options.now=Date.now()] - Current time, for age checks
+ * @returns {{kept: Array<Object>, removed: Array<Object>}} The items to keep and to prune, order preserved
+ */
+export function applyRetentionPolicy(items, policy, { isExempt = () => false, now = Date.now() } = {}) {
+    const kept = [];
+    const removed = [];
+    const oldestAllowed = policy.maxAgeDays > 0 ? now - policy.maxAgeDays * DAY : -Infinity;
+    let counted = 0;
+
+    for (const item of items) {
+        // Protected items neither get pruned nor use up the item allowance
+        if (isExempt(item) || (policy.keepUnread && !item.isRead)) {
+            kept.push(item);
+            continue;
+        }
+
+        const published = new Date(item.published).getTime();
+        const tooOld = published < oldestAllowed;
+        const overLimit = policy.maxItems > 0 && counted >= policy.maxItems;
+
+        if (tooOld || overLimit) {
+            removed.push(item);
+        } else {
+            kept.push(item);
+            counted++;
+        }
+    }
+
+    return { kept, removed };
+}
+
+/**
+ * Estimates how much storage a value takes up when persisted as JSON.
+ *
+ * @param {*} value - The value to measure
+ * @returns {number} Size in bytes
+ */
+export function estimateStorageSize(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Formats a byte count for display, e.g. "1.4 MB".
+ *
+ * @param {number} bytes - The byte count
+ * @returns {string} The formatted size
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
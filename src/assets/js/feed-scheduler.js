@@ -0,0 +1,242 @@
+/**
+ * Feed Scheduler Module
+ *
+ * Decides when each feed should next be fetched. Every feed gets its own
+ * schedule, derived from (in order of precedence):
+ * 1. The interval the user chose for the feed in settings
+ * 2. Hints the feed declares about itself:
+ *    - RSS <ttl> (minutes the feed may be cached)
+ *    - sy:updatePeriod / sy:updateFrequency (RSS syndication module)
+ * 3. How often the feed actually publishes, measured from its items
+ *
+ * RSS <skipHours> and <skipDays> are always honoured: a fetch that would land
+ * in a skipped hour or day (both in GMT) is pushed to the next allowed hour.
+ *
+ * Failing feeds are retried with exponential backoff and jitter. The base
+ * delay depends on the kind of failure (4xx, 5xx, timeout, parse error...),
+ * see classifyFetchError and computeRetryDelay.
+ *
+ * The functions here are pure; the feed manager stores the results
+ * (nextFetchTime, publishInterval, scheduleHints) on each feed record.
+ *
+ * @module feed-scheduler
+ */
+
+// Interval used when nothing is known about a feed yet
+export const DEFAULT_FETCH_INTERVAL = 60 * 60 * 1000; // 60 minutes
+
+// Bounds for automatically chosen intervals
+export const MIN_FETCH_INTERVAL = 15 * 60 * 1000;     // 15 minutes
+export const MAX_FETCH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Length of each sy:updatePeriod value
+const UPDATE_PERIODS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000,
+    yearly: 365 * 24 * 60 * 60 * 1000
+};
+
+// Day names as used by RSS <skipDays>, indexed like Date#getUTCDay
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Number of most recent items used to estimate publishing frequency
+const PUBLISH_SAMPLE_SIZE = 10;
+
+/**
+ * Clamps a value between a minimum and maximum.
+ *
+ * @param {number} value - The value to clamp
+ * @param {number} min - The lower bound
+ * @param {number} max - The upper bound
+ * @returns {number} The clamped value
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Converts the schedule hints declared by a feed into an interval.
+ *
+ * @param {Object} [hints] - Hints from the parsed feed channel
+ * @param {number} [hints.ttl] - RSS ttl in minutes
+ * @param {string} [hints.updatePeriod] - sy:updatePeriod value
+ * @param {number} [hints.updateFrequency] - sy:updateFrequency value
+ * @returns {number} Interval in milliseconds, or 0 if the feed declares none
+ */
+export function getHintInterval(hints = {}) {
+    const intervals = [];
+
+    if (hints.ttl > 0) {
+        intervals.push(hints.ttl * 60 * 1000);
+    }
+
+    const period = UPDATE_PERIODS[(hints.updatePeriod || '').toLowerCase()];
+    if (period) {
+        intervals.push(period / Math.max(1, hints.updateFrequency || 1));
+    }
+
+    // When both are present the feed is asking not to be polled more often than either allows
+    return intervals.length > 0 ? Math.max(...intervals) : 0;
+}
+
+/**
+ * Estimates how often a feed publishes from its items' publication dates.
+ * Uses the median gap between the most recent items, which is robust to
+ * the occasional burst of posts or long holiday break.
+ *
+ * @param {Array<Object>} items - Feed items with ISO published dates
+ * @returns {number} Typical gap between posts in milliseconds, or 0 if unknown
+ */
+export function estimatePublishInterval(items) {
+    const timestamps = [...new Set(
+        items
+            .map(item => new Date(item.published).getTime())
+            .filter(time => !isNaN(time))
+    )]
+        .sort((a, b) => b - a)
+        .slice(0, PUBLISH_SAMPLE_SIZE);
+
+    if (timestamps.length < 2) return 0;
+
+    const gaps = timestamps.slice(1)
+        .map((time, index) => timestamps[index] - time)
+        .sort((a, b) => a - b);
+
+    return gaps[Math.floor(gaps.length / 2)];
+}
+
+/**
+ * Works out the interval between fetches for a feed.
+ *
+ * @param {Object} feed - The feed record
+ * @param {number} [feed.fetchInterval] - User-chosen interval in minutes (0 or absent for automatic)
+ * @param {Object} [feed.scheduleHints] - Hints declared by the feed
+ * @param {number} [feed.publishInterval] - Measured publishing interval in milliseconds
+ * @returns {number} Interval in milliseconds
+ */
+export function getFetchInterval(feed) {
+    if (feed.fetchInterval > 0) {
+        return feed.fetchInterval * 60 * 1000;
+    }
+
+    // Checking twice per typical publishing gap keeps latency low without over-polling
+    const adaptive = feed.publishInterval > 0 ? feed.publishInterval / 2 : DEFAULT_FETCH_INTERVAL;
+    const hinted = getHintInterval(feed.scheduleHints);
+
+    return clamp(Math.max(adaptive, hinted), MIN_FETCH_INTERVAL, MAX_FETCH_INTERVAL);
+}
+
+/**
+ * Moves a time forward until it falls outside the feed's skipHours/skipDays.
+ *
+ * @param {number} time - Candidate timestamp
+ * @param {Object} [hints] - Hints declared by the feed
+ * @param {Array<number>} [hints.skipHours] - GMT hours (0-23) to skip
+ * @param {Array<string>} [hints.skipDays] - Day names to skip
+ * @returns {number} The first allowed timestamp at or after the candidate
+ */
+export function applySkipRules(time, hints = {}) {
+    const skipHours = new Set(hints.skipHours || []);
+    const skipDays = new Set((hints.skipDays || []).map(day => day.toLowerCase()));
+
+    // A feed that skips every hour or every day would never be fetched; ignore such hints
+    if (skipHours.size >= 24 || skipDays.size >= 7) return time;
+
+    let candidate = new Date(time);
+    for (let i = 0; i < 7 * 24; i++) {
+        const skipped = skipHours.has(candidate.getUTCHours()) ||
+            skipDays.has(DAY_NAMES[candidate.getUTCDay()]);
+        if (!skipped) break;
+
+        // Jump to the start of the next GMT hour
+        candidate = new Date(Date.UTC(
+            candidate.getUTCFullYear(),
+            candidate.getUTCMonth(),
+            candidate.getUTCDate(),
+            candidate.getUTCHours() + 1
+        ));
+    }
+
+    return candidate.getTime();
+}
+
+/**
+ * Computes when a feed should next be fetched.
+ *
+ * @param {Object} feed - The feed record
+ * @param {number} [from=Date.now()] - Time the interval is measured from (usually the last fetch)
+ * @returns {number} Timestamp of the next fetch
+ *
+ * @example
+ * const nextFetchTime = computeNextFetchTime(feed, feed.lastFetchTime);
+ * if (nextFetchTime <= Date.now()) {
+ *     // The feed is due
+ * }
+ */
+export function computeNextFetchTime(feed, from = Date.now()) {
+    return applySkipRules(from + getFetchInterval(feed), feed.scheduleHints);
+}
+
+// Initial retry delay for each kind of fetch failure, doubled on every further failure
+const RETRY_BASE_DELAYS = {
+    timeout: 5 * 60 * 1000,        // Slow or unreachable hosts often recover quickly
+    network: 5 * 60 * 1000,
+    server: 10 * 60 * 1000,        // 5xx: give the server time to recover
+    'rate-limited': 30 * 60 * 1000, // 429: back off harder than for other server errors
+    parse: 30 * 60 * 1000,         // Broken markup is usually fixed by a later publish
+    client: 60 * 60 * 1000,        // 4xx: unlikely to change soon
+    gone: 24 * 60 * 60 * 1000      // 410: the publisher says the feed is gone for good
+};
+
+// Longest delay between retries for each kind of failure
+const RETRY_MAX_DELAYS = {
+    gone: 7 * 24 * 60 * 60 * 1000,
+    default: MAX_FETCH_INTERVAL
+};
+
+// Fraction of the delay that is randomized so failing feeds don't retry in lockstep
+const RETRY_JITTER = 0.2;
+
+/**
+ * Classifies a fetch failure so that an appropriate retry policy can be applied.
+ *
+ * @param {Error} error - The error thrown while fetching or parsing a feed
+ * @param {number} [error.status] - HTTP status code, when the server responded
+ * @param {string} [error.kind] - The kind of failure, when the fetch transport already knows it
+ * @returns {'client'|'gone'|'rate-limited'|'server'|'timeout'|'parse'|'network'} The kind of failure
+ */
+export function classifyFetchError(error) {
+    const status = error?.status || 0;
+
+    if (error?.kind) return error.kind;
+    if (status === 410) return 'gone';
+    if (status === 429) return 'rate-limited';
+    if (status >= 400 && status < 500) return 'client';
+    if (status >= 500) return 'server';
+    if (error?.name === 'AbortError' || /time(d)?\s?out|ETIMEDOUT/i.test(error?.message || '')) return 'timeout';
+    if (/pars(e|ing) error/i.test(error?.message || '')) return 'parse';
+    return 'network';
+}
+
+/**
+ * Computes how long to wait before retrying a failing feed.
+ * Uses exponential backoff from a per-kind base delay with +/-20% jitter,
+ * and never retries sooner than a server-provided Retry-After.
+ *
+ * @param {number} errorCount - Number of consecutive failures, including this one
+ * @param {string} kind - Failure kind from classifyFetchError
+ * @param {number} [retryAfter=0] - Seconds the server asked us to wait
+ * @param {Function} [random=Math.random] - Random source, for deterministic callers
+ * @returns {number} Delay in milliseconds
+ */
+export function computeRetryDelay(errorCount, kind, retryAfter = 0, random = Math.random) {
+    const base = RETRY_BASE_DELAYS[kind] || RETRY_BASE_DELAYS.network;
+    const max = RETRY_MAX_DELAYS[kind] || RETRY_MAX_DELAYS.default;
+
+    const exponential = Math.min(base * 2 ** Math.max(0, errorCount - 1), max);
+    const jitter = exponential * RETRY_JITTER * (random() * 2 - 1);
+
+    return Math.max(Math.round(exponential + jitter), retryAfter * 1000);
+}
@@ -0,0 +1,120 @@
+/**
+ * Feed Worker Client
+ *
+ * Sends feed processing requests to the feed worker (workers/feed-worker.js)
+ * and resolves them with its replies, so parsing and sorting large feeds
+ * never blocks the interface. If the worker cannot be started, or fails,
+ * requests are run on the main thread instead, including any that were
+ * still waiting for a reply.
+ *
+ * @example
+ * import { feedWorker } from './feed-worker-client.js';
+ *
+ * const result = await feedWorker.request('processFeed', { feed, body, existingItems, seenIds, policy });
+ */
+
+import { handleFeedRequest } from './feed-processing.js';
+
+class FeedWorkerClient {
+    constructor() {
+        // The worker, started on the first request
+        this.worker = null;
+        // Whether requests run on the main thread
+        this.inline = false;
+        // Id of the next request
+        this.nextId = 1;
+        // Requests waiting for a reply, by id: { type, payload, resolve, reject }
+        this.pending = new Map();
+    }
+
+    /**
+     * Starts the worker, or switches to running requests inline if workers
+     * are unavailable.
+     * @private
+     */
+    start() {
+        if (this.worker || this.inline) return;
+
+        try {
+            this.worker = new Worker(new URL('./workers/feed-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = ({ data }) => this.handleReply(data);
+            this.worker.onerror = (event) => this.fallBack(event.message || 'Feed worker failed');
+        } catch (error) {
+            this.fallBack(error.message);
+        }
+    }
+
+    /**
+     * Stops using the worker and runs every waiting request inline.
+     * @private
+     * @param {string} reason - Why the worker is abandoned
+     */
+    fallBack(reason) {
+        console.warn(`Processing feeds on the main thread: ${reason}`);
+        this.worker?.terminate();
+        this.worker = null;
+        this.inline = true;
+
+        const waiting = Array.from(this.pending.values());
+        this.pending.clear();
+        for (const { type, payload, resolve, reject } of waiting) {
+            this.runInline(type, payload).then(resolve, reject);
+        }
+    }
+
+    /**
+     * Settles a request with the worker's reply.
+     * @private
+     * @param {Object} reply - `{ id, result }` or `{ id, error }`
+     */
+    handleReply({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+
+        if (error) {
+            // Rebuild the error so callers can classify it as they would a local one
+            const workerError = new Error(error.message);
+            workerError.name = error.name;
+            if (error.status) workerError.status = error.status;
+            request.reject(workerError);
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Runs a request on the main thread.
+     * @private
+     * @param {string} type - The request type
+     * @param {Object} payload - The request payload
+     * @returns {Promise<*>} The result
+     */
+    async runInline(type, payload) {
+        return handleFeedRequest(type, payload);
+    }
+
+    /**
+     * Sends a request to the feed worker.
+     *
+     * @param {'processFeed'|'collectItems'} type - The request type, see workers/feed-worker.js
+     * @param {Object} payload - The request payload
+     * @returns {Promise<*>} The result
+     * @throws {Error} If the request fails
+     */
+    request(type, payload) {
+        this.start();
+        if (this.inline) {
+            return this.runInline(type, payload);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { type, payload, resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+}
+
+// Export singleton instance
+export const feedWorker = new FeedWorkerClient();
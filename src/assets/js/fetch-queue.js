@@ -0,0 +1,243 @@
+/**
+ * Fetch Queue Module
+ *
+ * Priority job queue for feed fetches. Each feed waits in the queue at most once;
+ * queuing it again only raises its priority. Jobs run highest priority first,
+ * then in the order they were queued, at most `concurrency` at a time.
+ *
+ * A job can carry data for its run, such as content pushed by a WebSub hub.
+ *
+ * Every job gets an AbortSignal, so waiting and running jobs can be cancelled,
+ * e.g. when the user leaves the page or removes a feed.
+ *
+ * Jobs queued while the queue is busy belong to the same batch. Progress is
+ * reported per batch through the feedFetchStarted, feedFetchProgress and
+ * feedFetchFinished events.
+ *
+ * @module fetch-queue
+ */
+
+import { pubsub } from './pubsub.js';
+
+// Job priorities, highest first wins
+export const FETCH_PRIORITY = {
+    scheduled: 0,   // Feeds that came due in the background
+    manual: 1,      // Feeds the user asked to refresh
+    viewing: 2      // The feed the user is looking at
+};
+
+/**
+ * @example
+ * const queue = new FetchQueue((feedId, signal) => fetchFeed(feedId, signal), { concurrency: 10 });
+ * queue.add(feed.id, FETCH_PRIORITY.manual);
+ * queue.cancel(feedId => feedId === removedFeedId);
+ */
+export class FetchQueue {
+    /**
+     * @param {Function} runJob - Runs a job: `(feedId, signal, data) => Promise<'fetched'|'failed'|'cancelled'>`
+     * @param {Object} options - Queue options
+     * @param {number} options.concurrency - Maximum number of jobs running at once
+     */
+    constructor(runJob, { concurrency }) {
+        this.runJob = runJob;
+        this.concurrency = concurrency;
+        // Jobs waiting to run: { feedId, priority, order, data }
+        this.waiting = [];
+        // Abort controllers of running jobs, by feed ID
+        this.running = new Map();
+        // Counter that keeps jobs of equal priority in queue order
+        this.nextOrder = 0;
+        // Progress of the current batch
+        this.batch = null;
+    }
+
+    /**
+     * Checks whether any job is waiting or running.
+     *
+     * @returns {boolean} True if the queue is busy
+     */
+    isBusy() {
+        return this.waiting.length > 0 || this.running.size > 0;
+    }
+
+    /**
+     * Checks whether a feed is waiting or being fetched.
+     *
+     * @param {string} feedId - The feed ID
+     * @returns {boolean} True if the feed is queued or running
+     */
+    has(feedId) {
+        return this.running.has(feedId) || this.waiting.some(job => job.feedId === feedId);
+    }
+
+    /**
+     * Queues a feed for fetching. A feed that is already waiting keeps its
+     * place unless the new priority is higher, and takes the new data if given.
+     * A feed being fetched is left alone, unless data is given: then the feed
+     * is queued again to run with it.
+     *
+     * @param {string} feedId - The feed ID
+     * @param {number} [priority=FETCH_PRIORITY.scheduled] - One of FETCH_PRIORITY
+     * @param {*} [data] - Data passed to runJob
+     * @returns {boolean} True if a new job was queued
+     */
+    add(feedId, priority = FETCH_PRIORITY.scheduled, data = undefined) {
+        if (this.running.has(feedId) && data === undefined) return false;
+
+        const queued = this.waiting.find(job => job.feedId === feedId);
+        if (queued) {
+            if (data !== undefined) {
+                queued.data = data;
+            }
+            if (priority > queued.priority) {
+                queued.priority = priority;
+                this.sort();
+            }
+            return false;
+        }
+
+        if (!this.batch) {
+            this.batch = { completed: 0, total: 0, failed: 0, cancelled: 0, announced: false };
+        }
+        this.batch.total++;
+
+        this.waiting.push({ feedId, priority, order: this.nextOrder++, data });
+        this.sort();
+
+        // Starting is deferred, so a batch queued in one go is announced with its full size
+        queueMicrotask(() => this.process());
+        return true;
+    }
+
+    /**
+     * Cancels waiting and running jobs. Running jobs are told through their
+     * AbortSignal and finish as `cancelled`.
+     *
+     * @param {Function} [filter] - Selects the feed IDs to cancel; all jobs when omitted
+     * @returns {number} The number of jobs cancelled
+     */
+    cancel(filter = () => true) {
+        const cancelled = this.waiting.filter(job => filter(job.feedId));
+        this.waiting = this.waiting.filter(job => !filter(job.feedId));
+
+        if (this.batch && cancelled.length > 0) {
+            this.batch.completed += cancelled.length;
+            this.batch.cancelled += cancelled.length;
+        }
+
+        let count = cancelled.length;
+        for (const [feedId, controller] of this.running) {
+            if (filter(feedId) && !controller.signal.aborted) {
+                controller.abort();
+                count++;
+            }
+        }
+
+        this.finishIfIdle();
+        return count;
+    }
+
+    /**
+     * Orders waiting jobs by priority, then by when they were queued.
+     * @private
+     */
+    sort() {
+        this.waiting.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    }
+
+    /**
+     * Starts waiting jobs until the concurrency limit is reached.
+     * @private
+     */
+    process() {
+        if (this.batch && !this.batch.announced && this.isBusy()) {
+            this.batch.announced = true;
+
+            /**
+             * Emitted when the queue starts working on a batch of feed fetches.
+             *
+             * @event feedFetchStarted
+             * @type {Object}
+             * @property {number} total - Number of feeds in the batch so far
+             */
+            pubsub.emit('feedFetchStarted', { total: this.batch.total });
+        }
+
+        while (this.running.size < this.concurrency) {
+            // A feed runs one job at a time; a job queued while it runs waits its turn
+            const index = this.waiting.findIndex(job => !this.running.has(job.feedId));
+            if (index === -1) break;
+
+            const [{ feedId, data }] = this.waiting.splice(index, 1);
+            const controller = new AbortController();
+            this.running.set(feedId, controller);
+
+            Promise.resolve()
+                .then(() => this.runJob(feedId, controller.signal, data))
+                .catch(error => {
+                    console.error(`Fetch job for feed ${feedId} failed:`, error);
+                    return 'failed';
+                })
+                .then(status => {
+                    this.running.delete(feedId);
+                    this.complete(feedId, controller.signal.aborted ? 'cancelled' : status);
+                    this.process();
+                });
+        }
+
+        this.finishIfIdle();
+    }
+
+    /**
+     * Records a finished job.
+     * @private
+     * @param {string} feedId - The feed ID
+     * @param {'fetched'|'failed'|'cancelled'} status - How the job ended
+     */
+    complete(feedId, status) {
+        const batch = this.batch;
+        batch.completed++;
+        if (status === 'failed') batch.failed++;
+        if (status === 'cancelled') batch.cancelled++;
+
+        /**
+         * Emitted after each feed fetch in a batch, whatever its outcome.
+         *
+         * @event feedFetchProgress
+         * @type {Object}
+         * @property {string} feedId - The ID of the feed that was fetched
+         * @property {'fetched'|'failed'|'cancelled'} status - How the fetch ended
+         * @property {number} completed - Number of feeds in the batch that are done
+         * @property {number} total - Number of feeds in the batch
+         */
+        pubsub.emit('feedFetchProgress', {
+            feedId,
+            status,
+            completed: batch.completed,
+            total: batch.total
+        });
+    }
+
+    /**
+     * Ends the current batch once nothing is waiting or running.
+     * @private
+     */
+    finishIfIdle() {
+        if (!this.batch || this.isBusy()) return;
+
+        const { completed, total, failed, cancelled } = this.batch;
+        this.batch = null;
+
+        /**
+         * Emitted when every feed fetch in a batch is done.
+         *
+         * @event feedFetchFinished
+         * @type {Object}
+         * @property {number} completed - Number of feeds in the batch that are done
+         * @property {number} total - Number of feeds in the batch
+         * @property {number} failed - Number of fetches that failed
+         * @property {number} cancelled - Number of fetches that were cancelled
+         */
+        pubsub.emit('feedFetchFinished', { completed, total, failed, cancelled });
+    }
+}
@@ -0,0 +1,219 @@
+import { isElectron } from '../../utils/index.js';
+import { getServerUrl } from '../../utils/config.js';
+import { discoverFeeds } from '../../utils/feed-discovery.js';
+import { credentialStore } from './credential-store.js';
+
+// Request header carrying a feed's authentication headers to the proxy server,
+// which sends them upstream; headers stay out of URLs and so out of access logs
+const PROXY_AUTH_HEADER = 'X-Feed-Headers';
+
+// Deadline for a request through the proxy server (60 seconds)
+const PROXY_TIMEOUT = 60 * 1000;
+
+// Largest proxy response read (25 MB): a large feed, with room for JSON escaping
+const MAX_PROXY_RESPONSE_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Environment-aware transport for everything the app downloads from feed publishers.
+ *
+ * In the Electron environment, requests are made by the main process over IPC
+ * (`feeds:fetch` and `feeds:validate`), so the desktop app needs no server.
+ * In the browser environment, requests go through the KupuKupu proxy server
+ * (`/api/feed/fetch`), since publishers rarely allow cross-origin requests.
+ *
+ * Both paths report results in the same shape, so callers never need to know
+ * which one was used.
+ *
+ * Feeds with credentials (see credential-store.js) are fetched with their
+ * authentication headers. Other pages, such as linked articles, never are.
+ *
+ * @example
+ * import { fetchTransport } from './fetch-transport.js';
+ *
+ * const response = await fetchTransport.fetchFeed(feed.url, { etag: feed.etag, feedId: feed.id });
+ * if (!response.notModified) {
+ *     parseFeed(response.body, { contentType: response.contentType });
+ * }
+ */
+class FetchTransport {
+    /**
+     * Determines the runtime environment once, as the storage module does.
+     */
+    constructor() {
+        this.isElectron = isElectron();
+    }
+
+    /**
+     * Fetches a feed, conditionally when cache validators from a previous fetch
+     * are supplied. A 304 response is reported through the notModified flag
+     * instead of a body.
+     *
+     * @param {string} url - The URL of the feed to fetch
+     * @param {Object} [validators] - Cache validators from the previous fetch
+     * @param {string} [validators.etag] - The ETag header previously returned
+     * @param {string} [validators.lastModified] - The Last-Modified header previously returned
+     * @param {AbortSignal} [validators.signal] - Cancels the request. The desktop app cannot abort a
+     *     request already sent to the main process, so its result is discarded instead
+     * @param {string} [validators.feedId] - The feed being fetched, whose credentials are applied
+     * @returns {Promise<{body: string, contentType: string, notModified: boolean, etag: string, lastModified: string,
+     *     url: string, redirects: Array<Object>, movedTo: string}>} The raw content, its reported content type, the
+     *     new cache validators, the URL it came from, the redirects taken ({ from, to, status }) and, if the
+     *     chain started with permanent redirects, where they lead
+     * @throws {Error} If the fetch fails; carries `status` and `retryAfter` when the server responded,
+     *     and `kind` 'timeout' when the request took too long
+     * @throws {DOMException} If the signal was aborted
+     */
+    async fetchFeed(url, { etag, lastModified, signal, feedId } = {}) {
+        signal?.throwIfAborted();
+        const headers = feedId ? await credentialStore.getHeaders(feedId) : {};
+        const result = this.isElectron
+            ? await this.requestMain(url, { etag, lastModified, headers })
+            : await this.requestProxy(url, { etag, lastModified, headers, signal });
+        signal?.throwIfAborted();
+
+        const redirects = result.redirects || [];
+        return {
+            body: result.data || '',
+            contentType: result.contentType || '',
+            notModified: result.status === 304,
+            // Keep the previous validators if the server did not send new ones
+            etag: result.etag || etag || '',
+            lastModified: result.lastModified || lastModified || '',
+            url: result.url || url,
+            redirects,
+            movedTo: this.findPermanentLocation(redirects)
+        };
+    }
+
+    /**
+     * Follows the permanent redirects (301 and 308) at the start of a chain.
+     * A temporary redirect says nothing about where the feed lives, so the
+     * chain is only followed up to the first one.
+     *
+     * @param {Array<Object>} redirects - The redirects taken, in order
+     * @returns {string} The URL the feed has permanently moved to, or an empty string
+     */
+    findPermanentLocation(redirects) {
+        let location = '';
+        for (const { status, to } of redirects) {
+            if (status !== 301 && status !== 308) break;
+            location = to;
+        }
+        return location;
+    }
+
+    /**
+     * Fetches any page, e.g. a website being searched for feeds.
+     *
+     * @param {string} url - The URL to fetch
+     * @returns {Promise<{body: string, contentType: string}>} The page content and its content type
+     * @throws {Error} If the fetch fails
+     */
+    async fetchPage(url) {
+        const { body, contentType } = await this.fetchFeed(url);
+        return { body, contentType };
+    }
+
+    /**
+     * Finds the feeds offered at a feed or website URL.
+     *
+     * @param {string} url - A feed URL or website URL
+     * @returns {Promise<Array<{url: string, title: string, format: string}>>} Feed candidates, possibly empty
+     * @throws {Error} If the URL cannot be fetched
+     */
+    async discoverFeeds(url) {
+        if (this.isElectron) {
+            const result = await window.api.feeds.validate(url);
+            if (!result.ok) {
+                throw new Error(result.error || 'Failed to fetch URL');
+            }
+            return result.candidates;
+        }
+
+        return discoverFeeds(url, (pageUrl) => this.fetchPage(pageUrl));
+    }
+
+    /**
+     * Fetches through the Electron main process.
+     * @private
+     */
+    async requestMain(url, validators) {
+        const result = await window.api.feeds.fetch(url, validators);
+        if (!result.ok) {
+            throw this.createError(result.error || 'Failed to fetch feed', result);
+        }
+        return result;
+    }
+
+    /**
+     * Fetches through the proxy server, within PROXY_TIMEOUT and MAX_PROXY_RESPONSE_BYTES.
+     * @private
+     */
+    async requestProxy(url, { etag, lastModified, headers, signal }) {
+        const params = new URLSearchParams({ url });
+        if (etag) params.set('etag', etag);
+        if (lastModified) params.set('lastModified', lastModified);
+
+        const requestHeaders = Object.keys(headers).length > 0
+            ? { [PROXY_AUTH_HEADER]: JSON.stringify(headers) }
+            : {};
+        const deadline = AbortSignal.timeout(PROXY_TIMEOUT);
+        let data;
+        try {
+            const response = await fetch(`${getServerUrl()}/api/feed/fetch?${params}`, {
+                headers: requestHeaders,
+                signal: signal ? AbortSignal.any([signal, deadline]) : deadline
+            });
+            data = JSON.parse(await this.readLimited(response, MAX_PROXY_RESPONSE_BYTES));
+        } catch (error) {
+            if (deadline.aborted && !signal?.aborted) {
+                throw this.createError('Request timed out', { kind: 'timeout' });
+            }
+            throw error;
+        }
+
+        if (!data.success) {
+            throw this.createError(data.error || 'Failed to fetch feed', data);
+        }
+        return data;
+    }
+
+    /**
+     * Reads a response body as text, giving up once it grows past a limit.
+     * @private
+     * @param {Response} response - The response
+     * @param {number} maxBytes - Largest body accepted
+     * @returns {Promise<string>} The body
+     * @throws {Error} If the body is too large
+     */
+    async readLimited(response, maxBytes) {
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            size += chunk.value.length;
+            if (size > maxBytes) {
+                await reader.cancel();
+                throw this.createError('Response too large', { status: 413 });
+            }
+            chunks.push(chunk.value);
+        }
+        return new TextDecoder().decode(await new Blob(chunks).arrayBuffer());
+    }
+
+    /**
+     * Creates a fetch error carrying the upstream status, so the retry policy can tell 4xx from 5xx,
+     * and the kind of failure when the transport knows it (see classifyFetchError).
+     * @private
+     */
+    createError(message, { status, retryAfter, kind }) {
+        const error = new Error(message);
+        error.status = status || 0;
+        error.retryAfter = retryAfter || 0;
+        if (kind) error.kind = kind;
+        return error;
+    }
+}
+
+// Export singleton instance
+export const fetchTransport = new FetchTransport();
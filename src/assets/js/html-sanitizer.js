@@ -0,0 +1,458 @@
+/**
+ * HTML Sanitizer Module
+ *
+ * Cleans untrusted HTML from feeds and downloaded articles before it is
+ * stored or rendered. Works on an allowlist: only the elements and attributes
+ * listed here survive, everything else is removed.
+ *
+ * - Scripts, styles, frames, forms, embedded objects and similar elements are
+ *   removed together with their content
+ * - Unknown elements (font, center, section...) are unwrapped, keeping their content
+ * - Event handlers, inline styles, classes and ids never pass the attribute allowlist
+ * - URLs are resolved against the base URL and restricted to http(s) (and mailto
+ *   for links, inline raster images for img); javascript: and friends are dropped
+ * - Links are rewritten to open externally, without referrer or opener
+ * - Tracking pixels (1x1 images and known tracker hosts) are removed
+ *
+ * Like the XML parser, it tokenizes the markup itself instead of using the DOM,
+ * so it can run in any JavaScript context. Output is always well formed: end
+ * tags without a matching start tag are dropped and open elements are closed.
+ *
+ * @module html-sanitizer
+ */
+
+import { decodeEntities } from './xml-parser.js';
+
+// Elements kept, with the attributes each may carry (besides GLOBAL_ATTRIBUTES)
+const ALLOWED_ELEMENTS = {
+    a: ['href'],
+    abbr: [],
+    audio: ['src', 'controls', 'preload'],
+    b: [],
+    blockquote: ['cite'],
+    br: [],
+    caption: [],
+    cite: [],
+    code: [],
+    col: ['span'],
+    colgroup: ['span'],
+    dd: [],
+    del: ['cite', 'datetime'],
+    details: ['open'],
+    dfn: [],
+    div: [],
+    dl: [],
+    dt: [],
+    em: [],
+    figcaption: [],
+    figure: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height'],
+    ins: ['cite', 'datetime'],
+    kbd: [],
+    li: ['value'],
+    mark: [],
+    ol: ['start', 'reversed', 'type'],
+    p: [],
+    picture: [],
+    pre: [],
+    q: ['cite'],
+    s: [],
+    samp: [],
+    small: [],
+    source: ['src', 'srcset', 'sizes', 'type', 'media'],
+    span: [],
+    strong: [],
+    sub: [],
+    summary: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['colspan', 'rowspan', 'headers'],
+    tfoot: [],
+    th: ['colspan', 'rowspan', 'headers', 'scope'],
+    thead: [],
+    time: ['datetime'],
+    tr: [],
+    u: [],
+    ul: [],
+    var: [],
+    video: ['src', 'controls', 'preload', 'poster', 'width', 'height']
+};
+
+// Attributes any allowed element may carry
+const GLOBAL_ATTRIBUTES = ['title', 'lang', 'dir'];
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+    'applet', 'base', 'button', 'canvas', 'datalist', 'dialog', 'embed', 'fieldset', 'form', 'frame',
+    'frameset', 'head', 'iframe', 'input', 'link', 'map', 'math', 'meta', 'noembed', 'noframes',
+    'noscript', 'object', 'optgroup', 'option', 'param', 'plaintext', 'portal', 'script', 'select',
+    'style', 'svg', 'template', 'textarea', 'title', 'xmp'
+]);
+
+// Elements whose content is raw text up to their end tag, never markup
+const RAW_TEXT_ELEMENTS = new Set([
+    'iframe', 'noembed', 'noframes', 'noscript', 'plaintext', 'script', 'style', 'textarea', 'title', 'xmp'
+]);
+
+// Elements that have no end tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Attributes holding a single URL
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'poster']);
+
+// Inline images allowed as data: URIs (never SVG, which can carry script)
+const DATA_IMAGE_PATTERN = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+// Hosts and paths of well-known tracking pixels and feed click trackers
+const TRACKER_PATTERNS = [
+    /^https?:\/\/feeds\.feedburner\.com\/~r\//i,
+    /^https?:\/\/feeds\.feedburner\.com\/~ff\//i,
+    /^https?:\/\/[^/]*feedsportal\.com\//i,
+    /^https?:\/\/pixel\.[^/]+\//i,
+    /^https?:\/\/stats\.wordpress\.com\//i,
+    /^https?:\/\/pixel\.wp\.com\//i,
+    /^https?:\/\/[^/]*doubleclick\.net\//i,
+    /^https?:\/\/[^/]*google-analytics\.com\//i,
+    /^https?:\/\/www\.googletagmanager\.com\//i,
+    /^https?:\/\/[^/]*\.list-manage\.com\/track\//i,
+    /^https?:\/\/[^/]+\/(?:[^?#]*\/)?(?:pixel|beacon|tracking|open)\.(?:gif|png)(?:[?#]|$)/i
+];
+
+// Matches an HTML attribute: name, then an optional quoted or unquoted value
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+
+/**
+ * Escapes text content, leaving well-formed character references intact
+ * so HTML entities such as &nbsp; keep working.
+ *
+ * @param {string} text - The raw text
+ * @returns {string} The escaped text
+ */
+function escapeText(text) {
+    return text
+        .replace(/&(?!#[0-9]+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes an attribute value for a double-quoted attribute.
+ *
+ * @param {string} value - The decoded value
+ * @returns {string} The escaped value
+ */
+function escapeAttribute(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Checks a URL attribute and makes it absolute.
+ *
+ * @param {string} value - The decoded attribute value
+ * @param {string} name - The attribute name
+ * @param {string} tagName - The element name
+ * @param {string} [baseUrl] - The URL relative references resolve against
+ * @returns {string|null} The safe URL, or null if it must be dropped
+ */
+function sanitizeUrl(value, name, tagName, baseUrl) {
+    // Browsers ignore surrounding whitespace and control characters in URLs,
+    // which is how "java\tscript:" slips past naive checks
+    const url = value.trim().replace(/[\u0000-\u001f\u007f-\u009f]/g, '');
+    if (!url) return null;
+
+    if (url.startsWith('#')) {
+        return name === 'href' ? url : null;
+    }
+    if (/^data:/i.test(url)) {
+        return (tagName === 'img' || tagName === 'source') && name !== 'href' && DATA_IMAGE_PATTERN.test(url) ? url : null;
+    }
+
+    let resolved;
+    try {
+        resolved = baseUrl ? new URL(url, baseUrl) : new URL(url);
+    } catch (error) {
+        // Relative URL without a base: keep it only if it cannot carry a scheme
+        return /^[a-z][a-z0-9+.-]*:/i.test(url) ? null : url;
+    }
+
+    if (resolved.protocol === 'http:' || resolved.protocol === 'https:') {
+        return resolved.href;
+    }
+    if (resolved.protocol === 'mailto:' && name === 'href') {
+        return resolved.href;
+    }
+    return null;
+}
+
+/**
+ * Checks every candidate of a srcset attribute.
+ *
+ * @param {string} value - The decoded srcset value
+ * @param {string} tagName - The element name
+ * @param {string} [baseUrl] - The URL relative references resolve against
+ * @returns {string|null} The safe srcset, or null if no candidate is usable
+ */
+function sanitizeSrcset(value, tagName, baseUrl) {
+    const candidates = value.split(/,\s+/).map(candidate => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        const safeUrl = sanitizeUrl(url || '', 'src', tagName, baseUrl);
+        const safeDescriptors = descriptors.filter(descriptor => /^\d+(?:\.\d+)?[wx]$/.test(descriptor));
+        return safeUrl && !safeUrl.startsWith('data:') ? [safeUrl, ...safeDescriptors].join(' ') : null;
+    }).filter(Boolean);
+
+    return candidates.length > 0 ? candidates.join(', ') : null;
+}
+
+/**
+ * Checks whether an image is a tracking pixel.
+ *
+ * @param {Object<string, string>} attributes - The image's sanitized attributes
+ * @returns {boolean} True if the image only exists to track the reader
+ */
+export function isTrackingPixel(attributes) {
+    const width = parseInt(attributes.width, 10);
+    const height = parseInt(attributes.height, 10);
+    const tiny = (size) => !isNaN(size) && size <= 1;
+
+    if ((tiny(width) && tiny(height)) || (tiny(width) && isNaN(height)) || (tiny(height) && isNaN(width))) {
+        return true;
+    }
+    return TRACKER_PATTERNS.some(pattern => pattern.test(attributes.src || ''));
+}
+
+/**
+ * Reads the attributes of a start tag.
+ *
+ * @param {string} source - The tag source after its name, up to (not including) the closing '>'
+ * @returns {Array<[string, string]>} Lowercase names and decoded values, in order
+ */
+function parseAttributes(source) {
+    const attributes = [];
+    let position = 0;
+
+    while (position < source.length) {
+        // Skip whitespace and stray slashes between attributes
+        const gap = /[\s/]*/y;
+        gap.lastIndex = position;
+        gap.exec(source);
+        position = gap.lastIndex;
+        if (position >= source.length) break;
+
+        ATTRIBUTE_PATTERN.lastIndex = position;
+        const match = ATTRIBUTE_PATTERN.exec(source);
+        if (!match) {
+            position++;
+            continue;
+        }
+        position = ATTRIBUTE_PATTERN.lastIndex;
+
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attributes.push([match[1].toLowerCase(), decodeEntities(value)]);
+    }
+
+    return attributes;
+}
+
+/**
+ * Keeps the allowed attributes of an element, with safe values.
+ *
+ * @param {string} tagName - The element name
+ * @param {Array<[string, string]>} rawAttributes - The parsed attributes
+ * @param {string} [baseUrl] - The URL relative references resolve against
+ * @returns {Object<string, string>} The sanitized attributes
+ */
+function sanitizeAttributes(tagName, rawAttributes, baseUrl) {
+    const allowed = ALLOWED_ELEMENTS[tagName];
+    const attributes = {};
+
+    for (const [name, value] of rawAttributes) {
+        if (name in attributes) continue;
+        if (!allowed.includes(name) && !GLOBAL_ATTRIBUTES.includes(name)) continue;
+
+        let safeValue = value;
+        if (URL_ATTRIBUTES.has(name)) {
+            safeValue = sanitizeUrl(value, name, tagName, baseUrl);
+        } else if (name === 'srcset') {
+            safeValue = sanitizeSrcset(value, tagName, baseUrl);
+        }
+
+        if (safeValue !== null) {
+            attributes[name] = safeValue;
+        }
+    }
+
+    // Links open in the system browser, without telling the site where the reader came from
+    if (tagName === 'a' && attributes.href && !attributes.href.startsWith('#')) {
+        attributes.target = '_blank';
+        attributes.rel = 'noopener noreferrer nofollow';
+    }
+    // Media never plays by itself
+    if (tagName === 'audio' || tagName === 'video') {
+        attributes.controls = '';
+        if (!attributes.preload) attributes.preload = 'none';
+    }
+    if (tagName === 'img') {
+        attributes.loading = 'lazy';
+        attributes.referrerpolicy = 'no-referrer';
+    }
+
+    return attributes;
+}
+
+/**
+ * Serializes a start tag.
+ *
+ * @param {string} tagName - The element name
+ * @param {Object<string, string>} attributes - The sanitized attributes
+ * @returns {string} The tag
+ */
+function startTag(tagName, attributes) {
+    const serialized = Object.entries(attributes)
+        .map(([name, value]) => value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`)
+        .join('');
+    return `<${tagName}${serialized}>`;
+}
+
+/**
+ * Sanitizes untrusted HTML.
+ *
+ * @param {string} html - The untrusted HTML
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - URL that relative links and images resolve against
+ * @returns {string} HTML that is safe to assign to innerHTML
+ *
+ * @example
+ * sanitizeHtml('<p onclick="steal()">Hi <script>evil()</script><a href="/post">more</a></p>', {
+ *     baseUrl: 'https://example.com/feed'
+ * });
+ * // '<p>Hi <a href="https://example.com/post" target="_blank" rel="noopener noreferrer nofollow">more</a></p>'
+ */
+export function sanitizeHtml(html, { baseUrl } = {}) {
+    if (!html) return '';
+
+    const output = [];
+    const open = [];
+    const length = html.length;
+    let position = 0;
+
+    // Name and nesting depth of an element being dropped with its content
+    let dropping = null;
+    let dropDepth = 0;
+
+    while (position < length) {
+        const tagStart = html.indexOf('<', position);
+        const textEnd = tagStart === -1 ? length : tagStart;
+
+        if (textEnd > position) {
+            if (!dropping) output.push(escapeText(html.slice(position, textEnd)));
+            position = textEnd;
+            if (tagStart === -1) break;
+        }
+
+        // Comments, including unterminated ones, which swallow the rest of the input
+        if (html.startsWith('<!--', position)) {
+            const end = html.indexOf('-->', position + 4);
+            position = end === -1 ? length : end + 3;
+            continue;
+        }
+
+        // CDATA sections are text
+        if (html.startsWith('<![CDATA[', position)) {
+            const end = html.indexOf(']]>', position + 9);
+            const text = html.slice(position + 9, end === -1 ? length : end);
+            if (!dropping) output.push(escapeAttribute(text));
+            position = end === -1 ? length : end + 3;
+            continue;
+        }
+
+        // Doctypes, processing instructions and other declarations are dropped
+        if (html[position + 1] === '!' || html[position + 1] === '?') {
+            const end = html.indexOf('>', position);
+            position = end === -1 ? length : end + 1;
+            continue;
+        }
+
+        const tagMatch = /<(\/?)([a-z][^\s/>]*)/iy;
+        tagMatch.lastIndex = position;
+        const match = tagMatch.exec(html);
+
+        // A '<' that does not open a tag is just text
+        if (!match) {
+            if (!dropping) output.push('&lt;');
+            position++;
+            continue;
+        }
+
+        const isEndTag = match[1] === '/';
+        const tagName = match[2].toLowerCase();
+
+        // Find the end of the tag, skipping over quoted attribute values
+        const tagEnd = /(?:[^>"']|"[^"]*"|'[^']*')*>/y;
+        tagEnd.lastIndex = tagMatch.lastIndex;
+        const rest = tagEnd.exec(html);
+        const attributeSource = rest ? rest[0].slice(0, -1) : html.slice(tagMatch.lastIndex);
+        position = rest ? tagEnd.lastIndex : length;
+
+        if (dropping) {
+            if (tagName === dropping) {
+                dropDepth += isEndTag ? -1 : (attributeSource.trimEnd().endsWith('/') ? 0 : 1);
+                if (dropDepth === 0) dropping = null;
+            }
+            continue;
+        }
+
+        if (isEndTag) {
+            // Close up to the matching open element; stray end tags are ignored
+            const index = open.lastIndexOf(tagName);
+            if (index !== -1) {
+                open.splice(index).reverse().forEach(name => output.push(`</${name}>`));
+            }
+            continue;
+        }
+
+        if (DROPPED_ELEMENTS.has(tagName)) {
+            if (RAW_TEXT_ELEMENTS.has(tagName)) {
+                // Raw text runs to the end tag, whatever it contains
+                const close = new RegExp(`</${tagName}[\\s/>]`, 'ig');
+                close.lastIndex = position;
+                const closeMatch = close.exec(html);
+                if (!closeMatch) {
+                    position = length;
+                } else {
+                    const end = html.indexOf('>', closeMatch.index);
+                    position = end === -1 ? length : end + 1;
+                }
+            } else if (!VOID_ELEMENTS.has(tagName) && !attributeSource.trimEnd().endsWith('/')) {
+                dropping = tagName;
+                dropDepth = 1;
+            }
+            continue;
+        }
+
+        // Unknown elements are unwrapped: their content stays, the tags go
+        if (!ALLOWED_ELEMENTS[tagName]) continue;
+
+        const attributes = sanitizeAttributes(tagName, parseAttributes(attributeSource), baseUrl);
+
+        if (tagName === 'img' && (!attributes.src || isTrackingPixel(attributes))) continue;
+        if (tagName === 'source' && !attributes.src && !attributes.srcset) continue;
+
+        output.push(startTag(tagName, attributes));
+        if (!VOID_ELEMENTS.has(tagName)) {
+            open.push(tagName);
+        }
+    }
+
+    open.reverse().forEach(name => output.push(`</${name}>`));
+    return output.join('');
+}
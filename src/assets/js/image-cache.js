@@ -0,0 +1,422 @@
+import { isElectron } from '../../utils/index.js';
+import { getServerUrl } from '../../utils/config.js';
+import { createDigest } from '../../utils/hash.js';
+import { storage } from './storage.js';
+
+// Configuration constants
+const IMAGE_CONCURRENCY = 4;                          // Maximum number of concurrent image downloads
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;             // Images larger than this are not cached (10 MB)
+const IMAGE_FETCH_TIMEOUT = 30 * 1000;                // Deadline for each download attempt, body included (30 seconds)
+const FAILED_RETRY_INTERVAL = 24 * 60 * 60 * 1000;    // How long before a failed image is tried again (1 day)
+const INDEX_SAVE_DELAY = 2000;                        // Batches index writes while downloads are running
+export const MAX_CACHE_BYTES = 200 * 1024 * 1024;     // Total size of cached images (200 MB)
+
+/**
+ * Offline cache for the images in feed items.
+ *
+ * Images are downloaded in the background, at most IMAGE_CONCURRENCY at a time.
+ * In the Electron environment they are written to disk by the main process
+ * (`images:*` IPC channels); in the browser environment they are stored as
+ * blobs in a separate IndexedDB database (`kupukupu-images`), downloaded
+ * directly when the host allows it and through the proxy server otherwise.
+ *
+ * The cache index (storage key `imageCacheIndex`) maps each image URL to its
+ * entry: `{ status: 'cached', localPath, size, type, cachedAt, lastUsed }` or
+ * `{ status: 'failed', error, failedAt }`. Feed items record the same status in
+ * their `images` array. Eviction runs alongside item retention: images no
+ * longer referenced by any stored item are removed, then the least recently
+ * used until the cache fits in MAX_CACHE_BYTES.
+ *
+ * @example
+ * import { imageCache } from './image-cache.js';
+ *
+ * imageCache.enqueue(item.images.map(image => image.originalUrl));
+ * const src = await imageCache.getObjectUrl(image.originalUrl) || image.originalUrl;
+ */
+class ImageCache {
+    /**
+     * Determines the runtime environment once, as the storage module does.
+     */
+    constructor() {
+        this.isElectron = isElectron();
+        this.dbName = 'kupukupu-images';
+        this.storeName = 'images';
+        this.db = null;
+        this.index = null;
+        this.queue = [];
+        this.queued = new Set();
+        this.active = 0;
+        this.idleWaiters = [];
+        this.objectUrls = new Map();
+        this.saveTimer = null;
+    }
+
+    /**
+     * Loads the cache index from storage.
+     * @private
+     * @returns {Promise<Object<string, Object>>} Entries by image URL
+     */
+    async loadIndex() {
+        if (!this.index) {
+            this.index = await storage.get('imageCacheIndex') || {};
+        }
+        return this.index;
+    }
+
+    /**
+     * Saves the cache index after a short delay, so a burst of downloads
+     * results in a single write.
+     * @private
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            storage.set('imageCacheIndex', this.index).catch(error => {
+                console.error('Failed to save image cache index:', error);
+            });
+        }, INDEX_SAVE_DELAY);
+    }
+
+    /**
+     * Returns the cache entry for an image.
+     *
+     * @param {string} url - The image URL
+     * @returns {Promise<Object|null>} The entry, or null if the image has not been processed
+     */
+    async getEntry(url) {
+        const index = await this.loadIndex();
+        return index[url] || null;
+    }
+
+    /**
+     * Queues images for download. Images already cached, queued, or that
+     * failed within FAILED_RETRY_INTERVAL are skipped.
+     *
+     * @param {Array<string>} urls - Image URLs
+     * @returns {Promise<void>} Resolves once the URLs are queued; downloads continue in the background
+     */
+    async enqueue(urls) {
+        const index = await this.loadIndex();
+        const now = Date.now();
+
+        for (const url of urls) {
+            if (!/^https?:\/\//i.test(url || '') || this.queued.has(url)) continue;
+            const entry = index[url];
+            if (entry?.status === 'cached') continue;
+            if (entry?.status === 'failed' && now - entry.failedAt < FAILED_RETRY_INTERVAL) continue;
+
+            this.queue.push(url);
+            this.queued.add(url);
+        }
+
+        this.processQueue();
+    }
+
+    /**
+     * Resolves once every queued download has finished.
+     *
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        if (this.active === 0 && this.queue.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Starts downloads until IMAGE_CONCURRENCY are running.
+     * @private
+     */
+    processQueue() {
+        while (this.active < IMAGE_CONCURRENCY && this.queue.length > 0) {
+            const url = this.queue.shift();
+            this.active++;
+
+            this.download(url)
+                .catch(error => console.error(`Failed to cache image ${url}:`, error))
+                .finally(() => {
+                    this.active--;
+                    this.queued.delete(url);
+                    this.processQueue();
+
+                    if (this.active === 0 && this.queue.length === 0) {
+                        this.idleWaiters.splice(0).forEach(resolve => resolve());
+                        // Stay within the size limit once a batch is done
+                        this.evict().catch(error => console.error('Failed to evict cached images:', error));
+                    }
+                });
+        }
+    }
+
+    /**
+     * Downloads an image into the cache and records the result in the index.
+     * @private
+     * @param {string} url - The image URL
+     */
+    async download(url) {
+        const index = await this.loadIndex();
+
+        try {
+            let entry;
+            if (this.isElectron) {
+                const result = await window.api.images.cache(url);
+                if (!result.ok) {
+                    throw new Error(result.error || 'Failed to download image');
+                }
+                entry = { localPath: result.path, size: result.size, type: result.type };
+            } else {
+                const blob = await this.fetchImage(url);
+                const localPath = await createDigest(url);
+                await this.dbOperation('readwrite', store => store.put(blob, localPath));
+                entry = { localPath, size: blob.size, type: blob.type };
+            }
+
+            index[url] = { status: 'cached', ...entry, cachedAt: Date.now(), lastUsed: Date.now() };
+        } catch (error) {
+            index[url] = { status: 'failed', error: error.message, failedAt: Date.now() };
+        }
+
+        this.scheduleSave();
+    }
+
+    /**
+     * Downloads an image in the browser, directly if the host allows
+     * cross-origin requests and through the proxy server otherwise. Each
+     * attempt has IMAGE_FETCH_TIMEOUT to finish, and stops reading once the
+     * image passes MAX_IMAGE_BYTES.
+     * @private
+     * @param {string} url - The image URL
+     * @returns {Promise<Blob>} The image
+     * @throws {Error} If the image cannot be downloaded in time or is not a usable image
+     */
+    async fetchImage(url) {
+        let deadline = AbortSignal.timeout(IMAGE_FETCH_TIMEOUT);
+        try {
+            let response;
+            try {
+                response = await fetch(url, { mode: 'cors', credentials: 'omit', signal: deadline });
+            } catch (error) {
+                response = null;
+            }
+
+            if (!response?.ok) {
+                await response?.body?.cancel();
+                deadline = AbortSignal.timeout(IMAGE_FETCH_TIMEOUT);
+                response = await fetch(`${getServerUrl()}/api/image/fetch?${new URLSearchParams({ url })}`, {
+                    signal: deadline
+                });
+                if (!response.ok) {
+                    await response.body?.cancel();
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+            }
+
+            return await this.readImage(response);
+        } catch (error) {
+            throw deadline.aborted ? new Error('Request timed out') : error;
+        }
+    }
+
+    /**
+     * Reads an image response, giving up once it grows past MAX_IMAGE_BYTES.
+     * @private
+     * @param {Response} response - A successful response
+     * @returns {Promise<Blob>} The image, typed from its Content-Type header
+     * @throws {Error} If the response is not an image or is too large
+     */
+    async readImage(response) {
+        const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (!type.startsWith('image/')) {
+            await response.body?.cancel();
+            throw new Error(`Not an image: ${type || 'unknown type'}`);
+        }
+        if (parseInt(response.headers.get('content-length'), 10) > MAX_IMAGE_BYTES) {
+            await response.body?.cancel();
+            throw new Error('Image too large');
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            size += chunk.value.length;
+            if (size > MAX_IMAGE_BYTES) {
+                await reader.cancel();
+                throw new Error('Image too large');
+            }
+            chunks.push(chunk.value);
+        }
+        return new Blob(chunks, { type });
+    }
+
+    /**
+     * Returns an object URL for a cached image, for use as an img src.
+     * Object URLs are reused until the image is evicted.
+     *
+     * @param {string} url - The original image URL
+     * @returns {Promise<string|null>} The object URL, or null if the image is not cached
+     */
+    async getObjectUrl(url) {
+        if (this.objectUrls.has(url)) {
+            return this.objectUrls.get(url);
+        }
+
+        const entry = await this.getEntry(url);
+        if (entry?.status !== 'cached') return null;
+
+        try {
+            let blob;
+            if (this.isElectron) {
+                const result = await window.api.images.read(entry.localPath);
+                if (!result.ok) {
+                    throw new Error(result.error || 'Failed to read image');
+                }
+                blob = new Blob([result.data], { type: entry.type });
+            } else {
+                blob = await this.dbOperation('readonly', store => store.get(entry.localPath));
+                if (!blob) {
+                    throw new Error('Image missing from the cache');
+                }
+            }
+
+            entry.lastUsed = Date.now();
+            this.scheduleSave();
+
+            const objectUrl = URL.createObjectURL(blob);
+            this.objectUrls.set(url, objectUrl);
+            return objectUrl;
+        } catch (error) {
+            // The file was removed outside the app; download it again next time
+            console.warn(`Cached image unavailable, forgetting it: ${url}`, error);
+            delete this.index[url];
+            this.scheduleSave();
+            return null;
+        }
+    }
+
+    /**
+     * Removes cached images: first those no longer referenced by any stored
+     * item (when the referenced set is given), then the least recently used
+     * until the cache fits in MAX_CACHE_BYTES. Failed entries are forgotten
+     * along with their items.
+     *
+     * @param {Set<string>} [referencedUrls] - URLs of the images used by stored items
+     * @returns {Promise<{removedCount: number, reclaimedBytes: number}>} What was removed
+     */
+    async evict(referencedUrls) {
+        const index = await this.loadIndex();
+        const evicted = new Set();
+
+        if (referencedUrls) {
+            for (const url of Object.keys(index)) {
+                if (!referencedUrls.has(url)) {
+                    evicted.add(url);
+                }
+            }
+        }
+
+        const remaining = Object.entries(index)
+            .filter(([url, entry]) => entry.status === 'cached' && !evicted.has(url))
+            .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+        let total = remaining.reduce((sum, [, entry]) => sum + entry.size, 0);
+        for (const [url, entry] of remaining) {
+            if (total <= MAX_CACHE_BYTES) break;
+            evicted.add(url);
+            total -= entry.size;
+        }
+
+        if (evicted.size === 0) {
+            return { removedCount: 0, reclaimedBytes: 0 };
+        }
+
+        const removed = Array.from(evicted, url => index[url]).filter(entry => entry.status === 'cached');
+        await this.deleteFiles(removed.map(entry => entry.localPath));
+
+        for (const url of evicted) {
+            delete index[url];
+            if (this.objectUrls.has(url)) {
+                URL.revokeObjectURL(this.objectUrls.get(url));
+                this.objectUrls.delete(url);
+            }
+        }
+        this.scheduleSave();
+
+        return {
+            removedCount: removed.length,
+            reclaimedBytes: removed.reduce((sum, entry) => sum + entry.size, 0)
+        };
+    }
+
+    /**
+     * Reports how much the cache holds.
+     *
+     * @returns {Promise<{count: number, bytes: number}>} Number of cached images and their total size
+     */
+    async getUsage() {
+        const index = await this.loadIndex();
+        const cached = Object.values(index).filter(entry => entry.status === 'cached');
+        return {
+            count: cached.length,
+            bytes: cached.reduce((sum, entry) => sum + entry.size, 0)
+        };
+    }
+
+    /**
+     * Deletes stored image data.
+     * @private
+     * @param {Array<string>} localPaths - File paths (Electron) or IndexedDB keys (browser)
+     */
+    async deleteFiles(localPaths) {
+        if (localPaths.length === 0) return;
+
+        if (this.isElectron) {
+            await window.api.images.delete(localPaths);
+            return;
+        }
+
+        for (const localPath of localPaths) {
+            await this.dbOperation('readwrite', store => store.delete(localPath));
+        }
+    }
+
+    /**
+     * Opens the image database in the browser environment.
+     * @private
+     */
+    async initDB() {
+        if (this.db) return;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+        });
+    }
+
+    /**
+     * Performs a request on the image store.
+     * @private
+     */
+    async dbOperation(mode, operation) {
+        await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export singleton instance
+export const imageCache = new ImageCache();
@@ -0,0 +1,181 @@
+/**
+ * Item Duplicates Module
+ *
+ * Recognises the same story published in several feeds, e.g. by the site
+ * itself and by aggregators that syndicate it. Items from different feeds are
+ * copies of each other when either
+ * - their links are the same page once canonicalized (see src/utils/url.js), or
+ * - they were published within
+ *   TITLE_MATCH_WINDOW of each other and have near-identical titles
+ *
+ * Items of one feed are never merged: they have ids of their own, even when
+ * they share a link, e.g. podcast episodes that all link to the show's page.
+ *
+ * groupDuplicates collapses copies into one item, which lists the others in
+ * `duplicates`, so they can be shown as one card and read together.
+ *
+ * Has no storage or DOM dependencies, so it runs in the feed worker.
+ *
+ * @module item-duplicates
+ */
+
+import { canonicalizeUrl } from '../../utils/url.js';
+
+// How far apart copies of a story may be published to be matched by title (3 days)
+const TITLE_MATCH_WINDOW = 3 * 24 * 60 * 60 * 1000;
+
+// Share of words two titles must have in common to be the same story
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+
+// Titles with fewer words are too generic ("Links", "Weekly update") to match on
+const MIN_TITLE_WORDS = 4;
+
+// A source appended to a title by aggregators: "Story title - Publisher" or "Story title | Publisher"
+const TITLE_SOURCE_SUFFIX = /\s+[-|–—]\s+[^-|–—]{1,60}$/;
+
+// Most words a source suffix may have; longer endings are part of the title
+const MAX_SOURCE_WORDS = 5;
+
+/**
+ * Splits a title into the words used to compare it: lower case, without
+ * accents, punctuation or a trailing " - Publisher".
+ *
+ * @param {string} title - The item title
+ * @returns {Array<string>} The words
+ *
+ * @example
+ * titleWords('Café owners “win” appeal – The Daily Planet');
+ * // ['cafe', 'owners', 'win', 'appeal']
+ */
+export function titleWords(title) {
+    let text = (title || '').trim();
+
+    const suffix = text.match(TITLE_SOURCE_SUFFIX);
+    if (suffix && suffix[0].trim().split(/\s+/).length - 1 <= MAX_SOURCE_WORDS) {
+        const remainder = text.slice(0, suffix.index);
+        if (remainder.split(/\s+/).length >= MIN_TITLE_WORDS) {
+            text = remainder;
+        }
+    }
+
+    return text
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Measures how alike two titles are, as the share of their distinct words
+ * they have in common (Jaccard similarity).
+ *
+ * @param {Array<string>} a - Words of the first title, from titleWords
+ * @param {Array<string>} b - Words of the second title
+ * @returns {number} 0 (nothing in common) to 1 (the same words); 0 for titles too short to compare
+ */
+export function titleSimilarity(a, b) {
+    const wordsA = new Set(a);
+    const wordsB = new Set(b);
+    if (wordsA.size < MIN_TITLE_WORDS || wordsB.size < MIN_TITLE_WORDS) {
+        return 0;
+    }
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Returns an item's publication time.
+ * @param {Object} item - The item
+ * @returns {number} Milliseconds since the epoch, 0 if unknown
+ */
+function publishedTime(item) {
+    return Date.parse(item.published) || 0;
+}
+
+/**
+ * Collapses copies of the same story into one item each.
+ *
+ * The item kept is the copy from the feed that comes first in feed order.
+ * It gains `duplicates`: the id, feed ID and read state of each other copy.
+ * An item counts as read if any of its copies is.
+ *
+ * @param {Array<Array<Object>>} itemLists - The stored items of each feed, in feed order
+ * @returns {Array<Object>} One item per story, in no particular order
+ *
+ * @example
+ * const items = groupDuplicates([siteItems, aggregatorItems]);
+ * items[0].duplicates; // [{ id: '…', feedId: 'feed-abc', isRead: false }]
+ */
+export function groupDuplicates(itemLists) {
+    // Each group is a story: its first copy, the others, and the feeds they are in
+    const groups = [];
+    // Stories by canonical link; one link can be several stories of the same feed
+    const groupsByLink = new Map();
+
+    itemLists.forEach((items, feedIndex) => {
+        for (const item of items) {
+            const key = item.link ? canonicalizeUrl(item.link) : item.id;
+            const linked = groupsByLink.get(key) || [];
+            const group = linked.find(candidate => !candidate.feedIds.has(item.feedId));
+            if (group) {
+                group.copies.push(item);
+                group.feedIds.add(item.feedId);
+                continue;
+            }
+
+            const newGroup = {
+                item,
+                feedIndex,
+                copies: [],
+                feedIds: new Set([item.feedId]),
+                words: titleWords(item.title),
+                time: publishedTime(item)
+            };
+            groups.push(newGroup);
+            groupsByLink.set(key, [...linked, newGroup]);
+        }
+    });
+
+    // Compare titles only with stories published around the same time
+    groups.sort((a, b) => b.time - a.time);
+    const merged = new Set();
+    for (let i = 0; i < groups.length; i++) {
+        const group = groups[i];
+        for (let j = i - 1; j >= 0 && groups[j].time - group.time <= TITLE_MATCH_WINDOW; j--) {
+            const other = groups[j];
+            if (merged.has(other)) continue;
+            // Copies within one feed are told apart by their links, not their titles
+            if ([...group.feedIds].some(feedId => other.feedIds.has(feedId))) continue;
+            if (titleSimilarity(group.words, other.words) < TITLE_SIMILARITY_THRESHOLD) continue;
+
+            // The story's copies join the other one, led by the copy from the earlier feed
+            if (group.feedIndex < other.feedIndex) {
+                other.copies.push(other.item);
+                other.item = group.item;
+                other.feedIndex = group.feedIndex;
+            } else {
+                other.copies.push(group.item);
+            }
+            other.copies.push(...group.copies);
+            group.feedIds.forEach(feedId => other.feedIds.add(feedId));
+            merged.add(group);
+            break;
+        }
+    }
+
+    return groups
+        .filter(group => !merged.has(group))
+        .map(({ item, copies }) => {
+            if (copies.length === 0) return item;
+            return {
+                ...item,
+                isRead: item.isRead || copies.some(copy => copy.isRead),
+                duplicates: copies.map(({ id, feedId, isRead }) => ({ id, feedId, isRead: Boolean(isRead) }))
+            };
+        });
+}
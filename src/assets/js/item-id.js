@@ -0,0 +1,58 @@
+/**
+ * Item Id Module
+ *
+ * Gives every feed item a stable, collision-resistant id. The id is a SHA-256
+ * digest of the feed's id and the first available of:
+ * 1. The item's guid (RSS guid, Atom id, JSON Feed id)
+ * 2. The item's link
+ * 3. A fingerprint of its title and content
+ *
+ * Ids are scoped to their feed, so feeds that reuse guids such as "1", "2"...
+ * never overwrite each other's items.
+ *
+ * Has no storage or DOM dependencies, so it also runs in the feed worker.
+ * Migrating stored items between id schemes is handled by item-identity.js.
+ *
+ * @module item-id
+ */
+
+import { createDigest } from '../../utils/hash.js';
+
+/**
+ * Builds a fingerprint of an item's visible content, for items with neither
+ * a guid nor a link.
+ *
+ * @param {string} title - The item title
+ * @param {string} content - The item content (HTML)
+ * @returns {string} The normalized fingerprint source
+ */
+export function fingerprintContent(title, content) {
+    const text = `${title || ''}\n${(content || '').replace(/<[^>]*>/g, ' ')}`;
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Creates the id of a feed item.
+ *
+ * @param {Object} item - The item
+ * @param {string} [item.guid] - The item's guid/id as published
+ * @param {string} [item.link] - The item's link
+ * @param {string} [item.title] - The item's title
+ * @param {string} [item.content] - The item's content
+ * @param {string} feedId - The ID of the feed the item belongs to
+ * @returns {Promise<string>} The item id
+ *
+ * @example
+ * const id = await createItemId({ guid: entry.id, link: entry.link, title, content }, feed.id);
+ */
+export async function createItemId({ guid, link, title, content }, feedId) {
+    let key;
+    if (guid) {
+        key = `guid:${guid}`;
+    } else if (link) {
+        key = `link:${link}`;
+    } else {
+        key = `content:${fingerprintContent(title, content)}`;
+    }
+    return createDigest(`${feedId}\n${key}`);
+}
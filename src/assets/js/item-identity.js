@@ -0,0 +1,103 @@
+/**
+ * Item Identity Module
+ *
+ * Keeps stored items in step with the item id scheme (see item-id.js).
+ *
+ * Items stored by earlier versions were keyed by a 32-bit hash of their link
+ * (`urlHash`). migrateItemIdentity rekeys them, together with everything that
+ * refers to items by id: seen hashes, starred items and playback positions.
+ * Those items did not record their guid, so they are rekeyed by link and
+ * flagged `legacyId`; the feed manager adopts the guid-based id the next time
+ * the same item is fetched (see rekeyItemReferences).
+ *
+ * @module item-identity
+ */
+
+import { storage } from './storage.js';
+import { createItemId } from './item-id.js';
+
+// Bumped whenever the id scheme changes, so stored items get migrated
+export const ITEM_IDENTITY_VERSION = 2;
+
+/**
+ * Moves starred items and playback positions from old item ids to new ones.
+ *
+ * @param {Map<string, string>} rekeyed - New item id by old item id
+ * @returns {Promise<void>}
+ */
+export async function rekeyItemReferences(rekeyed) {
+    if (rekeyed.size === 0) return;
+
+    const permanentStorage = await storage.get('permanentStorage') || {};
+    const starredItems = permanentStorage.starredItems || {};
+    let starredChanged = false;
+    for (const [oldId, newId] of rekeyed) {
+        if (starredItems[oldId] && !starredItems[newId]) {
+            starredItems[newId] = { ...starredItems[oldId], id: newId };
+            delete starredItems[oldId];
+            starredChanged = true;
+        }
+    }
+    if (starredChanged) {
+        await storage.set('permanentStorage', { ...permanentStorage, starredItems });
+    }
+
+    const positions = await storage.get('playbackPositions') || {};
+    let positionsChanged = false;
+    for (const [oldId, newId] of rekeyed) {
+        if (positions[oldId] && !positions[newId]) {
+            positions[newId] = positions[oldId];
+            delete positions[oldId];
+            positionsChanged = true;
+        }
+    }
+    if (positionsChanged) {
+        await storage.set('playbackPositions', positions);
+    }
+}
+
+/**
+ * Rekeys items stored under the old link-hash scheme. Runs once; later calls
+ * return immediately.
+ *
+ * @param {Array<string>} feedIds - IDs of the feeds whose items should be migrated
+ * @returns {Promise<number>} Number of items rekeyed
+ */
+export async function migrateItemIdentity(feedIds) {
+    const version = await storage.get('itemIdentityVersion') || 1;
+    if (version >= ITEM_IDENTITY_VERSION) return 0;
+
+    console.log('Migrating stored feed items to SHA-256 item ids...');
+    const rekeyed = new Map();
+    let count = 0;
+
+    for (const feedId of feedIds) {
+        const items = await storage.get(`feed_items_${feedId}`) || [];
+        const seenHashes = await storage.get(`seen_hashes_${feedId}`) || [];
+        const feedRekeyed = new Map();
+
+        const migratedItems = [];
+        for (const { urlHash, ...item } of items) {
+            const id = item.id || await createItemId(item, feedId);
+            if (urlHash) {
+                feedRekeyed.set(urlHash, id);
+                // Items sharing a link with another feed's item keep the first mapping
+                if (!rekeyed.has(urlHash)) rekeyed.set(urlHash, id);
+            }
+            migratedItems.push({ ...item, id, legacyId: true });
+        }
+
+        // Hashes of items no longer stored cannot be mapped and are dropped
+        const migratedHashes = seenHashes.map(hash => feedRekeyed.get(hash)).filter(Boolean);
+
+        await storage.set(`feed_items_${feedId}`, migratedItems);
+        await storage.set(`seen_hashes_${feedId}`, migratedHashes);
+        count += migratedItems.length;
+    }
+
+    await rekeyItemReferences(rekeyed);
+    await storage.set('itemIdentityVersion', ITEM_IDENTITY_VERSION);
+
+    console.log(`Migrated ${count} stored feed items`);
+    return count;
+}
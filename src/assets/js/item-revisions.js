@@ -0,0 +1,185 @@
+/**
+ * Item Revisions Module
+ *
+ * Detects when a publisher edits an item after it was first fetched. Each
+ * stored item carries a `contentHash`: a SHA-256 digest of its title and text
+ * (see fingerprintContent). When a fetch returns the same item with a
+ * different hash, the stored version is pushed onto the item's `revisions`
+ * (newest first, at most MAX_REVISIONS) and the item is flagged `updated`.
+ * Hashes from an older CONTENT_HASH_VERSION are replaced without flagging.
+ *
+ * diffWords compares two revisions word by word, for showing what changed.
+ *
+ * @module item-revisions
+ */
+
+import { createDigest } from '../../utils/hash.js';
+import { fingerprintContent } from './item-id.js';
+
+// Number of earlier versions kept per item
+export const MAX_REVISIONS = 5;
+
+// Bumped whenever what goes into the hash changes (2: content is sanitized first),
+// so stored hashes are replaced instead of being reported as edits
+export const CONTENT_HASH_VERSION = 2;
+
+// Above this many words per side the diff falls back to showing a plain replacement
+const MAX_DIFF_WORDS = 3000;
+
+/**
+ * Creates the content hash of an item.
+ *
+ * @param {Object} item - The item
+ * @param {string} [item.title] - The item title
+ * @param {string} [item.content] - The item content (HTML)
+ * @returns {Promise<string>} The hash
+ */
+export function createContentHash({ title, content }) {
+    return createDigest(fingerprintContent(title, content));
+}
+
+/**
+ * Combines a stored item with the version of it that was just fetched.
+ * The user's state (read, revisions, update flag) is always carried over,
+ * and so is what their rules set (hidden, tags).
+ *
+ * @param {Object} stored - The stored item
+ * @param {Object} fetched - The freshly fetched item, with its contentHash
+ * @returns {{item: Object, changed: boolean, updated: boolean}} The item to store, whether it differs
+ *     from the stored one, and whether its content was edited
+ *
+ * @example
+ * const { item, updated } = mergeItemRevision(existingItem, newItem);
+ */
+export function mergeItemRevision(stored, fetched) {
+    const userState = {
+        isRead: stored.isRead,
+        updated: stored.updated || false,
+        revisions: stored.revisions || [],
+        // Set by the user's rules (see rules-engine.js), which only run on new items
+        ...(stored.hidden && { hidden: true }),
+        ...(stored.tags && { tags: stored.tags })
+    };
+
+    // Items stored before content hashes existed, or hashed differently, take the
+    // fetched version as a new baseline
+    if (!stored.contentHash || stored.contentHashVersion !== fetched.contentHashVersion) {
+        return { item: { ...fetched, ...userState, updatedAt: stored.updatedAt }, changed: true, updated: false };
+    }
+
+    if (stored.contentHash !== fetched.contentHash) {
+        const revision = {
+            title: stored.title,
+            content: stored.content,
+            contentHash: stored.contentHash,
+            contentHashVersion: stored.contentHashVersion,
+            published: stored.published,
+            replacedAt: new Date().toISOString()
+        };
+        return {
+            item: {
+                ...fetched,
+                ...userState,
+                updated: true,
+                updatedAt: revision.replacedAt,
+                revisions: [revision, ...userState.revisions].slice(0, MAX_REVISIONS)
+            },
+            changed: true,
+            updated: true
+        };
+    }
+
+    // Same content; only a newer publication date is worth storing
+    if (new Date(fetched.published) > new Date(stored.published)) {
+        return { item: { ...fetched, ...userState, updatedAt: stored.updatedAt }, changed: true, updated: false };
+    }
+
+    return { item: stored, changed: false, updated: false };
+}
+
+/**
+ * Splits HTML into the words of its visible text.
+ *
+ * @param {string} html - The HTML
+ * @returns {Array<string>} The words
+ */
+function toWords(html) {
+    return fingerprintContent('', html).split(' ').filter(Boolean);
+}
+
+/**
+ * Compares two versions of an item's content word by word.
+ *
+ * @param {string} before - The earlier content (HTML)
+ * @param {string} after - The later content (HTML)
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Runs of words, in reading order
+ *
+ * @example
+ * diffWords('<p>The quick fox</p>', '<p>The slow fox</p>');
+ * // [{ type: 'same', text: 'The' }, { type: 'removed', text: 'quick' },
+ * //  { type: 'added', text: 'slow' }, { type: 'same', text: 'fox' }]
+ */
+export function diffWords(before, after) {
+    const a = toWords(before);
+    const b = toWords(after);
+
+    // Trim the shared start and end, which is most of a typical edit
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const parts = [];
+    const push = (type, word) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += ` ${word}`;
+        } else {
+            parts.push({ type, text: word });
+        }
+    };
+
+    a.slice(0, start).forEach(word => push('same', word));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length > MAX_DIFF_WORDS || midB.length > MAX_DIFF_WORDS) {
+        midA.forEach(word => push('removed', word));
+        midB.forEach(word => push('added', word));
+    } else {
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: midA.length + 1 }, () => new Uint16Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                push('same', midA[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                push('removed', midA[i++]);
+            } else {
+                push('added', midB[j++]);
+            }
+        }
+        midA.slice(i).forEach(word => push('removed', word));
+        midB.slice(j).forEach(word => push('added', word));
+    }
+
+    a.slice(endA).forEach(word => push('same', word));
+
+    return parts;
+}
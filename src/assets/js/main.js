@@ -6,6 +6,7 @@ import { isElectron } from '../../utils/index.js';
 import { feedNavigation } from './feed-navigation.js';
 import { feedManager } from './feed-manager.js';
 import { registerAllShortcuts } from '../../shortcuts/index.js';
+import '../../events/feeds/index.js';
 
 let isDrawerOpen = false;
 let isShowingHelp = false;
@@ -119,6 +120,7 @@ async function initialize() {
 
             // Hide loading indicator when feeds are loaded
             pubsub.on('newFeedItems', hideLoading);
+            pubsub.on('feedFetchFinished', hideLoading);
         }
 
         console.log('Application initialized');
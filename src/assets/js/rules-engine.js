@@ -0,0 +1,177 @@
+/**
+ * Rules Engine Module
+ *
+ * Acts on feed items automatically, as the user's rules say: hides sponsored
+ * posts, marks or stars items, tags them or asks for a notification. Rules
+ * are kept in the settings (`rules`) and edited on the settings page.
+ *
+ * A rule matches an item when
+ * - it is enabled,
+ * - the item is in the rule's feed (any feed if `feedId` is empty), and
+ * - the rule's field (title, content, author or any of them) contains,
+ *   equals, starts with or matches the regular expression in `pattern`.
+ *   Matching ignores case unless `caseSensitive` is set.
+ *
+ * Every matching rule contributes its actions. The feed manager applies them
+ * to new items as they are fetched, and to all stored items when the rules
+ * are re-run (see feedManager.applyRulesToStoredItems).
+ *
+ * Has no storage or DOM dependencies.
+ *
+ * @module rules-engine
+ *
+ * @example
+ * const rules = compileRules(settings.rules);
+ * const { hide, tags } = evaluateRules(item, rules);
+ */
+
+import { decodeEntities } from './xml-parser.js';
+
+// Item fields a rule can look at; 'any' is the title, author and content together
+export const RULE_FIELDS = ['any', 'title', 'content', 'author'];
+
+// Ways a rule's pattern can match
+export const RULE_OPERATORS = ['contains', 'equals', 'startsWith', 'regex'];
+
+// What a matching rule can do
+export const RULE_ACTIONS = ['hide', 'markRead', 'star', 'tag', 'notify'];
+
+// Longest pattern accepted, which keeps regular expressions reasonable
+const MAX_PATTERN_LENGTH = 500;
+
+// Only the start of long content is searched
+const MAX_TEXT_LENGTH = 20000;
+
+/**
+ * Checks a rule for mistakes.
+ *
+ * @param {Object} rule - The rule
+ * @returns {string} A description of the first problem found, or an empty string if the rule is valid
+ *
+ * @example
+ * validateRule({ field: 'title', operator: 'regex', pattern: '(', actions: ['hide'] });
+ * // 'Invalid regular expression: ...'
+ */
+export function validateRule(rule) {
+    if (!RULE_FIELDS.includes(rule.field)) {
+        return `Unknown field: ${rule.field}`;
+    }
+    if (!RULE_OPERATORS.includes(rule.operator)) {
+        return `Unknown match type: ${rule.operator}`;
+    }
+    if (!rule.pattern?.trim()) {
+        return 'A rule needs something to match';
+    }
+    if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+        return `Patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (rule.operator === 'regex') {
+        try {
+            new RegExp(rule.pattern, 'u');
+        } catch (error) {
+            return error.message;
+        }
+    }
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+        return 'A rule needs at least one action';
+    }
+    const unknown = rule.actions.find(action => !RULE_ACTIONS.includes(action));
+    if (unknown) {
+        return `Unknown action: ${unknown}`;
+    }
+    if (rule.actions.includes('tag') && !rule.tag?.trim()) {
+        return 'The tag action needs a tag name';
+    }
+    return '';
+}
+
+/**
+ * Reads the text of an item field, with HTML reduced to plain text.
+ *
+ * @param {Object} item - The item
+ * @param {string} field - One of RULE_FIELDS
+ * @returns {string} The text
+ */
+function readField(item, field) {
+    if (field === 'any') {
+        return ['title', 'author', 'content'].map(name => readField(item, name)).join('\n');
+    }
+    const value = String(item[field] || '');
+    if (field !== 'content') {
+        return value;
+    }
+    return decodeEntities(value.slice(0, MAX_TEXT_LENGTH).replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Creates the test of a rule's pattern.
+ *
+ * @param {Object} rule - A valid rule
+ * @returns {Function} Returns true for text the pattern matches
+ */
+function createMatcher({ operator, pattern, caseSensitive }) {
+    if (operator === 'regex') {
+        const expression = new RegExp(pattern, caseSensitive ? 'u' : 'iu');
+        return text => expression.test(text);
+    }
+
+    const normalize = text => (caseSensitive ? text : text.toLowerCase());
+    const wanted = normalize(pattern.trim());
+    return {
+        contains: text => normalize(text).includes(wanted),
+        equals: text => normalize(text.trim()) === wanted,
+        startsWith: text => normalize(text.trim()).startsWith(wanted)
+    }[operator];
+}
+
+/**
+ * Prepares rules for evaluation. Disabled rules are left out, and so are
+ * invalid ones, with a warning.
+ *
+ * @param {Array<Object>} [rules] - The rules from the settings
+ * @returns {Array<Object>} The rules, each with a `matches(item)` function
+ */
+export function compileRules(rules = []) {
+    const compiled = [];
+    for (const rule of rules) {
+        if (rule.enabled === false) continue;
+
+        const problem = validateRule(rule);
+        if (problem) {
+            console.warn(`Skipping rule "${rule.name || rule.pattern}": ${problem}`);
+            continue;
+        }
+
+        const test = createMatcher(rule);
+        compiled.push({
+            ...rule,
+            matches: item => (!rule.feedId || rule.feedId === item.feedId) && test(readField(item, rule.field))
+        });
+    }
+    return compiled;
+}
+
+/**
+ * Works out what the rules do to an item.
+ *
+ * @param {Object} item - The item, with its feedId
+ * @param {Array<Object>} rules - Rules from compileRules
+ * @returns {{matched: Array<Object>, hide: boolean, markRead: boolean, star: boolean, tags: Array<string>,
+ *     notify: Array<Object>}} The matching rules, the actions they add up to, the tags to give the item
+ *     and the rules that asked for a notification
+ */
+export function evaluateRules(item, rules) {
+    const matched = rules.filter(rule => rule.matches(item));
+    const has = action => matched.some(rule => rule.actions.includes(action));
+
+    return {
+        matched,
+        hide: has('hide'),
+        markRead: has('markRead'),
+        star: has('star'),
+        tags: Array.from(new Set(
+            matched.filter(rule => rule.actions.includes('tag')).map(rule => rule.tag.trim())
+        )),
+        notify: matched.filter(rule => rule.actions.includes('notify'))
+    };
+}
@@ -1,22 +1,7 @@
 import { storage } from './storage.js';
 import { pubsub } from './pubsub.js';
 import { isElectron } from '../../utils/index.js';
-import { getServerUrl } from '../../utils/config.js';
-
-/**
- * Fetch a URL using the appropriate method for the environment
- */
-async function fetchUrl(url) {
-    const serverUrl = getServerUrl();
-    const response = await fetch(`${serverUrl}/api/feed/validate?url=${encodeURIComponent(url)}`);
-    const data = await response.json();
-
-    if (!data.success) {
-        throw new Error(data.error || 'Failed to validate feed');
-    }
-
-    return data;
-}
+import { fetchTransport } from './fetch-transport.js';
 
 /**
  * Settings Manager
@@ -33,7 +18,9 @@ class SettingsManager {
             darkMode: true,
             theme: 'Fern',
             ollamaUrl: 'http://localhost:11434',
-            rssFeeds: []
+            retention: {},
+            rssFeeds: [],
+            rules: []
         };
     }
 
@@ -50,6 +37,25 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Load the metadata feeds published about themselves (title, site URL,
+     * description, favicon), as recorded by the feed manager
+     * @returns {Promise<Object<string, Object>>} Metadata by feed ID
+     */
+    async loadFeedMetadata() {
+        try {
+            const feeds = await storage.get('feeds') || {};
+            return Object.fromEntries(
+                Object.entries(feeds)
+                    .filter(([, feed]) => feed.metadata)
+                    .map(([id, feed]) => [id, feed.metadata])
+            );
+        } catch (error) {
+            console.log('Error loading feed metadata:', error);
+            return {};
+        }
+    }
+
     /**
      * Save settings to storage
      * @param {Object} settings - The settings to save
@@ -87,21 +93,30 @@ class SettingsManager {
     }
 
     /**
-     * Validate a feed URL
-     * @param {string} url - The URL to validate
-     * @returns {Promise<Object>} Validation result with status and feed URL
+     * Validate a feed URL, discovering the feeds of a website if a page URL is given
+     * @param {string} url - A feed URL or website URL
+     * @returns {Promise<Object>} Validation result with status, the feed URL to use
+     *     and every feed candidate found ({ url, title, format })
      */
     async validateFeedUrl(url) {
         try {
-            const result = await fetchUrl(url);
+            const candidates = await fetchTransport.discoverFeeds(url);
+            if (candidates.length === 0) {
+                return {
+                    isValid: false,
+                    candidates,
+                    error: 'No feed found at this address'
+                };
+            }
             return {
-                isValid: result.isValid,
-                feedUrl: result.feedUrl,
-                error: result.error
+                isValid: true,
+                feedUrl: candidates[0].url,
+                candidates
             };
         } catch (error) {
             return {
                 isValid: false,
+                candidates: [],
                 error: error.message
             };
         }
@@ -2,6 +2,10 @@ import { settingsManager } from './settings-manager.js';
 import { pubsub } from './pubsub.js';
 import { shortcuts } from './shortcuts.js';
 import { createHash } from '../../utils/hash.js';
+import { credentialStore } from './credential-store.js';
+import { feedManager } from './feed-manager.js';
+import { notify } from './notifications.js';
+import { validateRule } from './rules-engine.js';
 import '../../events/settings/index.js';
 
 /**
@@ -10,6 +14,8 @@ import '../../events/settings/index.js';
  * Manages the settings page functionality including:
  * - Form initialization and event handling
  * - RSS feed management (add, delete, validation)
+ * - Per-feed credentials, saved encrypted by the credential store
+ * - Rules for hiding, starring, tagging and marking items (see rules-engine.js)
  * - Settings validation and persistence
  * - Real-time theme/mode application
  *
@@ -32,9 +38,16 @@ class SettingsPage {
         this.darkModeToggle = document.getElementById('darkMode');
         this.themeSelect = document.getElementById('theme');
         this.ollamaUrlInput = document.getElementById('ollamaUrl');
+        this.retentionMaxItemsInput = document.getElementById('retentionMaxItems');
+        this.retentionMaxAgeInput = document.getElementById('retentionMaxAgeDays');
+        this.retentionKeepUnreadToggle = document.getElementById('retentionKeepUnread');
         this.rssFeedsContainer = document.getElementById('rss-feeds');
         this.addFeedButton = document.getElementById('add-feed');
         this.feedTemplate = document.getElementById('feed-template');
+        this.rulesContainer = document.getElementById('rules');
+        this.addRuleButton = document.getElementById('add-rule');
+        this.applyRulesButton = document.getElementById('apply-rules');
+        this.ruleTemplate = document.getElementById('rule-template');
 
         // New shortcut elements
         this.resetShortcutsButton = document.getElementById('reset-shortcuts');
@@ -42,6 +55,8 @@ class SettingsPage {
 
         // Store existing feed IDs
         this.existingFeeds = new Map();
+        // Saved feeds rules can be limited to, by ID
+        this.ruleFeeds = new Map();
 
         this.initialize();
     }
@@ -66,18 +81,47 @@ class SettingsPage {
         this.themeSelect.value = settings.theme;
         this.ollamaUrlInput.value = settings.ollamaUrl;
 
-        // Initialize RSS feeds
+        // Apply global retention policy (blank fields use the built-in defaults)
+        const retention = settings.retention || {};
+        this.retentionMaxItemsInput.value = retention.maxItems ?? '';
+        this.retentionMaxAgeInput.value = retention.maxAgeDays ?? '';
+        this.retentionKeepUnreadToggle.checked = retention.keepUnread === true;
+
+        // Initialize RSS feeds, with what each feed says about itself
+        const feedMetadata = await settingsManager.loadFeedMetadata();
         if (settings.rssFeeds && settings.rssFeeds.length > 0) {
-            settings.rssFeeds.forEach(feed => this.addFeed(feed));
+            settings.rssFeeds.forEach(feed => this.addFeed(feed, feedMetadata[feed.id]));
         } else {
             this.addFeed();
         }
 
+        // Initialize rules, which can be limited to the saved feeds
+        (settings.rssFeeds || []).forEach(feed => {
+            this.ruleFeeds.set(feed.id, feed.title !== feed.url ? feed.title : (feedMetadata[feed.id]?.title || feed.url));
+        });
+        (settings.rules || []).forEach(rule => this.addRule(rule));
+
         // Initialize shortcuts
         this.initializeShortcuts();
 
         // Set up event listeners
         this.setupEventListeners();
+
+        this.showLinkedFeed();
+    }
+
+    /**
+     * Scrolls to the feed row named in the URL hash (settings.html#<feed id>)
+     * and focuses its URL field
+     */
+    showLinkedFeed() {
+        const feedId = decodeURIComponent(window.location.hash.slice(1));
+        const feedElement = feedId && document.getElementById(feedId);
+        if (!feedElement?.classList.contains('repeater-item')) return;
+
+        feedElement.classList.add('repeater-item--highlighted');
+        feedElement.scrollIntoView({ block: 'center' });
+        feedElement.querySelector('.feed-url').focus({ preventScroll: true });
     }
 
     /**
@@ -175,14 +219,23 @@ class SettingsPage {
 
     /**
      * Creates a new RSS feed form element
-     * @param {Object} feed - Feed object with optional url and title
+     * @param {Object} feed - Feed object with optional url, title and fetchInterval
+     * @param {Object} [metadata] - The feed's channel metadata, if it has been fetched before
      * @returns {HTMLElement} The created feed element
      */
-    createFeedElement(feed = { url: '', title: '' }) {
+    createFeedElement(feed = { url: '', title: '' }, metadata = null) {
         const template = this.feedTemplate.content.cloneNode(true);
         const feedElement = template.querySelector('.repeater-item');
         const urlInput = feedElement.querySelector('.feed-url');
         const titleInput = feedElement.querySelector('.feed-title');
+        const intervalSelect = feedElement.querySelector('.feed-interval');
+        const candidateSelect = feedElement.querySelector('.feed-candidates');
+        const maxItemsInput = feedElement.querySelector('.feed-retention-max-items');
+        const maxAgeInput = feedElement.querySelector('.feed-retention-max-age');
+        const keepUnreadSelect = feedElement.querySelector('.feed-retention-keep-unread');
+        const fullContentSelect = feedElement.querySelector('.feed-full-content');
+        const disabledSelect = feedElement.querySelector('.feed-disabled');
+        const authTypeSelect = feedElement.querySelector('.feed-auth-type');
         const deleteButton = feedElement.querySelector('.delete-feed');
         const validationMessage = document.createElement('div');
 
@@ -193,6 +246,36 @@ class SettingsPage {
         // Set values if they exist
         urlInput.value = feed.url;
         titleInput.value = feed.title;
+        intervalSelect.value = String(feed.fetchInterval || 0);
+        fullContentSelect.value = String(feed.fullContent === true);
+        disabledSelect.value = String(feed.disabled === true);
+        if (feed.id) {
+            // Lets other pages link to the row, e.g. the feed health page's edit action
+            feedElement.id = feed.id;
+        }
+        maxItemsInput.value = feed.retention?.maxItems ?? '';
+        maxAgeInput.value = feed.retention?.maxAgeDays ?? '';
+        keepUnreadSelect.value = typeof feed.retention?.keepUnread === 'boolean' ? String(feed.retention.keepUnread) : '';
+
+        // Show the fields of the chosen authentication method
+        authTypeSelect.addEventListener('change', () => this.showAuthFields(feedElement));
+        if (feed.id) {
+            this.fillCredentials(feedElement, feed.id);
+        }
+
+        // Feeds saved without a title of their own are named after their channel
+        if (metadata) {
+            if (feed.title === feed.url) {
+                titleInput.value = '';
+                this.fillFeedTitle(titleInput, metadata);
+            }
+            titleInput.title = metadata.description || '';
+        }
+
+        // Titles typed by the user are never replaced by discovered ones
+        titleInput.addEventListener('input', () => {
+            delete titleInput.dataset.autofilled;
+        });
 
         // Add URL validation
         urlInput.addEventListener('change', async () => {
@@ -203,17 +286,28 @@ class SettingsPage {
             validationMessage.className = 'validation-message validation-message--pending';
 
             const result = await settingsManager.validateFeedUrl(url);
+            this.showFeedCandidates(candidateSelect, result.candidates || []);
 
             if (result.isValid) {
-                validationMessage.textContent = 'Valid feed URL';
+                validationMessage.textContent = result.candidates.length > 1
+                    ? `Found ${result.candidates.length} feeds, choose one below`
+                    : 'Valid feed URL';
                 validationMessage.className = 'validation-message validation-message--success';
                 urlInput.value = result.feedUrl;
+                this.fillFeedTitle(titleInput, result.candidates[0]);
             } else {
                 validationMessage.textContent = result.error || 'Invalid feed URL';
                 validationMessage.className = 'validation-message validation-message--error';
             }
         });
 
+        // Subscribe to the feed picked from the discovered candidates
+        candidateSelect.addEventListener('change', () => {
+            const candidate = candidateSelect.candidates[candidateSelect.selectedIndex];
+            urlInput.value = candidate.url;
+            this.fillFeedTitle(titleInput, candidate);
+        });
+
         // Add delete handler
         deleteButton.addEventListener('click', () => {
             if (this.rssFeedsContainer.children.length > 1) {
@@ -226,37 +320,323 @@ class SettingsPage {
         return feedElement;
     }
 
+    /**
+     * Fills in a row's authentication fields with the feed's saved credentials
+     * @param {HTMLElement} feedElement - The feed row
+     * @param {string} feedId - The feed ID
+     */
+    async fillCredentials(feedElement, feedId) {
+        const credentials = await credentialStore.get(feedId);
+        if (!credentials) return;
+
+        feedElement.querySelector('.feed-auth-type').value = credentials.type;
+        feedElement.querySelector('.feed-auth-username').value = credentials.username || '';
+        feedElement.querySelector('.feed-auth-password').value = credentials.password || '';
+        feedElement.querySelector('.feed-auth-token').value = credentials.token || '';
+        feedElement.querySelector('.feed-auth-header-name').value = credentials.headerName || '';
+        feedElement.querySelector('.feed-auth-header-value').value = credentials.headerValue || '';
+        this.showAuthFields(feedElement);
+    }
+
+    /**
+     * Shows only the authentication fields of the method chosen in a row
+     * @param {HTMLElement} feedElement - The feed row
+     */
+    showAuthFields(feedElement) {
+        const type = feedElement.querySelector('.feed-auth-type').value;
+        feedElement.querySelectorAll('[data-auth-type]').forEach(field => {
+            field.hidden = field.dataset.authType !== type;
+        });
+    }
+
+    /**
+     * Lists the feeds discovered for a row's URL, or hides the picker
+     * when there is nothing to choose between
+     * @param {HTMLSelectElement} select - The row's candidate picker
+     * @param {Array<Object>} candidates - Discovered feeds with url, title and format
+     */
+    showFeedCandidates(select, candidates) {
+        select.replaceChildren(...candidates.map(candidate => {
+            const option = document.createElement('option');
+            option.value = candidate.url;
+            option.textContent = candidate.title
+                ? `${candidate.title} (${candidate.format.toUpperCase()})`
+                : candidate.url;
+            return option;
+        }));
+        select.candidates = candidates;
+        select.hidden = candidates.length < 2;
+    }
+
+    /**
+     * Fills in a blank title field with the title a website gave its feed
+     * @param {HTMLInputElement} titleInput - The row's title field
+     * @param {Object} [candidate] - The chosen feed candidate
+     */
+    fillFeedTitle(titleInput, candidate) {
+        if (candidate?.title && (!titleInput.value.trim() || titleInput.dataset.autofilled)) {
+            titleInput.value = candidate.title;
+            titleInput.dataset.autofilled = 'true';
+        }
+    }
+
     /**
      * Adds a new RSS feed form to the interface
+     * @param {Object} [feed] - Feed object with optional url, title and fetchInterval
+     * @param {Object} [metadata] - The feed's channel metadata, if it has been fetched before
      */
-    addFeed(feed = { url: '', title: '' }) {
-        const feedElement = this.createFeedElement(feed);
+    addFeed(feed = { url: '', title: '' }, metadata = null) {
+        const feedElement = this.createFeedElement(feed, metadata);
         this.rssFeedsContainer.appendChild(feedElement);
     }
 
     /**
      * Collects all RSS feed data from the form
-     * @returns {Array<Object>} Array of feed objects with url, title, and id
+     * @returns {Array<Object>} Array of feed objects with url, title, id, fetchInterval (minutes, 0 for automatic),
+     *     fullContent (whether linked articles are downloaded), disabled (whether fetching is paused) and retention overrides (null rules use the global policy)
      */
     collectRssFeeds() {
         const feeds = [];
         this.rssFeedsContainer.querySelectorAll('.repeater-item').forEach(item => {
             const url = item.querySelector('.feed-url').value.trim();
             const title = item.querySelector('.feed-title').value.trim();
+            const fetchInterval = parseInt(item.querySelector('.feed-interval').value, 10) || 0;
+            const keepUnread = item.querySelector('.feed-retention-keep-unread').value;
+            const fullContent = item.querySelector('.feed-full-content').value === 'true';
+            const disabled = item.querySelector('.feed-disabled').value === 'true';
 
             if (url) {
-                // Use existing ID if available, otherwise generate new one
-                const id = this.existingFeeds.get(url) || `feed-${createHash(url)}`;
                 feeds.push({
                     url,
                     title: title || url,
-                    id
+                    id: this.getFeedId(url),
+                    fetchInterval,
+                    fullContent,
+                    disabled,
+                    retention: {
+                        maxItems: this.parseRetentionValue(item.querySelector('.feed-retention-max-items')),
+                        maxAgeDays: this.parseRetentionValue(item.querySelector('.feed-retention-max-age')),
+                        keepUnread: keepUnread === '' ? null : keepUnread === 'true'
+                    }
                 });
             }
         });
         return feeds;
     }
 
+    /**
+     * Returns the ID of the feed at a URL
+     * @param {string} url - The feed URL
+     * @returns {string} The existing ID if the feed was saved before, otherwise a new one
+     */
+    getFeedId(url) {
+        return this.existingFeeds.get(url) || `feed-${createHash(url)}`;
+    }
+
+    /**
+     * Collects the credentials entered for each feed. They are kept apart
+     * from the settings and saved encrypted, see saveCredentials
+     * @returns {Map<string, Object|null>} Credentials by feed ID; null for feeds without authentication
+     */
+    collectCredentials() {
+        const credentials = new Map();
+        this.rssFeedsContainer.querySelectorAll('.repeater-item').forEach(item => {
+            const url = item.querySelector('.feed-url').value.trim();
+            const type = item.querySelector('.feed-auth-type').value;
+            if (!url) return;
+
+            const value = selector => item.querySelector(selector).value;
+            const fields = {
+                basic: { username: value('.feed-auth-username').trim(), password: value('.feed-auth-password') },
+                bearer: { token: value('.feed-auth-token').trim() },
+                header: { headerName: value('.feed-auth-header-name').trim(), headerValue: value('.feed-auth-header-value').trim() }
+            };
+            credentials.set(this.getFeedId(url), type ? { type, ...fields[type] } : null);
+        });
+        return credentials;
+    }
+
+    /**
+     * Checks that every feed using authentication has its credentials filled in
+     * @returns {boolean} True if all credentials are complete
+     */
+    validateCredentials() {
+        for (const credentials of this.collectCredentials().values()) {
+            if (!credentials) continue;
+
+            const complete = {
+                basic: () => credentials.username,
+                bearer: () => credentials.token,
+                // Header names are tokens: letters, digits and a few symbols, no spaces or colons
+                header: () => /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(credentials.headerName) && credentials.headerValue
+            }[credentials.type]();
+            if (!complete) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Saves the credentials entered for each feed, encrypted, and removes those
+     * of feeds without authentication or no longer in the list
+     * @async
+     * @throws {Error} If the credentials cannot be encrypted
+     */
+    async saveCredentials() {
+        const credentials = this.collectCredentials();
+        for (const [feedId, feedCredentials] of credentials) {
+            if (feedCredentials) {
+                await credentialStore.set(feedId, feedCredentials);
+            } else {
+                await credentialStore.delete(feedId);
+            }
+        }
+        await credentialStore.retain(Array.from(credentials.keys()));
+    }
+
+    /**
+     * Collects the global retention policy from the form
+     * @returns {Object} Policy with maxItems, maxAgeDays and keepUnread (null rules use the defaults)
+     */
+    collectRetention() {
+        return {
+            maxItems: this.parseRetentionValue(this.retentionMaxItemsInput),
+            maxAgeDays: this.parseRetentionValue(this.retentionMaxAgeInput),
+            keepUnread: this.retentionKeepUnreadToggle.checked
+        };
+    }
+
+    /**
+     * Reads a retention number field
+     * @param {HTMLInputElement} input - The number field
+     * @returns {number|null} The value, or null if left blank
+     */
+    parseRetentionValue(input) {
+        const value = parseInt(input.value, 10);
+        return isNaN(value) ? null : Math.max(0, value);
+    }
+
+    /**
+     * Creates a rule form element
+     * @param {Object} [rule] - A saved rule (see rules-engine.js)
+     * @returns {HTMLElement} The created rule element
+     */
+    createRuleElement(rule = {}) {
+        const template = this.ruleTemplate.content.cloneNode(true);
+        const ruleElement = template.querySelector('.repeater-item');
+        const feedSelect = ruleElement.querySelector('.rule-feed');
+
+        // Rules of feeds since removed keep their feed, and no longer match anything
+        const feedOptions = new Map(this.ruleFeeds);
+        if (rule.feedId && !feedOptions.has(rule.feedId)) {
+            feedOptions.set(rule.feedId, 'Removed feed');
+        }
+        feedOptions.forEach((title, feedId) => {
+            const option = document.createElement('option');
+            option.value = feedId;
+            option.textContent = title;
+            feedSelect.appendChild(option);
+        });
+
+        if (rule.id) {
+            ruleElement.dataset.ruleId = rule.id;
+        }
+        ruleElement.querySelector('.rule-name').value = rule.name || '';
+        feedSelect.value = rule.feedId || '';
+        ruleElement.querySelector('.rule-field').value = rule.field || 'any';
+        ruleElement.querySelector('.rule-operator').value = rule.operator || 'contains';
+        ruleElement.querySelector('.rule-pattern').value = rule.pattern || '';
+        ruleElement.querySelector('.rule-case-sensitive').checked = rule.caseSensitive === true;
+        ruleElement.querySelector('.rule-enabled').checked = rule.enabled !== false;
+        ruleElement.querySelectorAll('.rule-action').forEach(checkbox => {
+            checkbox.checked = (rule.actions || []).includes(checkbox.value);
+        });
+        ruleElement.querySelector('.rule-tag').value = rule.tag || '';
+
+        ruleElement.querySelector('.delete-rule').addEventListener('click', () => {
+            ruleElement.remove();
+        });
+
+        return ruleElement;
+    }
+
+    /**
+     * Adds a rule form to the interface
+     * @param {Object} [rule] - A saved rule
+     */
+    addRule(rule = {}) {
+        this.rulesContainer.appendChild(this.createRuleElement(rule));
+    }
+
+    /**
+     * Collects all rules from the form. Rows left without a pattern are skipped.
+     * @returns {Array<Object>} Rules with id, name, enabled, feedId (empty for any feed), field, operator,
+     *     pattern, caseSensitive, actions and tag
+     */
+    collectRules() {
+        const rules = [];
+        this.rulesContainer.querySelectorAll('.repeater-item').forEach((item, index) => {
+            const pattern = item.querySelector('.rule-pattern').value;
+            if (!pattern.trim()) return;
+
+            // Rules keep their ID once saved
+            if (!item.dataset.ruleId) {
+                item.dataset.ruleId = `rule-${createHash(`${Date.now()}:${index}:${pattern}`)}`;
+            }
+
+            rules.push({
+                id: item.dataset.ruleId,
+                name: item.querySelector('.rule-name').value.trim(),
+                enabled: item.querySelector('.rule-enabled').checked,
+                feedId: item.querySelector('.rule-feed').value,
+                field: item.querySelector('.rule-field').value,
+                operator: item.querySelector('.rule-operator').value,
+                pattern,
+                caseSensitive: item.querySelector('.rule-case-sensitive').checked,
+                actions: Array.from(item.querySelectorAll('.rule-action:checked'), checkbox => checkbox.value),
+                tag: item.querySelector('.rule-tag').value.trim()
+            });
+        });
+        return rules;
+    }
+
+    /**
+     * Checks every rule for mistakes
+     * @returns {string} A description of the first problem found, or an empty string if all rules are valid
+     */
+    validateRules() {
+        for (const rule of this.collectRules()) {
+            const problem = validateRule(rule);
+            if (problem) {
+                return `Rule "${rule.name || rule.pattern}": ${problem}`;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Runs the rules as they are in the form, saved or not, on every stored
+     * item and reports how many they matched
+     * @async
+     */
+    async applyRulesToStoredItems() {
+        const problem = this.validateRules();
+        if (problem) {
+            notify.error(problem);
+            return;
+        }
+
+        this.applyRulesButton.disabled = true;
+        try {
+            const matchedCount = await feedManager.applyRulesToStoredItems(this.collectRules());
+            notify.success(`Rules matched ${matchedCount} stored item${matchedCount === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Failed to apply rules:', error);
+            notify.error('Failed to apply rules to stored items');
+        } finally {
+            this.applyRulesButton.disabled = false;
+        }
+    }
+
     /**
      * Validates the Ollama URL
      * @returns {boolean} True if valid, false otherwise
@@ -299,6 +679,23 @@ class SettingsPage {
     validateSettings() {
         let isValid = true;
 
+        if (!this.validateCredentials()) {
+            isValid = false;
+            pubsub.emit('invalidSettings', {
+                credentials: true,
+                message: 'Fill in the credentials of every feed that uses authentication'
+            });
+        }
+
+        const ruleProblem = this.validateRules();
+        if (ruleProblem) {
+            isValid = false;
+            pubsub.emit('invalidSettings', {
+                rules: true,
+                message: ruleProblem
+            });
+        }
+
         // Validate RSS feeds
         // const feeds = this.collectRssFeeds(); // TODO: This is an example of how to submit an event when the settings are invalid
         // if (feeds.length === 0) {
@@ -317,6 +714,7 @@ class SettingsPage {
      * - Dark mode toggle
      * - Theme selection
      * - Add feed button
+     * - Rule buttons
      * - Form submission
      */
     setupEventListeners() {
@@ -335,6 +733,14 @@ class SettingsPage {
             this.addFeed();
         });
 
+        // Rule buttons
+        this.addRuleButton.addEventListener('click', () => {
+            this.addRule();
+        });
+        this.applyRulesButton.addEventListener('click', () => {
+            this.applyRulesToStoredItems();
+        });
+
         // New shortcuts reset button listener
         this.resetShortcutsButton.addEventListener('click', async () => {
             await shortcuts.resetToDefaults();
@@ -349,7 +755,9 @@ class SettingsPage {
                 darkMode: this.darkModeToggle.checked,
                 theme: this.themeSelect.value,
                 ollamaUrl: this.ollamaUrlInput.value,
-                rssFeeds: this.collectRssFeeds()
+                retention: this.collectRetention(),
+                rssFeeds: this.collectRssFeeds(),
+                rules: this.collectRules()
             };
 
             // Emit before save event
@@ -360,6 +768,8 @@ class SettingsPage {
             }
 
             try {
+                // Credentials first, so feeds are never saved without the secrets they need
+                await this.saveCredentials();
                 if (await settingsManager.saveSettings(settings)) {
                     await pubsub.emit('savedSettings', settings);
                 }
@@ -37,7 +37,10 @@ class Shortcuts {
             nextItem: 'mod+j',
             previousItem: 'mod+k',
             refreshFeeds: 'mod+r',
-            toggleStar: 'mod+s'
+            toggleStar: 'mod+s',
+            togglePlayback: 'mod+p',
+            seekBackward: 'mod+shift+arrowleft',
+            seekForward: 'mod+shift+arrowright'
         };
 
         // Reserved shortcuts that can't be changed
@@ -46,6 +46,11 @@ class UnreadManager {
             await this.recalculateFeedUnread(feedId);
         });
 
+        // Re-run rules may have hidden or marked stored items
+        pubsub.on('rulesApplied', async () => {
+            await this.recalculateAllUnread();
+        });
+
         // Initial count calculation
         await this.recalculateAllUnread();
 
@@ -143,7 +148,8 @@ class UnreadManager {
      */
     async recalculateFeedUnread(feedId) {
         const items = await storage.get(`feed_items_${feedId}`) || [];
-        const unreadCount = items.filter(item => !item.isRead).length;
+        // Items hidden by the user's rules are never shown, so never count as unread
+        const unreadCount = items.filter(item => !item.isRead && !item.hidden).length;
 
         this.cache.feedUnread.set(feedId, unreadCount);
         return unreadCount;
@@ -0,0 +1,32 @@
+/**
+ * Feed Worker
+ *
+ * Runs feed parsing, item building, deduplication and sorting off the main
+ * thread (see feed-processing.js). It is started by feed-worker-client.js.
+ *
+ * Message protocol:
+ * - Request: `{ id, type, payload }`, where type is one of
+ *   - `processFeed`: payload as for processFeed; replies with its result
+ *   - `collectItems`: payload `{ itemLists }`; replies with the display items
+ * - Reply: `{ id, result }` on success, or `{ id, error: { name, message, status } }`
+ *
+ * Requests are independent, so replies may arrive in any order and are
+ * matched to their request by id.
+ *
+ * @module feed-worker
+ */
+
+import { handleFeedRequest } from '../feed-processing.js';
+
+self.onmessage = async ({ data }) => {
+    const { id, type, payload } = data;
+
+    try {
+        self.postMessage({ id, result: await handleFeedRequest(type, payload) });
+    } catch (error) {
+        self.postMessage({
+            id,
+            error: { name: error.name, message: error.message, status: error.status }
+        });
+    }
+};
@@ -0,0 +1,376 @@
+/**
+ * XML Parser Module
+ *
+ * A small, namespace-aware, non-validating XML parser used for reading feed
+ * documents. It produces a lightweight element tree rather than a DOM, and has
+ * no dependency on browser APIs, so it can run in any JavaScript context.
+ *
+ * Supported:
+ * - Elements, attributes and text, with namespace resolution (xmlns/xmlns:prefix)
+ * - CDATA sections, comments and processing instructions
+ * - Predefined and numeric character entities
+ * - DOCTYPE declarations, including internal subsets (skipped)
+ *
+ * Unknown named entities (e.g. HTML's &nbsp; used by careless publishers) are
+ * left as-is instead of failing the whole document.
+ *
+ * @module xml-parser
+ */
+
+// Namespace permanently bound to the "xml" prefix (used by xml:base, xml:lang)
+export const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// Namespace permanently bound to the "xmlns" prefix
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+// Entities every XML document may use without declaring them
+const PREDEFINED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\''
+};
+
+// HTML elements that have no end tag when serialized
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Matches a single attribute inside a start tag
+const ATTRIBUTE_PATTERN = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+// Matches a tag name at the start of a start tag
+const NAME_PATTERN = /[^\s/>]+/y;
+
+/**
+ * Decodes predefined and numeric character entities in a string.
+ *
+ * @param {string} text - The raw text from the document
+ * @returns {string} The decoded text
+ */
+export function decodeEntities(text) {
+    if (!text || text.indexOf('&') === -1) return text;
+
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            try {
+                return String.fromCodePoint(codePoint);
+            } catch (error) {
+                return match;
+            }
+        }
+        return PREDEFINED_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Escapes text so it can be safely embedded in XML or HTML markup.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+export function escapeXml(text) {
+    if (!text) return '';
+    return text.replace(/[<>&'"]/g, c => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '\'': '&apos;',
+        '"': '&quot;'
+    })[c]);
+}
+
+/**
+ * Splits a qualified name into its prefix and local name.
+ *
+ * @param {string} name - The qualified name, e.g. "dc:creator"
+ * @returns {{prefix: string, localName: string}} The name parts
+ */
+function splitName(name) {
+    const colon = name.indexOf(':');
+    return colon === -1
+        ? { prefix: '', localName: name }
+        : { prefix: name.slice(0, colon), localName: name.slice(colon + 1) };
+}
+
+/**
+ * Finds the end of a DOCTYPE declaration, skipping any internal subset.
+ *
+ * @param {string} text - The document text
+ * @param {number} start - Index of the "<!DOCTYPE" token
+ * @returns {number} Index of the closing ">"
+ */
+function findDoctypeEnd(text, start) {
+    let depth = 0;
+    for (let i = start + 2; i < text.length; i++) {
+        const c = text[i];
+        if (c === '[') depth++;
+        else if (c === ']') depth--;
+        else if (c === '>' && depth <= 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Parses an XML document into a lightweight element tree.
+ *
+ * Each element has the shape:
+ * { type: 'element', name, prefix, localName, namespace, attributes, children, parent }
+ * where attributes is an array of { name, localName, namespace, value } and
+ * children contains elements and { type: 'text', text } nodes.
+ *
+ * @param {string} text - The XML document
+ * @returns {Object} The root element
+ * @throws {Error} If the document is not well-formed
+ *
+ * @example
+ * const root = parseXml('<rss><channel><title>News</title></channel></rss>');
+ * textContent(firstChild(firstChild(root, '', 'channel'), '', 'title')); // 'News'
+ */
+export function parseXml(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('XML parsing error: document is empty');
+    }
+
+    // Strip a leading byte order mark
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+    }
+
+    const stack = [];
+    let root = null;
+    let scope = { '': '', xml: XML_NAMESPACE, xmlns: XMLNS_NAMESPACE };
+    let i = 0;
+
+    const fail = (message) => {
+        const line = text.slice(0, i).split('\n').length;
+        throw new Error(`XML parsing error on line ${line}: ${message}`);
+    };
+
+    const appendText = (value) => {
+        const current = stack[stack.length - 1];
+        if (!current || !value) return;
+        const last = current.children[current.children.length - 1];
+        if (last && last.type === 'text') {
+            last.text += value;
+        } else {
+            current.children.push({ type: 'text', text: value });
+        }
+    };
+
+    while (i < text.length) {
+        const lt = text.indexOf('<', i);
+        if (lt === -1) {
+            appendText(decodeEntities(text.slice(i)));
+            break;
+        }
+        if (lt > i) {
+            appendText(decodeEntities(text.slice(i, lt)));
+        }
+        i = lt;
+
+        if (text.startsWith('<!--', i)) {
+            const end = text.indexOf('-->', i + 4);
+            if (end === -1) fail('unterminated comment');
+            i = end + 3;
+        } else if (text.startsWith('<![CDATA[', i)) {
+            const end = text.indexOf(']]>', i + 9);
+            if (end === -1) fail('unterminated CDATA section');
+            appendText(text.slice(i + 9, end));
+            i = end + 3;
+        } else if (text.startsWith('<?', i)) {
+            const end = text.indexOf('?>', i + 2);
+            if (end === -1) fail('unterminated processing instruction');
+            i = end + 2;
+        } else if (text.startsWith('<!', i)) {
+            const end = findDoctypeEnd(text, i);
+            if (end === -1) fail('unterminated declaration');
+            i = end + 1;
+        } else if (text[i + 1] === '/') {
+            const end = text.indexOf('>', i + 2);
+            if (end === -1) fail('unterminated end tag');
+            const name = text.slice(i + 2, end).trim();
+            const current = stack.pop();
+            if (!current) fail(`unexpected end tag </${name}>`);
+            if (current.name !== name) fail(`expected </${current.name}> but found </${name}>`);
+            scope = current.scope;
+            i = end + 1;
+        } else {
+            NAME_PATTERN.lastIndex = i + 1;
+            const nameMatch = NAME_PATTERN.exec(text);
+            if (!nameMatch) fail('invalid start tag');
+            const name = nameMatch[0];
+            let position = NAME_PATTERN.lastIndex;
+
+            // Read attributes until the tag closes
+            const rawAttributes = [];
+            for (;;) {
+                ATTRIBUTE_PATTERN.lastIndex = position;
+                const match = ATTRIBUTE_PATTERN.exec(text);
+                if (!match) break;
+                rawAttributes.push({ name: match[1], value: decodeEntities(match[2] ?? match[3]) });
+                position = ATTRIBUTE_PATTERN.lastIndex;
+            }
+            while (/\s/.test(text[position])) position++;
+
+            let selfClosing = false;
+            if (text.startsWith('/>', position)) {
+                selfClosing = true;
+                position += 2;
+            } else if (text[position] === '>') {
+                position += 1;
+            } else {
+                fail(`malformed start tag <${name}>`);
+            }
+
+            // Namespace declarations apply to the element itself and its descendants
+            const parentScope = scope;
+            const declarations = rawAttributes.filter(attr => attr.name === 'xmlns' || attr.name.startsWith('xmlns:'));
+            if (declarations.length > 0) {
+                scope = { ...scope };
+                for (const attr of declarations) {
+                    scope[attr.name === 'xmlns' ? '' : attr.name.slice(6)] = attr.value;
+                }
+            }
+
+            const { prefix, localName } = splitName(name);
+            if (prefix && !(prefix in scope)) fail(`unbound namespace prefix "${prefix}"`);
+
+            const element = {
+                type: 'element',
+                name,
+                prefix,
+                localName,
+                namespace: scope[prefix],
+                attributes: rawAttributes.map(attr => {
+                    const parts = splitName(attr.name);
+                    return {
+                        name: attr.name,
+                        localName: parts.localName,
+                        // Unprefixed attributes are never in a namespace
+                        namespace: parts.prefix ? (scope[parts.prefix] ?? '') : '',
+                        value: attr.value
+                    };
+                }),
+                children: [],
+                parent: stack[stack.length - 1] || null,
+                scope: parentScope
+            };
+
+            if (element.parent) {
+                element.parent.children.push(element);
+            } else if (root) {
+                fail('document has more than one root element');
+            } else {
+                root = element;
+            }
+
+            if (selfClosing) {
+                scope = parentScope;
+            } else {
+                stack.push(element);
+            }
+            i = position;
+        }
+    }
+
+    if (stack.length > 0) {
+        fail(`unclosed element <${stack[stack.length - 1].name}>`);
+    }
+    if (!root) {
+        fail('no root element');
+    }
+
+    return root;
+}
+
+/**
+ * Checks whether an element matches a namespace and local name.
+ *
+ * @param {Object} node - The node to check
+ * @param {string|Array<string>} namespace - Namespace URI, or a list of accepted URIs
+ * @param {string} localName - The local name to match
+ * @returns {boolean} True if the node matches
+ */
+export function isElement(node, namespace, localName) {
+    if (!node || node.type !== 'element' || node.localName !== localName) return false;
+    return Array.isArray(namespace) ? namespace.includes(node.namespace) : node.namespace === namespace;
+}
+
+/**
+ * Returns all child elements matching a namespace and local name.
+ *
+ * @param {Object} node - The parent element
+ * @param {string|Array<string>} namespace - Namespace URI, or a list of accepted URIs
+ * @param {string} localName - The local name to match
+ * @returns {Array<Object>} Matching child elements, in document order
+ */
+export function childElements(node, namespace, localName) {
+    if (!node) return [];
+    return node.children.filter(child => isElement(child, namespace, localName));
+}
+
+/**
+ * Returns the first child element matching a namespace and local name.
+ *
+ * @param {Object} node - The parent element
+ * @param {string|Array<string>} namespace - Namespace URI, or a list of accepted URIs
+ * @param {string} localName - The local name to match
+ * @returns {Object|null} The first matching child element
+ */
+export function firstChild(node, namespace, localName) {
+    if (!node) return null;
+    return node.children.find(child => isElement(child, namespace, localName)) || null;
+}
+
+/**
+ * Returns the concatenated text of a node and all its descendants.
+ *
+ * @param {Object} node - The node to read
+ * @returns {string} The text content, or an empty string
+ */
+export function textContent(node) {
+    if (!node) return '';
+    if (node.type === 'text') return node.text;
+    return node.children.map(textContent).join('');
+}
+
+/**
+ * Returns the value of an attribute on an element.
+ *
+ * @param {Object} node - The element
+ * @param {string} localName - The attribute's local name
+ * @param {string} [namespace=''] - The attribute's namespace URI
+ * @returns {string|null} The attribute value, or null if absent
+ */
+export function getAttribute(node, localName, namespace = '') {
+    if (!node || node.type !== 'element') return null;
+    const attribute = node.attributes.find(attr => attr.localName === localName && attr.namespace === namespace);
+    return attribute ? attribute.value : null;
+}
+
+/**
+ * Serializes a node's children back into markup.
+ * Used for Atom xhtml content, where the payload is inline XML.
+ *
+ * @param {Object} node - The element whose children should be serialized
+ * @returns {string} The serialized markup
+ */
+export function innerXml(node) {
+    if (!node) return '';
+    return node.children.map(child => {
+        if (child.type === 'text') return escapeXml(child.text);
+        const attributes = child.attributes
+            .filter(attr => attr.name !== 'xmlns' && !attr.name.startsWith('xmlns:'))
+            .map(attr => ` ${attr.localName}="${escapeXml(attr.value)}"`)
+            .join('');
+        if (VOID_ELEMENTS.has(child.localName) && child.children.length === 0) {
+            return `<${child.localName}${attributes}>`;
+        }
+        return `<${child.localName}${attributes}>${innerXml(child)}</${child.localName}>`;
+    }).join('');
+}
@@ -0,0 +1,374 @@
+import { storage } from '../../assets/js/storage.js';
+import { pubsub } from '../../assets/js/pubsub.js';
+import templateUrl from './kupukupu-audio-player.template.html?url';
+import styles from './kupukupu-audio-player.css?inline';
+
+const SAVE_INTERVAL = 5000;          // How often the position is saved while playing (5 seconds)
+const MAX_SAVED_POSITIONS = 200;     // Number of items whose playback position is remembered
+const SKIP_BACK_SECONDS = 15;        // Seconds skipped by the back button
+const SKIP_FORWARD_SECONDS = 30;     // Seconds skipped by the forward button
+const PLAYBACK_RATES = [1, 1.25, 1.5, 2];
+
+/**
+ * Formats a number of seconds as m:ss or h:mm:ss.
+ *
+ * @param {number} seconds - The time in seconds
+ * @returns {string} The formatted time
+ */
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * KupukupuAudioPlayer Web Component
+ *
+ * A custom element that plays a podcast episode or other audio enclosure of a feed item.
+ * The playback position is saved per item in storage (key `playbackPositions`), so
+ * playback resumes where it left off after navigating away or restarting the app.
+ * Only one player plays at a time.
+ *
+ * Attributes:
+ * - itemId: The ID of the feed item the audio belongs to
+ * - src: URL of the audio file
+ * - type: MIME type of the audio file
+ * - duration: Duration in seconds as declared by the feed, shown before metadata loads
+ * - playing: Boolean attribute reflecting whether audio is playing (read only)
+ *
+ * Events Emitted:
+ * - audioPlaybackStarted: When playback starts (with itemId)
+ * - audioPlaybackPaused: When playback pauses or ends (with itemId, position, ended)
+ *
+ * @example
+ * <kupukupu-audio-player
+ *     itemId="abc123"
+ *     src="https://example.com/episode-1.mp3"
+ *     type="audio/mpeg"
+ *     duration="3723">
+ * </kupukupu-audio-player>
+ */
+export class KupukupuAudioPlayer extends HTMLElement {
+    /**
+     * The player that most recently started playing, used by the playback
+     * shortcuts when no feed item is active.
+     * @type {KupukupuAudioPlayer|null}
+     */
+    static current = null;
+
+    static get observedAttributes() {
+        return ['src', 'type', 'duration'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.initialized = false;
+        this.lastSaveTime = 0;
+        this.restoredPosition = 0;
+        this.seeking = false;
+
+        // Bound so it can be removed when the element is disconnected
+        this.handleOtherPlayerStarted = this.handleOtherPlayerStarted.bind(this);
+        this.savePosition = this.savePosition.bind(this);
+    }
+
+    /**
+     * Lifecycle callback when the element is added to the document.
+     */
+    async connectedCallback() {
+        try {
+            await this.initializeTemplate();
+            this.initialized = true;
+
+            this.updateSource();
+            await this.restorePosition();
+
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('Failed to initialize audio player:', error);
+        }
+    }
+
+    /**
+     * Lifecycle callback when the element is removed from the document.
+     * Saves the position and releases the audio.
+     */
+    disconnectedCallback() {
+        if (!this.initialized) return;
+
+        if (!this.audio.paused) {
+            this.audio.pause();
+        }
+        this.savePosition();
+
+        if (KupukupuAudioPlayer.current === this) {
+            KupukupuAudioPlayer.current = null;
+        }
+        pubsub.off('audioPlaybackStarted', this.handleOtherPlayerStarted);
+        window.removeEventListener('pagehide', this.savePosition);
+    }
+
+    /**
+     * Lifecycle callback when attributes change.
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.initialized) return;
+        this.updateSource();
+    }
+
+    /**
+     * Initializes the component's template and styles.
+     * @private
+     */
+    async initializeTemplate() {
+        const styleSheet = new CSSStyleSheet();
+        await styleSheet.replace(styles);
+        this.shadowRoot.adoptedStyleSheets = [styleSheet];
+
+        const response = await fetch(templateUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch template: ${response.status} ${response.statusText}`);
+        }
+        const text = await response.text();
+
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(text, 'text/html');
+        const template = doc.querySelector('template');
+
+        if (!template) {
+            throw new Error('Template element not found in template file');
+        }
+
+        this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+        this.player = this.shadowRoot.querySelector('.audio-player');
+        this.audio = this.shadowRoot.querySelector('.audio-player__media');
+        this.playButton = this.shadowRoot.querySelector('.audio-player__play');
+        this.backButton = this.shadowRoot.querySelector('.audio-player__back');
+        this.forwardButton = this.shadowRoot.querySelector('.audio-player__forward');
+        this.seekInput = this.shadowRoot.querySelector('.audio-player__seek');
+        this.timeLabel = this.shadowRoot.querySelector('.audio-player__time');
+        this.rateButton = this.shadowRoot.querySelector('.audio-player__rate');
+    }
+
+    /**
+     * Points the audio element at the current src attribute.
+     * @private
+     */
+    updateSource() {
+        const src = this.getAttribute('src') || '';
+        if (this.audio.getAttribute('src') !== src) {
+            this.audio.src = src;
+        }
+        this.updateTime();
+    }
+
+    /**
+     * Sets up event listeners for the controls and the audio element.
+     * @private
+     */
+    setupEventListeners() {
+        this.playButton.addEventListener('click', () => this.togglePlayback());
+        this.backButton.addEventListener('click', () => this.seekBy(-SKIP_BACK_SECONDS));
+        this.forwardButton.addEventListener('click', () => this.seekBy(SKIP_FORWARD_SECONDS));
+        this.rateButton.addEventListener('click', () => this.cyclePlaybackRate());
+
+        this.seekInput.addEventListener('input', () => {
+            this.seeking = true;
+            this.updateTime(Number(this.seekInput.value));
+        });
+        this.seekInput.addEventListener('change', () => {
+            this.seeking = false;
+            this.seekTo(Number(this.seekInput.value));
+        });
+
+        this.audio.addEventListener('loadedmetadata', () => {
+            // Resume from the saved position once the browser knows the duration
+            if (this.restoredPosition > 0 && this.restoredPosition < this.audio.duration) {
+                this.audio.currentTime = this.restoredPosition;
+            }
+            this.restoredPosition = 0;
+            this.updateTime();
+        });
+
+        this.audio.addEventListener('timeupdate', () => {
+            this.updateTime();
+            if (!this.audio.paused && Date.now() - this.lastSaveTime > SAVE_INTERVAL) {
+                this.savePosition();
+            }
+        });
+
+        this.audio.addEventListener('play', () => {
+            this.setAttribute('playing', '');
+            this.playButton.setAttribute('aria-label', 'Pause');
+            KupukupuAudioPlayer.current = this;
+            pubsub.emit('audioPlaybackStarted', { itemId: this.getAttribute('itemId') });
+        });
+
+        this.audio.addEventListener('pause', () => {
+            this.removeAttribute('playing');
+            this.playButton.setAttribute('aria-label', 'Play');
+            this.savePosition();
+            pubsub.emit('audioPlaybackPaused', {
+                itemId: this.getAttribute('itemId'),
+                position: this.audio.currentTime,
+                ended: this.audio.ended
+            });
+        });
+
+        this.audio.addEventListener('error', () => {
+            this.player.classList.add('audio-player--error');
+            this.timeLabel.textContent = 'Unable to play audio';
+        });
+
+        // Another player starting pauses this one
+        pubsub.on('audioPlaybackStarted', this.handleOtherPlayerStarted);
+
+        // Page navigation does not disconnect elements, so save on the way out
+        window.addEventListener('pagehide', this.savePosition);
+    }
+
+    /**
+     * Pauses this player when another one starts playing.
+     * @private
+     * @param {Object} data - Event data
+     * @param {string} data.itemId - The item whose audio started playing
+     */
+    handleOtherPlayerStarted({ itemId }) {
+        if (itemId !== this.getAttribute('itemId') && !this.audio.paused) {
+            this.audio.pause();
+        }
+    }
+
+    /**
+     * Starts or pauses playback.
+     */
+    async togglePlayback() {
+        if (!this.initialized) return;
+
+        if (this.audio.paused) {
+            try {
+                await this.audio.play();
+            } catch (error) {
+                console.error('Failed to start playback:', error);
+            }
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    /**
+     * Moves the playback position by a number of seconds.
+     * @param {number} seconds - Seconds to move, negative to go back
+     */
+    seekBy(seconds) {
+        if (!this.initialized) return;
+        this.seekTo(this.audio.currentTime + seconds);
+    }
+
+    /**
+     * Moves the playback position to a time.
+     * @param {number} seconds - The time to seek to
+     */
+    seekTo(seconds) {
+        const duration = this.getDuration();
+        const target = Math.max(0, duration ? Math.min(seconds, duration) : seconds);
+
+        // Before metadata has loaded the position can only be remembered
+        if (this.audio.readyState === 0) {
+            this.restoredPosition = target;
+            this.updateTime(target);
+            return;
+        }
+
+        this.audio.currentTime = target;
+        this.savePosition();
+    }
+
+    /**
+     * Switches to the next playback speed.
+     * @private
+     */
+    cyclePlaybackRate() {
+        const index = PLAYBACK_RATES.indexOf(this.audio.playbackRate);
+        this.audio.playbackRate = PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length];
+        this.rateButton.textContent = `${this.audio.playbackRate}×`;
+    }
+
+    /**
+     * Returns the duration of the audio, falling back to the one the feed declared.
+     * @private
+     * @returns {number} Duration in seconds, or 0 if unknown
+     */
+    getDuration() {
+        return isFinite(this.audio.duration) && this.audio.duration > 0
+            ? this.audio.duration
+            : Number(this.getAttribute('duration')) || 0;
+    }
+
+    /**
+     * Updates the time label and seek bar.
+     * @private
+     * @param {number} [position] - Position to show; defaults to the current playback position
+     */
+    updateTime(position) {
+        const current = position ?? (this.audio.readyState === 0 ? this.restoredPosition : this.audio.currentTime);
+        const duration = this.getDuration();
+
+        this.timeLabel.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+        this.seekInput.max = String(Math.floor(duration));
+        if (!this.seeking) {
+            this.seekInput.value = String(Math.floor(current));
+        }
+    }
+
+    /**
+     * Loads the saved playback position for this item.
+     * @private
+     */
+    async restorePosition() {
+        const itemId = this.getAttribute('itemId');
+        if (!itemId) return;
+
+        const positions = await storage.get('playbackPositions') || {};
+        const saved = positions[itemId];
+
+        // Finished episodes start again from the beginning
+        if (saved && !saved.ended && saved.src === this.getAttribute('src')) {
+            this.restoredPosition = saved.position;
+            this.updateTime();
+        }
+    }
+
+    /**
+     * Saves the playback position for this item, keeping only the most
+     * recently played MAX_SAVED_POSITIONS items.
+     * @private
+     */
+    async savePosition() {
+        const itemId = this.getAttribute('itemId');
+        if (!itemId || !this.initialized || this.audio.readyState === 0) return;
+
+        this.lastSaveTime = Date.now();
+
+        const positions = await storage.get('playbackPositions') || {};
+        positions[itemId] = {
+            src: this.getAttribute('src'),
+            position: this.audio.currentTime,
+            duration: this.getDuration(),
+            ended: this.audio.ended,
+            updatedAt: this.lastSaveTime
+        };
+
+        const recent = Object.entries(positions)
+            .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+            .slice(0, MAX_SAVED_POSITIONS);
+
+        await storage.set('playbackPositions', Object.fromEntries(recent));
+    }
+}
+
+customElements.define('kupukupu-audio-player', KupukupuAudioPlayer);
@@ -21,6 +21,7 @@
 import styles from './kupukupu-drawer.css?inline';
 import { pubsub } from '../../assets/js/pubsub.js';
 import { renderShortcutsHelp } from '../../assets/js/drawer-content/shortcuts-help.js';
+import { renderItemDiff } from '../../assets/js/drawer-content/item-diff.js';
 
 /**
  * KupuKupuDrawer class
@@ -98,6 +99,9 @@ class KupuKupuDrawer extends HTMLElement {
             if (data?.content === 'shortcuts-help') {
                 this.setContent(renderShortcutsHelp());
                 pubsub.emit('drawerContentChanged', { content: 'shortcuts-help' });
+            } else if (data?.content === 'item-diff' && data.item) {
+                this.setContent(renderItemDiff(data.item));
+                pubsub.emit('drawerContentChanged', { content: 'item-diff' });
             }
             this.open();
         });
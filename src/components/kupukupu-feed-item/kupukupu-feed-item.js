@@ -1,10 +1,16 @@
 import { pubsub } from '../../assets/js/pubsub.js';
+import { imageCache } from '../../assets/js/image-cache.js';
+import { sanitizeHtml } from '../../assets/js/html-sanitizer.js';
 import templateUrl from './kupukupu-feed-item.template.html?url';
 import styles from './kupukupu-feed-item.css?inline';
 import '../kupukupu-star-button/kupukupu-star-button.js';
+import '../kupukupu-audio-player/kupukupu-audio-player.js';
 
 const READ_DELAY = 500; // 0.5 seconds before marking as read
 
+// File extensions of audio enclosures that were published without a MIME type
+const AUDIO_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac)(\?|#|$)/i;
+
 /**
  * KupukupuFeedItem Web Component
  *
@@ -13,22 +19,31 @@ const READ_DELAY = 500; // 0.5 seconds before marking as read
  *
  * Attributes:
  * - title: The title of the feed item
- * - content: The HTML content of the feed item
+ * - content: The HTML content of the feed item (sanitized before rendering)
  * - source: The source/author of the feed item
+ * - feedtitle: The title of the feed the item came from
+ * - icon: URL of the feed's favicon, shown next to the source
  * - published: ISO date string of when the item was published
  * - link: URL to the original content
  * - active: Boolean attribute indicating if this item is currently selected
  * - isread: Boolean attribute indicating if the item has been read
+ * - updated: Boolean attribute indicating the publisher edited the item after it was first fetched
+ * - enclosures: JSON array of the item's enclosures ({ url, type, length, title, duration });
+ *   the first audio enclosure is played by an embedded kupukupu-audio-player
+ * - alsoin: JSON array of the titles of other feeds the same story appeared in, shown as "Also in: ..."
+ * - tags: JSON array of tags given to the item by the user's rules, shown as chips
  *
  * Events Emitted:
  * - feedItemSelected: When the item becomes active (with id)
  * - feedItemRead: After the item has been active for READ_DELAY ms (with id)
+ * - showItemDiff: When the "Updated" badge is clicked (with id)
  *
  * Features:
  * - Smooth opacity transitions between active/inactive states
  * - Automatic scroll into view when activated
  * - Keyboard focus management
  * - Error state handling with visual feedback
+ * - Images shown from the offline image cache when available
  * - Shadow DOM encapsulation
  *
  * @example
@@ -44,7 +59,7 @@ const READ_DELAY = 500; // 0.5 seconds before marking as read
  */
 export class KupukupuFeedItem extends HTMLElement {
     static get observedAttributes() {
-        return ['title', 'content', 'source', 'published', 'link', 'active', 'isread'];
+        return ['title', 'content', 'source', 'published', 'link', 'active', 'isread', 'enclosures', 'feedtitle', 'icon', 'updated', 'alsoin', 'tags'];
     }
 
     constructor() {
@@ -115,10 +130,15 @@ export class KupukupuFeedItem extends HTMLElement {
             this.article = this.shadowRoot.querySelector('.feed-item');
             this.titleLink = this.shadowRoot.querySelector('.feed-item__title a');
             this.source = this.shadowRoot.querySelector('.feed-item__source');
+            this.icon = this.shadowRoot.querySelector('.feed-item__icon');
             this.time = this.shadowRoot.querySelector('.feed-item__time');
+            this.updatedBadge = this.shadowRoot.querySelector('.feed-item__updated');
+            this.alsoIn = this.shadowRoot.querySelector('.feed-item__also-in');
+            this.tags = this.shadowRoot.querySelector('.feed-item__tags');
             this.content = this.shadowRoot.querySelector('.feed-item__content');
+            this.media = this.shadowRoot.querySelector('.feed-item__media');
 
-            if (!this.article || !this.titleLink || !this.source || !this.time || !this.content) {
+            if (!this.article || !this.titleLink || !this.source || !this.time || !this.content || !this.media) {
                 throw new Error('Required elements not found in template');
             }
 
@@ -176,6 +196,13 @@ export class KupukupuFeedItem extends HTMLElement {
             return;
         }
 
+        if (name === 'updated') {
+            if (this.updatedBadge) {
+                this.updatedBadge.hidden = newValue === null;
+            }
+            return;
+        }
+
         if (name === 'isread') {
             console.log('isread attribute changed', { id: this.id, name, oldValue, newValue });
             const isRead = newValue !== null;
@@ -214,6 +241,33 @@ export class KupukupuFeedItem extends HTMLElement {
             this.source.textContent = source;
         }
 
+        if (this.icon) {
+            const icon = this.getAttribute('icon');
+            const feedTitle = this.getAttribute('feedtitle') || '';
+            this.icon.hidden = !icon;
+            this.icon.title = feedTitle;
+            if (icon && this.icon.getAttribute('src') !== icon) {
+                this.icon.src = icon;
+            }
+        }
+
+        if (this.alsoIn) {
+            const feedTitles = this.getListAttribute('alsoin');
+            this.alsoIn.hidden = feedTitles.length === 0;
+            this.alsoIn.textContent = `Also in: ${feedTitles.join(', ')}`;
+        }
+
+        if (this.tags) {
+            const tags = this.getListAttribute('tags');
+            this.tags.hidden = tags.length === 0;
+            this.tags.replaceChildren(...tags.map(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'feed-item__tag';
+                chip.textContent = tag;
+                return chip;
+            }));
+        }
+
         if (this.time) {
             const date = new Date(published);
             this.time.textContent = date.toLocaleDateString(undefined, {
@@ -225,16 +279,115 @@ export class KupukupuFeedItem extends HTMLElement {
         }
 
         if (this.content) {
-            this.content.innerHTML = content;
+            // Stored content was sanitized when parsed, but attributes can be set by anything
+            this.content.innerHTML = sanitizeHtml(content);
+            this.useCachedImages();
+        }
+
+        this.updateMedia();
+    }
+
+    /**
+     * Reads an attribute holding a JSON array of strings, such as alsoin or tags.
+     * @private
+     * @param {string} name - The attribute name
+     * @returns {Array<string>} The strings; empty if the attribute is missing or invalid
+     */
+    getListAttribute(name) {
+        try {
+            const values = JSON.parse(this.getAttribute(name) || '[]');
+            return Array.isArray(values) ? values.map(String) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Points the content's images at their cached copies, so they display offline.
+     * Images that are not cached keep loading from their original URL.
+     * @private
+     */
+    async useCachedImages() {
+        for (const img of this.content.querySelectorAll('img[src]')) {
+            const originalUrl = img.src;
+            const cachedUrl = await imageCache.getObjectUrl(originalUrl);
+            // The content may have been replaced while the cache was read
+            if (cachedUrl && img.isConnected && img.src === originalUrl) {
+                img.dataset.originalSrc = originalUrl;
+                img.src = cachedUrl;
+            }
         }
     }
 
+    /**
+     * Shows an audio player for the item's first audio enclosure.
+     * The existing player is kept if the audio has not changed, so playback
+     * is not interrupted by unrelated attribute updates.
+     * @private
+     */
+    updateMedia() {
+        const audio = this.getAudioEnclosure();
+        const player = this.media.querySelector('kupukupu-audio-player');
+
+        if (!audio) {
+            this.media.replaceChildren();
+            return;
+        }
+        if (player && player.getAttribute('src') === audio.url) {
+            return;
+        }
+
+        const newPlayer = document.createElement('kupukupu-audio-player');
+        newPlayer.setAttribute('itemId', this.id);
+        newPlayer.setAttribute('src', audio.url);
+        if (audio.type) newPlayer.setAttribute('type', audio.type);
+        if (audio.duration) newPlayer.setAttribute('duration', String(audio.duration));
+        this.media.replaceChildren(newPlayer);
+    }
+
+    /**
+     * Finds the item's first audio enclosure.
+     * @private
+     * @returns {Object|null} The enclosure, or null if the item has no audio
+     */
+    getAudioEnclosure() {
+        let enclosures;
+        try {
+            enclosures = JSON.parse(this.getAttribute('enclosures') || '[]');
+        } catch (error) {
+            return null;
+        }
+
+        return enclosures.find(enclosure =>
+            (enclosure.type || '').startsWith('audio/') ||
+            (!enclosure.type && AUDIO_EXTENSIONS.test(enclosure.url))
+        ) || null;
+    }
+
+    /**
+     * Returns the item's audio player, if it has one.
+     * @returns {HTMLElement|null} The kupukupu-audio-player element
+     */
+    getAudioPlayer() {
+        return this.media?.querySelector('kupukupu-audio-player') || null;
+    }
+
     /**
      * Sets up event listeners for the component.
      * Handles click events and prevents activation when clicking links.
      * @private
      */
     setupEventListeners() {
+        // Sites without a usable favicon just show the source name
+        this.icon?.addEventListener('error', () => {
+            this.icon.hidden = true;
+        });
+
+        this.updatedBadge?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            pubsub.emit('showItemDiff', { id: this.id });
+        });
+
         this.article.addEventListener('click', (e) => {
             if (e.target.closest('a')) return;
             this.setAttribute('active', 'true');
@@ -5,7 +5,8 @@ import styles from './kupukupu-loading.css?inline';
 /**
  * Loading Component
  *
- * Displays a loading spinner and message while content is being fetched.
+ * Displays a loading spinner and message while content is being fetched,
+ * with how many feeds are done (feedFetchStarted/feedFetchProgress events).
  * Also shows a helpful message when no feeds are configured.
  */
 class KupuKupuLoading extends HTMLElement {
@@ -75,6 +76,8 @@ class KupuKupuLoading extends HTMLElement {
             // Cache element references
             this.loadingElement = this.shadowRoot.querySelector('.loading');
             this.noFeedsElement = this.shadowRoot.querySelector('.no-feeds');
+            this.textElement = this.shadowRoot.querySelector('.loading__text');
+            this.progressElement = this.shadowRoot.querySelector('.loading__progress');
 
             if (!this.loadingElement || !this.noFeedsElement) {
                 console.error('Shadow root content:', this.shadowRoot.innerHTML);
@@ -82,24 +85,10 @@ class KupuKupuLoading extends HTMLElement {
             }
 
             // Set up event listeners
-            pubsub.on('newFeedItems', async () => {
-                // Any newFeedItems event means the feed manager has finished its current operation
-                // So we should check the current state
-                const settings = await storage.get('settings') || {};
-                const hasFeeds = Array.isArray(settings.rssFeeds) && settings.rssFeeds.length > 0;
-
-                if (hasFeeds) {
-                    // If we have feeds configured, hide everything as loading is complete
-                    console.log('Feeds exist and loading complete, hiding all indicators');
-                    this.hide();
-                } else {
-                    // No feeds configured, show the no-feeds message
-                    console.log('No feeds configured, showing no-feeds message');
-                    this.style.display = 'block';
-                    this.loadingElement.classList.remove('is-active');
-                    this.noFeedsElement.classList.add('is-active');
-                }
-            });
+            pubsub.on('feedFetchStarted', ({ total }) => this.setProgress(0, total));
+            pubsub.on('feedFetchProgress', ({ completed, total }) => this.setProgress(completed, total));
+            pubsub.on('feedFetchFinished', () => this.handleLoaded());
+            pubsub.on('newFeedItems', () => this.handleLoaded());
             pubsub.on('savedSettings', () => this.checkFeeds());
 
             // Show loading initially
@@ -125,6 +114,44 @@ class KupuKupuLoading extends HTMLElement {
         pubsub.off('savedSettings', () => this.checkFeeds());
     }
 
+    /**
+     * Called when the feed manager has finished its current operation:
+     * hides the indicator, or shows the no-feeds message if there are no feeds.
+     */
+    async handleLoaded() {
+        const settings = await storage.get('settings') || {};
+        const hasFeeds = Array.isArray(settings.rssFeeds) && settings.rssFeeds.length > 0;
+
+        if (hasFeeds) {
+            // If we have feeds configured, hide everything as loading is complete
+            console.log('Feeds exist and loading complete, hiding all indicators');
+            this.hide();
+        } else {
+            // No feeds configured, show the no-feeds message
+            console.log('No feeds configured, showing no-feeds message');
+            this.style.display = 'block';
+            this.loadingElement.classList.remove('is-active');
+            this.noFeedsElement.classList.add('is-active');
+        }
+    }
+
+    /**
+     * Shows how many feeds of the current batch are done.
+     *
+     * @param {number} completed - Feeds fetched so far
+     * @param {number} total - Feeds in the batch
+     */
+    setProgress(completed, total) {
+        if (!this._initialized) return;
+
+        this.progressElement.hidden = total === 0;
+        this.progressElement.max = total || 1;
+        this.progressElement.value = completed;
+        this.textElement.textContent = total > 0
+            ? `Fetching feeds... ${completed} of ${total}`
+            : 'Fetching feeds...';
+    }
+
     async checkFeeds() {
         await this.ready();
         console.log('Checking feeds...');
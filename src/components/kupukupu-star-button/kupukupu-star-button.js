@@ -1,5 +1,6 @@
 import { storage } from '../../assets/js/storage.js';
 import { pubsub } from '../../assets/js/pubsub.js';
+import { sanitizeHtml } from '../../assets/js/html-sanitizer.js';
 import templateUrl from './kupukupu-star-button.template.html?url';
 import styles from './kupukupu-star-button.css?inline';
 
@@ -137,7 +138,7 @@ export class KupukupuStarButton extends HTMLElement {
             starredItems[itemId] = {
                 id: itemId,
                 title: feedItem.getAttribute('title'),
-                content: feedItem.getAttribute('content'),
+                content: sanitizeHtml(feedItem.getAttribute('content')),
                 source: feedItem.getAttribute('source'),
                 published: feedItem.getAttribute('published'),
                 link: feedItem.getAttribute('link'),
@@ -1,9 +1,10 @@
-import { app, BrowserWindow } from 'electron';
+import { app, BrowserWindow, shell } from 'electron';
 import isDev from 'electron-is-dev';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { setupIpcHandlers } from './ipc/index.js';
+import { stopWebSub } from './ipc/handlers/websub.js';
 
 // Load environment variables
 dotenv.config();
@@ -32,6 +33,14 @@ function createWindow() {
         mainWindow.loadFile(path.join(__dirname, '../dist/pages/index.html'));
     }
 
+    // Links in feed content open in the system browser, never in an app window
+    mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+        if (/^(https?|mailto):/i.test(url)) {
+            shell.openExternal(url);
+        }
+        return { action: 'deny' };
+    });
+
     mainWindow.on('closed', () => {
         mainWindow = null;
     });
@@ -49,6 +58,11 @@ app.on('window-all-closed', () => {
     }
 });
 
+// Close the WebSub callback endpoint; hubs stop pushing once leases lapse
+app.on('will-quit', () => {
+    stopWebSub();
+});
+
 app.on('activate', () => {
     if (mainWindow === null) {
         createWindow();
@@ -0,0 +1,14 @@
+import { pubsub } from '../../assets/js/pubsub.js';
+import { notify } from '../../assets/js/notifications.js';
+
+/**
+ * Handler for the feedError event
+ * Triggered when a feed starts failing, after repeated failed fetches
+ */
+pubsub.on('feedError', ({ title, error }) => {
+    notify.show({
+        type: 'error',
+        message: `${title || 'A feed'} is failing: ${error}`,
+        duration: 8000
+    });
+});
@@ -0,0 +1,11 @@
+import { pubsub } from '../../assets/js/pubsub.js';
+import { notify } from '../../assets/js/notifications.js';
+import { formatBytes } from '../../assets/js/feed-retention.js';
+
+/**
+ * Handler for the feedItemsPruned event
+ * Triggered when retention policies removed stored feed items
+ */
+pubsub.on('feedItemsPruned', ({ removedCount, reclaimedBytes }) => {
+    notify.success(`Removed ${removedCount} old ${removedCount === 1 ? 'item' : 'items'}, freeing ${formatBytes(reclaimedBytes)}`);
+});
@@ -0,0 +1,15 @@
+import { pubsub } from '../../assets/js/pubsub.js';
+import { notify } from '../../assets/js/notifications.js';
+
+/**
+ * Handler for the feedUrlChangePending event
+ * Triggered when a feed with credentials moved permanently to another site;
+ * the move waits for the user's confirmation on the feed health page
+ */
+pubsub.on('feedUrlChangePending', ({ title, to }) => {
+    notify.show({
+        type: 'warning',
+        message: `${title || 'A feed'} has moved to another site (${to}). Its credentials are only sent there once you confirm the move on the Feed Health page`,
+        duration: 0
+    });
+});
@@ -0,0 +1,14 @@
+import { pubsub } from '../../assets/js/pubsub.js';
+import { notify } from '../../assets/js/notifications.js';
+
+/**
+ * Handler for the feedUrlChanged event
+ * Triggered when a feed that moved permanently is switched to its new URL
+ */
+pubsub.on('feedUrlChanged', ({ title, to }) => {
+    notify.show({
+        type: 'warning',
+        message: `${title || 'A feed'} has moved; it is now fetched from ${to}`,
+        duration: 8000
+    });
+});
@@ -0,0 +1,11 @@
+/**
+ * Feed Event Handlers
+ *
+ * This file imports all feed-related event handlers to ensure they are registered.
+ */
+
+import './feedItemsPruned.js';
+import './feedError.js';
+import './feedUrlChanged.js';
+import './feedUrlChangePending.js';
+import './ruleMatched.js';
@@ -0,0 +1,15 @@
+import { pubsub } from '../../assets/js/pubsub.js';
+import { notify } from '../../assets/js/notifications.js';
+
+/**
+ * Handler for the ruleMatched event
+ * Triggered when new items match a rule with the notify action
+ */
+pubsub.on('ruleMatched', ({ ruleName, feedTitle, items }) => {
+    const subject = items.length === 1 ? `"${items[0].title}"` : `${items.length} new items`;
+    notify.show({
+        type: 'success',
+        message: `${subject}${feedTitle ? ` in ${feedTitle}` : ''} matched the rule "${ruleName}"`,
+        duration: 8000
+    });
+});
@@ -1,4 +1,5 @@
 import { pubsub } from '../../assets/js/pubsub.js';
+import { notify } from '../../assets/js/notifications.js';
 
 /**
  * Handler for the invalidSettings event
@@ -6,4 +7,7 @@ import { pubsub } from '../../assets/js/pubsub.js';
  */
 pubsub.on('invalidSettings', (errors) => {
     console.log('Settings validation failed:', errors);
+    if (errors?.message) {
+        notify.error(errors.message);
+    }
 });
\ No newline at end of file
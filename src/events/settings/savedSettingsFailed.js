@@ -1,9 +1,11 @@
 import { pubsub } from '../../assets/js/pubsub.js';
+import { notify } from '../../assets/js/notifications.js';
 
 /**
  * Handler for the savedSettingsFailed event
  * Triggered when settings fail to save
  */
 pubsub.on('savedSettingsFailed', (error) => {
-    console.log('Failed to save settings:', error);
+    console.log('Failed to save settings:', error?.message || error);
+    notify.error('Failed to save settings');
 });
\ No newline at end of file
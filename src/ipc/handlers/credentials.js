@@ -0,0 +1,43 @@
+import { safeStorage } from 'electron';
+
+/**
+ * Credential IPC Handlers
+ *
+ * Encrypt and decrypt feed credentials with the operating system's keychain
+ * (Electron `safeStorage`), so they are never written to the store in plain
+ * text. The renderer keeps the ciphertext; see src/assets/js/credential-store.js.
+ */
+export const credentialHandlers = {
+    /**
+     * Encrypts text.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} text - The text to encrypt
+     * @returns {Object} { ok, data } with base64 ciphertext, or { ok: false, error }
+     */
+    'credentials:encrypt': (event, text) => {
+        try {
+            if (!safeStorage.isEncryptionAvailable()) {
+                throw new Error('Encryption is not available on this system');
+            }
+            return { ok: true, data: safeStorage.encryptString(String(text)).toString('base64') };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+
+    /**
+     * Decrypts text encrypted by credentials:encrypt.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} data - The base64 ciphertext
+     * @returns {Object} { ok, text } or { ok: false, error }
+     */
+    'credentials:decrypt': (event, data) => {
+        try {
+            return { ok: true, text: safeStorage.decryptString(Buffer.from(String(data), 'base64')) };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+};
@@ -1,35 +1,176 @@
-import { ipcMain } from 'electron';
 import fetch from 'node-fetch';
+import { discoverFeeds } from '../../utils/feed-discovery.js';
+import { decodeBody } from '../../utils/encoding.js';
+import { readBody } from '../http.js';
+
+// Redirects followed before giving up
+const MAX_REDIRECTS = 5;
+// Statuses that redirect to the Location header
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Deadline for a whole request, redirects and body included (30 seconds)
+const FETCH_TIMEOUT = 30 * 1000;
+// Largest body accepted (10 MB)
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Turns a failed request into the failure result the renderer expects.
+ * @param {Error} error - The error thrown
+ * @param {AbortSignal} signal - The request's deadline
+ * @returns {Object} { ok: false, error }, with kind 'timeout' when the deadline passed
+ *     and status 413 when the body was too large
+ */
+function toFailure(error, signal) {
+    if (signal.aborted) {
+        return { ok: false, kind: 'timeout', error: 'Request timed out' };
+    }
+    if (error.message === 'Response too large') {
+        return { ok: false, status: 413, error: error.message };
+    }
+    return { ok: false, error: error.message };
+}
+
+/**
+ * Fetch a page for feed discovery
+ * @param {string} url - The URL to fetch
+ * @returns {Promise<{body: string, contentType: string}>} The page content and its content type
+ * @throws {Error} If the request fails, times out or the page is too large
+ */
+async function fetchPage(url) {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+    try {
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const contentType = response.headers.get('content-type') || '';
+        return {
+            body: decodeBody(await readBody(response, MAX_RESPONSE_BYTES), contentType),
+            contentType
+        };
+    } catch (error) {
+        throw signal.aborted ? new Error('Request timed out') : error;
+    }
+}
+
+/**
+ * Fetch a feed, following redirects one at a time so the chain can be
+ * reported. Authentication headers are only sent to the feed's own site.
+ * @param {string} url - The feed URL
+ * @param {Object} headers - Request headers for every hop
+ * @param {Object} authHeaders - Authentication headers
+ * @param {AbortSignal} signal - Deadline for the whole chain
+ * @returns {Promise<{response: Response, url: string, redirects: Array<Object>}>} The final response,
+ *     its URL, and the redirects taken: { from, to, status }
+ * @throws {Error} If there are too many redirects
+ */
+async function fetchFollowingRedirects(url, headers, authHeaders, signal) {
+    const origin = new URL(url).origin;
+    const redirects = [];
+    let current = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const sameSite = new URL(current).origin === origin;
+        const response = await fetch(current, {
+            headers: sameSite ? { ...authHeaders, ...headers } : headers,
+            redirect: 'manual',
+            signal
+        });
+
+        const location = response.headers.get('location');
+        if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+            return { response, url: current, redirects };
+        }
+        // Redirect bodies are not needed
+        response.body?.resume();
+
+        const next = new URL(location, current).href;
+        redirects.push({ from: current, to: next, status: response.status });
+        current = next;
+    }
+
+    throw new Error('Too many redirects');
+}
 
 /**
- * Register feed-related IPC handlers
+ * Feed IPC Handlers
+ *
+ * These handlers make all feed network requests for the desktop app, so it
+ * works without the proxy server the web build depends on. The renderer
+ * reaches them through the fetch transport (src/assets/js/fetch-transport.js).
  */
-export function registerFeedHandlers() {
-    // Handler for fetching feed content
-    ipcMain.handle('fetchFeed', async (event, url) => {
+export const feedHandlers = {
+    /**
+     * Fetches feed content. Cache validators from a previous fetch make the
+     * request conditional, in which case a 304 is returned with no data.
+     * Authentication headers are sent as given and never logged. Redirects
+     * are reported, so the renderer can notice feeds that moved permanently.
+     * Requests taking longer than FETCH_TIMEOUT, or bodies larger than
+     * MAX_RESPONSE_BYTES, fail, so a stalled publisher cannot hold a fetch slot.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} url - The URL to fetch
+     * @param {Object} [options] - The ETag and Last-Modified values from the previous fetch,
+     *     and the feed's authentication headers
+     * @returns {Promise<Object>} { ok, status, data, contentType, etag, lastModified, url, redirects },
+     *     or { ok: false, status, retryAfter, kind, error } on failure
+     */
+    'feeds:fetch': async (event, url, { etag, lastModified, headers: authHeaders = {} } = {}) => {
+        const signal = AbortSignal.timeout(FETCH_TIMEOUT);
         try {
-            const response = await fetch(url);
+            const headers = {};
+            if (etag) headers['If-None-Match'] = etag;
+            if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+            const { response, url: finalUrl, redirects } = await fetchFollowingRedirects(url, headers, authHeaders, signal);
+            const validators = {
+                etag: response.headers.get('etag') || etag || '',
+                lastModified: response.headers.get('last-modified') || lastModified || ''
+            };
+
+            if (response.status === 304) {
+                return { ok: true, status: 304, data: '', ...validators, url: finalUrl, redirects };
+            }
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                response.body?.resume();
+                // Status and Retry-After let the renderer pick a retry policy
+                return {
+                    ok: false,
+                    status: response.status,
+                    retryAfter: parseInt(response.headers.get('retry-after'), 10) || 0,
+                    error: `HTTP error! status: ${response.status}`
+                };
             }
-            const text = await response.text();
-            return { ok: true, data: text };
+            // Decoded here rather than by response.text(), which ignores the declared encoding
+            const contentType = response.headers.get('content-type') || '';
+            const text = decodeBody(await readBody(response, MAX_RESPONSE_BYTES), contentType);
+            return {
+                ok: true,
+                status: response.status,
+                data: text,
+                contentType,
+                ...validators,
+                url: finalUrl,
+                redirects
+            };
         } catch (error) {
-            return { ok: false, error: error.message };
+            return toFailure(error, signal);
         }
-    });
+    },
 
-    // Handler for validating feed URLs
-    ipcMain.handle('validateFeed', async (event, url) => {
+    /**
+     * Validates a feed URL. Website URLs are accepted too: the feeds they
+     * link to, or serve at common paths, are returned as candidates.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} url - A feed or website URL
+     * @returns {Promise<Object>} { ok, candidates } or { ok: false, error }
+     */
+    'feeds:validate': async (event, url) => {
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const text = await response.text();
-            return { ok: true, data: text };
+            const candidates = await discoverFeeds(url, fetchPage);
+            return { ok: true, candidates };
         } catch (error) {
             return { ok: false, error: error.message };
         }
-    });
-}
\ No newline at end of file
+    }
+};
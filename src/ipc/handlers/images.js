@@ -0,0 +1,131 @@
+import fetch from 'node-fetch';
+import isDev from 'electron-is-dev';
+import { app } from 'electron';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readBody } from '../http.js';
+
+// Images larger than this are not cached (10 MB)
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// Deadline for downloading an image, body included (30 seconds)
+const FETCH_TIMEOUT = 30 * 1000;
+
+// File extensions for the image types feeds commonly use
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/avif': '.avif',
+    'image/svg+xml': '.svg'
+};
+
+/**
+ * Returns the image cache directory, kept next to the store so development
+ * and production caches stay separate (see store.js).
+ * @returns {string} The directory path
+ */
+function getCacheDir() {
+    const userData = isDev ? app.getPath('userData') + '-dev' : app.getPath('userData');
+    return path.join(userData, 'image-cache');
+}
+
+/**
+ * Resolves a cached file's path, refusing anything outside the cache directory.
+ * @param {string} file - The file path as returned by images:cache
+ * @returns {string} The absolute path
+ * @throws {Error} If the path is outside the cache directory
+ */
+function resolveCachedFile(file) {
+    const cacheDir = getCacheDir();
+    const resolved = path.resolve(cacheDir, path.basename(file || ''));
+    if (path.dirname(resolved) !== cacheDir) {
+        throw new Error('Invalid image path');
+    }
+    return resolved;
+}
+
+/**
+ * Image Cache IPC Handlers
+ *
+ * Store feed item images on disk for the desktop app, so items display
+ * offline. The renderer keeps the cache index and decides what to evict;
+ * see src/assets/js/image-cache.js.
+ */
+export const imageHandlers = {
+    /**
+     * Downloads an image into the cache directory. Downloads taking longer
+     * than FETCH_TIMEOUT fail, and are stopped once they pass MAX_IMAGE_BYTES.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} url - The image URL
+     * @returns {Promise<Object>} { ok, path, size, type } or { ok: false, error }
+     */
+    'images:cache': async (event, url) => {
+        const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+        try {
+            const response = await fetch(url, { signal });
+            if (!response.ok) {
+                response.body?.destroy();
+                return { ok: false, error: `HTTP error! status: ${response.status}` };
+            }
+
+            const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            if (!type.startsWith('image/')) {
+                response.body?.destroy();
+                return { ok: false, error: `Not an image: ${type || 'unknown type'}` };
+            }
+
+            const data = await readBody(response, MAX_IMAGE_BYTES);
+
+            const cacheDir = getCacheDir();
+            await fs.mkdir(cacheDir, { recursive: true });
+            const file = path.join(cacheDir, createHash('sha256').update(url).digest('hex') + (EXTENSIONS[type] || ''));
+            await fs.writeFile(file, data);
+
+            return { ok: true, path: file, size: data.length, type };
+        } catch (error) {
+            if (signal.aborted) {
+                return { ok: false, error: 'Request timed out' };
+            }
+            return { ok: false, error: error.message === 'Response too large' ? 'Image too large' : error.message };
+        }
+    },
+
+    /**
+     * Reads a cached image.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} file - The path returned by images:cache
+     * @returns {Promise<Object>} { ok, data } with the image bytes, or { ok: false, error }
+     */
+    'images:read': async (event, file) => {
+        try {
+            const data = await fs.readFile(resolveCachedFile(file));
+            return { ok: true, data: new Uint8Array(data) };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+
+    /**
+     * Deletes cached images. Files that are already gone are ignored.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {Array<string>} files - Paths returned by images:cache
+     * @returns {Promise<Object>} { ok, deleted } with the number of files removed
+     */
+    'images:delete': async (event, files = []) => {
+        let deleted = 0;
+        for (const file of files) {
+            try {
+                await fs.unlink(resolveCachedFile(file));
+                deleted++;
+            } catch (error) {
+                // Missing files have nothing left to delete
+            }
+        }
+        return { ok: true, deleted };
+    }
+};
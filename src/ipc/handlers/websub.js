@@ -0,0 +1,93 @@
+import { BrowserWindow } from 'electron';
+import { WebSubSubscriber } from '../websub.js';
+
+let subscriber = null;
+
+/**
+ * Returns the WebSub subscriber, creating it on first use so the
+ * environment variables loaded at startup are picked up.
+ * @returns {WebSubSubscriber} The subscriber
+ */
+function getSubscriber() {
+    if (!subscriber) {
+        subscriber = new WebSubSubscriber({
+            port: parseInt(process.env.WEBSUB_PORT, 10) || undefined,
+            callbackUrl: process.env.WEBSUB_CALLBACK_URL || '',
+            onContent: content => {
+                // Pushed content goes to every window; the feed manager processes it
+                BrowserWindow.getAllWindows().forEach(window => {
+                    if (!window.isDestroyed()) {
+                        window.webContents.send('websub:content', content);
+                    }
+                });
+            }
+        });
+    }
+    return subscriber;
+}
+
+/**
+ * Stops the WebSub callback endpoint, if it was started.
+ * @returns {Promise<void>}
+ */
+export function stopWebSub() {
+    return subscriber ? subscriber.stop() : Promise.resolve();
+}
+
+/**
+ * WebSub IPC Handlers
+ *
+ * Manage push subscriptions for feeds that advertise a WebSub hub. The
+ * renderer subscribes after fetching such a feed and receives pushed content
+ * on the 'websub:content' channel; see src/ipc/websub.js.
+ */
+export const webSubHandlers = {
+    /**
+     * Subscribes a feed to its hub.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {Object} subscription - The feed ID, topic URL and hub URL
+     * @returns {Promise<Object>} { ok, status } or { ok: false, error }; status is null when the
+     *     hub cannot reach this app or be trusted with a secret (see WebSubSubscriber.canSubscribe)
+     */
+    'websub:subscribe': async (event, { feedId, topic, hub }) => {
+        try {
+            if (!/^https?:\/\//i.test(hub || '') || !/^https?:\/\//i.test(topic || '')) {
+                throw new Error('Invalid hub or topic URL');
+            }
+            const status = await getSubscriber().subscribe({ feedId, topic, hub });
+            return { ok: true, status };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+
+    /**
+     * Unsubscribes a feed from its hub.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} feedId - The feed ID
+     * @returns {Promise<Object>} { ok } or { ok: false, error }
+     */
+    'websub:unsubscribe': async (event, feedId) => {
+        try {
+            if (subscriber) {
+                await subscriber.unsubscribe(feedId);
+            }
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+
+    /**
+     * Reports the state of a feed's subscription.
+     *
+     * @param {Electron.IpcMainInvokeEvent} event - The IPC event object
+     * @param {string} feedId - The feed ID
+     * @returns {Object|null} The subscription state, see WebSubSubscriber.getStatus
+     */
+    'websub:status': (event, feedId) => {
+        return subscriber ? subscriber.getStatus(feedId) : null;
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * HTTP helpers shared by the IPC handlers that download from the network.
+ */
+
+/**
+ * Reads a node-fetch response body, giving up once it grows past a limit.
+ * A Content-Length above the limit fails before anything is downloaded.
+ *
+ * @param {Response} response - The response
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<Buffer>} The body
+ * @throws {Error} 'Response too large' if the body is larger than maxBytes
+ */
+export async function readBody(response, maxBytes) {
+    const declared = parseInt(response.headers.get('content-length'), 10);
+    if (declared > maxBytes) {
+        response.body?.destroy();
+        throw new Error('Response too large');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            response.body.destroy();
+            throw new Error('Response too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
@@ -1,6 +1,10 @@
 import { ipcMain } from 'electron';
 import { storeHandlers } from './handlers/store.js';
 import { eventHandlers } from './handlers/events.js';
+import { feedHandlers } from './handlers/feeds.js';
+import { imageHandlers } from './handlers/images.js';
+import { webSubHandlers } from './handlers/websub.js';
+import { credentialHandlers } from './handlers/credentials.js';
 
 // Register all handlers
 export function setupIpcHandlers() {
@@ -14,6 +18,26 @@ export function setupIpcHandlers() {
         ipcMain.handle(channel, handler);
     });
 
+    // Register feed handlers
+    Object.entries(feedHandlers).forEach(([channel, handler]) => {
+        ipcMain.handle(channel, handler);
+    });
+
+    // Register image cache handlers
+    Object.entries(imageHandlers).forEach(([channel, handler]) => {
+        ipcMain.handle(channel, handler);
+    });
+
+    // Register WebSub handlers
+    Object.entries(webSubHandlers).forEach(([channel, handler]) => {
+        ipcMain.handle(channel, handler);
+    });
+
+    // Register credential encryption handlers
+    Object.entries(credentialHandlers).forEach(([channel, handler]) => {
+        ipcMain.handle(channel, handler);
+    });
+
     // Basic message handler
     ipcMain.on('toMain', (event, data) => {
         console.log('Received in main:', data);
@@ -0,0 +1,432 @@
+import http from 'http';
+import fetch from 'node-fetch';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { decodeBody } from '../utils/encoding.js';
+
+// Port of the local callback endpoint, unless WEBSUB_PORT is set
+const DEFAULT_PORT = 9798;
+// Lease requested from hubs (10 days); hubs may grant a different one
+const LEASE_SECONDS = 10 * 24 * 60 * 60;
+// Subscriptions are renewed once this share of their lease has passed
+const RENEW_AT = 0.9;
+// Subscriptions the hub has not verified within this time are retried by the next fetch (10 minutes)
+const VERIFY_TIMEOUT = 10 * 60 * 1000;
+// Deadline for a hub to answer a subscription request (30 seconds)
+const HUB_REQUEST_TIMEOUT = 30 * 1000;
+// Pushed content larger than this is refused (5 MB)
+const MAX_CONTENT_BYTES = 5 * 1024 * 1024;
+// Longest delay setTimeout supports (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+// Signature algorithms hubs may use in X-Hub-Signature
+const SIGNATURE_ALGORITHMS = new Set(['sha1', 'sha256', 'sha384', 'sha512']);
+
+/**
+ * Checks an X-Hub-Signature header against the content it signs.
+ *
+ * @param {string} header - The header value, e.g. "sha256=ab12..."
+ * @param {string} secret - The secret given to the hub when subscribing
+ * @param {Buffer} body - The raw request body
+ * @returns {boolean} True if the signature is valid
+ */
+export function verifySignature(header, secret, body) {
+    const [algorithm, signature] = (header || '').split('=');
+    if (!SIGNATURE_ALGORITHMS.has(algorithm) || !/^[0-9a-f]+$/i.test(signature || '')) {
+        return false;
+    }
+
+    const expected = createHmac(algorithm, secret).update(body).digest();
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Tells whether a URL points at this machine.
+ *
+ * @param {string} url - The URL
+ * @returns {boolean} True for localhost, 127.0.0.0/8 and ::1
+ */
+export function isLoopbackUrl(url) {
+    const { hostname } = new URL(url);
+    return hostname === 'localhost' || hostname === '[::1]' || /^127(\.\d{1,3}){3}$/.test(hostname);
+}
+
+/**
+ * WebSub Subscriber
+ *
+ * Lets the desktop app receive feed updates pushed by WebSub
+ * (PubSubHubbub) hubs instead of waiting for the next poll:
+ * 1. subscribe() asks the feed's hub to push updates to a callback URL
+ *    served by a local HTTP endpoint, with a per-subscription secret
+ * 2. The hub verifies the intent with a GET carrying a challenge, which is
+ *    echoed back only for subscriptions this app asked for
+ * 3. Pushed content arrives as a POST signed with the secret
+ *    (X-Hub-Signature); unsigned or wrongly signed content is ignored
+ * 4. Subscriptions are renewed before their lease runs out
+ *
+ * The callback endpoint listens on 127.0.0.1. Hubs on the internet can only
+ * reach it through a public address forwarded to that port, given as
+ * WEBSUB_CALLBACK_URL; without one, only hubs on this machine (such as the
+ * stand-in hub in scripts/websub-hub.js, run with `npm run websub:hub`) are
+ * subscribed to. The secret only travels over https, or stays on this machine:
+ * hubs on the internet reached over plain http are not subscribed to, since
+ * their pushes could not be signed. Polling carries on either way, so feeds
+ * stay up to date if pushes never arrive.
+ *
+ * Subscriptions are kept in memory; the renderer subscribes again after
+ * each successful fetch, which also restores them after a restart.
+ *
+ * @example
+ * const subscriber = new WebSubSubscriber({
+ *     onContent: ({ feedId, body, contentType }) => { ... }
+ * });
+ * await subscriber.subscribe({ feedId, topic: channel.self || feed.url, hub: channel.hub });
+ */
+export class WebSubSubscriber {
+    /**
+     * @param {Object} options - Subscriber options
+     * @param {Function} options.onContent - Receives `{ feedId, topic, body, contentType }` for verified pushes
+     * @param {number} [options.port] - Port of the callback endpoint
+     * @param {string} [options.callbackUrl] - Public base URL forwarded to the callback endpoint
+     */
+    constructor({ onContent, port = DEFAULT_PORT, callbackUrl = '' }) {
+        this.onContent = onContent;
+        this.port = port;
+        this.callbackUrl = callbackUrl.replace(/\/+$/, '');
+        // Whether hubs on the internet can reach the callback endpoint
+        this.reachable = Boolean(this.callbackUrl);
+        this.server = null;
+        // Subscriptions by feed ID: { feedId, topic, hub, secret, state, leaseExpires, requestedAt, error, timer }
+        this.subscriptions = new Map();
+    }
+
+    /**
+     * Starts the callback endpoint, if it is not running yet.
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} If the port is unavailable
+     */
+    async start() {
+        if (this.server) return;
+
+        const server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch(error => {
+                console.error('WebSub callback failed:', error);
+                if (!response.headersSent) {
+                    response.writeHead(500);
+                }
+                response.end();
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(this.port, '127.0.0.1', () => {
+                server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.server = server;
+        if (!this.callbackUrl) {
+            this.callbackUrl = `http://127.0.0.1:${server.address().port}`;
+        }
+        console.log(`WebSub callback endpoint listening on port ${server.address().port}`);
+    }
+
+    /**
+     * Stops the callback endpoint and all renewal timers. Subscriptions at
+     * the hubs are left to expire.
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        for (const subscription of this.subscriptions.values()) {
+            clearTimeout(subscription.timer);
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Returns the callback URL for a feed.
+     *
+     * @param {string} feedId - The feed ID
+     * @returns {string} The callback URL
+     */
+    getCallbackUrl(feedId) {
+        return `${this.callbackUrl}/websub/${encodeURIComponent(feedId)}`;
+    }
+
+    /**
+     * Tells whether a hub can be subscribed to: it must be able to reach the
+     * callback endpoint, and be given the secret without exposing it.
+     *
+     * @param {string} hub - The hub URL
+     * @returns {boolean} True for hubs on this machine, and https hubs when a public callback URL is set
+     */
+    canSubscribe(hub) {
+        if (isLoopbackUrl(hub)) return true;
+        return this.reachable && new URL(hub).protocol === 'https:';
+    }
+
+    /**
+     * Subscribes a feed to its hub. Does nothing if an equivalent
+     * subscription is active, or still waiting for the hub's verification,
+     * or if the hub cannot be subscribed to (see canSubscribe).
+     *
+     * @param {Object} options - The subscription
+     * @param {string} options.feedId - The feed ID
+     * @param {string} options.topic - The feed's canonical URL, as advertised with rel="self"
+     * @param {string} options.hub - The hub URL
+     * @returns {Promise<Object|null>} The subscription's status, see getStatus; null if the
+     *     hub cannot be subscribed to
+     * @throws {Error} If the hub refuses the request or does not answer in time
+     */
+    async subscribe({ feedId, topic, hub }) {
+        if (!this.canSubscribe(hub)) return null;
+        await this.start();
+
+        const existing = this.subscriptions.get(feedId);
+        if (existing && existing.topic === topic && existing.hub === hub) {
+            const waiting = existing.state === 'pending' && Date.now() - existing.requestedAt < VERIFY_TIMEOUT;
+            if (existing.state === 'active' || waiting) {
+                return this.getStatus(feedId);
+            }
+        }
+        if (existing) {
+            clearTimeout(existing.timer);
+        }
+
+        const subscription = {
+            feedId,
+            topic,
+            hub,
+            secret: randomBytes(32).toString('hex'),
+            state: 'pending',
+            leaseExpires: 0,
+            requestedAt: Date.now(),
+            error: '',
+            timer: null
+        };
+        this.subscriptions.set(feedId, subscription);
+
+        try {
+            await this.sendRequest(subscription, 'subscribe');
+        } catch (error) {
+            subscription.state = 'failed';
+            subscription.error = error.message;
+            throw error;
+        }
+
+        return this.getStatus(feedId);
+    }
+
+    /**
+     * Unsubscribes a feed from its hub.
+     *
+     * @param {string} feedId - The feed ID
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(feedId) {
+        const subscription = this.subscriptions.get(feedId);
+        if (!subscription) return;
+
+        clearTimeout(subscription.timer);
+        subscription.state = 'unsubscribing';
+        try {
+            await this.sendRequest(subscription, 'unsubscribe');
+        } catch (error) {
+            // The subscription lapses at the end of its lease anyway
+            console.warn(`Failed to unsubscribe ${subscription.topic} from ${subscription.hub}:`, error.message);
+            this.subscriptions.delete(feedId);
+        }
+    }
+
+    /**
+     * Reports the state of a feed's subscription.
+     *
+     * @param {string} feedId - The feed ID
+     * @returns {{state: string, hub: string, topic: string, leaseExpires: number, error: string}|null}
+     *     The state ('pending', 'active', 'denied', 'failed' or 'unsubscribing'), or null if the
+     *     feed is not subscribed
+     */
+    getStatus(feedId) {
+        const subscription = this.subscriptions.get(feedId);
+        if (!subscription) return null;
+
+        const { state, hub, topic, leaseExpires, error } = subscription;
+        return { state, hub, topic, leaseExpires, error };
+    }
+
+    /**
+     * Sends a subscription request to a hub, within HUB_REQUEST_TIMEOUT.
+     * @private
+     * @param {Object} subscription - The subscription
+     * @param {'subscribe'|'unsubscribe'} mode - The request mode
+     * @throws {Error} If the hub does not accept the request, or does not answer in time
+     */
+    async sendRequest(subscription, mode) {
+        const params = new URLSearchParams({
+            'hub.mode': mode,
+            'hub.topic': subscription.topic,
+            'hub.callback': this.getCallbackUrl(subscription.feedId)
+        });
+        if (mode === 'subscribe') {
+            // Only https and loopback hubs get this far (see canSubscribe), so the secret is never sent in the clear
+            params.set('hub.secret', subscription.secret);
+            params.set('hub.lease_seconds', String(LEASE_SECONDS));
+        }
+
+        const signal = AbortSignal.timeout(HUB_REQUEST_TIMEOUT);
+        try {
+            const response = await fetch(subscription.hub, { method: 'POST', body: params, signal });
+            if (!response.ok) {
+                const reason = (await response.text()).slice(0, 200);
+                throw new Error(`Hub refused ${mode} request: ${response.status}${reason ? ` ${reason}` : ''}`);
+            }
+            response.body?.resume();
+        } catch (error) {
+            throw signal.aborted ? new Error(`Hub did not answer the ${mode} request in time`) : error;
+        }
+    }
+
+    /**
+     * Renews a subscription shortly before its lease runs out.
+     * @private
+     * @param {Object} subscription - The active subscription
+     */
+    scheduleRenewal(subscription) {
+        clearTimeout(subscription.timer);
+        const lease = subscription.leaseExpires - Date.now();
+        const delay = Math.min(Math.max(lease * RENEW_AT, 0), MAX_TIMER_DELAY);
+
+        subscription.timer = setTimeout(() => {
+            subscription.state = 'expiring';
+            this.subscribe(subscription).catch(error => {
+                console.warn(`Failed to renew WebSub subscription for ${subscription.topic}:`, error.message);
+            });
+        }, delay);
+    }
+
+    /**
+     * Handles a request to the callback endpoint.
+     * @private
+     * @param {http.IncomingMessage} request - The request
+     * @param {http.ServerResponse} response - The response
+     */
+    async handleRequest(request, response) {
+        const url = new URL(request.url, 'http://127.0.0.1');
+        const match = url.pathname.match(/^\/websub\/([^/]+)$/);
+        const subscription = match && this.subscriptions.get(decodeURIComponent(match[1]));
+
+        if (!subscription) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+
+        if (request.method === 'GET') {
+            this.handleVerification(subscription, url.searchParams, response);
+        } else if (request.method === 'POST') {
+            await this.handleContent(subscription, request, response);
+        } else {
+            response.writeHead(405, { Allow: 'GET, POST' });
+            response.end();
+        }
+    }
+
+    /**
+     * Answers a hub's verification of intent, or records a denial.
+     * @private
+     * @param {Object} subscription - The subscription the callback belongs to
+     * @param {URLSearchParams} params - The query parameters
+     * @param {http.ServerResponse} response - The response
+     */
+    handleVerification(subscription, params, response) {
+        const mode = params.get('hub.mode');
+        const topic = params.get('hub.topic');
+
+        if (topic !== subscription.topic) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+
+        if (mode === 'denied') {
+            clearTimeout(subscription.timer);
+            subscription.state = 'denied';
+            subscription.error = params.get('hub.reason') || 'Subscription denied by the hub';
+            console.warn(`WebSub subscription for ${topic} denied: ${subscription.error}`);
+            response.writeHead(200);
+            response.end();
+            return;
+        }
+
+        // Only confirm what this app asked for
+        const expected = subscription.state === 'unsubscribing' ? 'unsubscribe' : 'subscribe';
+        const challenge = params.get('hub.challenge');
+        if (mode !== expected || !challenge) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+
+        if (mode === 'unsubscribe') {
+            this.subscriptions.delete(subscription.feedId);
+        } else {
+            const leaseSeconds = parseInt(params.get('hub.lease_seconds'), 10) || LEASE_SECONDS;
+            subscription.state = 'active';
+            subscription.error = '';
+            subscription.leaseExpires = Date.now() + leaseSeconds * 1000;
+            this.scheduleRenewal(subscription);
+            console.log(`WebSub subscription for ${topic} active for ${leaseSeconds} seconds`);
+        }
+
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end(challenge);
+    }
+
+    /**
+     * Accepts content pushed by a hub, passing it on if its signature is valid.
+     * @private
+     * @param {Object} subscription - The subscription the callback belongs to
+     * @param {http.IncomingMessage} request - The request
+     * @param {http.ServerResponse} response - The response
+     */
+    async handleContent(subscription, request, response) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_CONTENT_BYTES) {
+                response.writeHead(413);
+                response.end();
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        }
+        const body = Buffer.concat(chunks);
+
+        // Hubs expect a 2xx whether or not the content is used, or they retry delivery
+        response.writeHead(202);
+        response.end();
+
+        if (subscription.state !== 'active' && subscription.state !== 'expiring') {
+            return;
+        }
+        if (!verifySignature(request.headers['x-hub-signature'], subscription.secret, body)) {
+            console.warn(`Ignoring WebSub content for ${subscription.topic}: invalid signature`);
+            return;
+        }
+
+        this.onContent({
+            feedId: subscription.feedId,
+            topic: subscription.topic,
+            body: decodeBody(body, request.headers['content-type'] || ''),
+            contentType: request.headers['content-type'] || ''
+        });
+    }
+}
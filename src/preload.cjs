@@ -21,8 +21,22 @@ contextBridge.exposeInMainWorld(
             emit: (channel, data) => ipcRenderer.invoke('events:emit', channel, data)
         },
         feeds: {
-            fetch: (url) => ipcRenderer.invoke('fetchFeed', url),
-            validate: (url) => ipcRenderer.invoke('validateFeed', url)
+            fetch: (url, options) => ipcRenderer.invoke('feeds:fetch', url, options),
+            validate: (url) => ipcRenderer.invoke('feeds:validate', url)
+        },
+        images: {
+            cache: (url) => ipcRenderer.invoke('images:cache', url),
+            read: (file) => ipcRenderer.invoke('images:read', file),
+            delete: (files) => ipcRenderer.invoke('images:delete', files)
+        },
+        credentials: {
+            encrypt: (text) => ipcRenderer.invoke('credentials:encrypt', text),
+            decrypt: (data) => ipcRenderer.invoke('credentials:decrypt', data)
+        },
+        websub: {
+            subscribe: (subscription) => ipcRenderer.invoke('websub:subscribe', subscription),
+            unsubscribe: (feedId) => ipcRenderer.invoke('websub:unsubscribe', feedId),
+            status: (feedId) => ipcRenderer.invoke('websub:status', feedId)
         },
         send: (channel, data) => {
             // Whitelist channels
@@ -33,7 +47,7 @@ contextBridge.exposeInMainWorld(
         },
         receive: (channel, func) => {
             // Whitelist channels for event receiving
-            const validChannels = ['fromMain', 'events:receive'];
+            const validChannels = ['fromMain', 'events:receive', 'websub:content'];
             if (validChannels.includes(channel)) {
                 // Wrap in a try-catch as the function is provided by the renderer
                 ipcRenderer.on(channel, (event, ...args) => {
@@ -0,0 +1,60 @@
+/**
+ * Audio Shortcuts Module
+ *
+ * This module handles registration of all audio playback keyboard shortcuts in KupuKupu.
+ * These shortcuts control the podcast/audio player of feed items.
+ *
+ * Current shortcuts:
+ * - mod+p: Play or pause audio
+ * - mod+shift+arrowleft: Skip back 15 seconds
+ * - mod+shift+arrowright: Skip forward 30 seconds
+ *
+ * The shortcuts control the player of the active feed item, or the player
+ * that was playing last when the active item has no audio.
+ *
+ * Note: 'mod' key is Command (⌘) on macOS and Control on other platforms
+ *
+ * @module audio-shortcuts
+ */
+
+import { shortcuts } from '../assets/js/shortcuts.js';
+import { shouldEnableFeedNavigation } from '../utils/navigation.js';
+import { KupukupuAudioPlayer } from '../components/kupukupu-audio-player/kupukupu-audio-player.js';
+
+/**
+ * Finds the audio player the shortcuts should control.
+ *
+ * @returns {KupukupuAudioPlayer|null} The player, or null if there is none
+ */
+function findPlayer() {
+    const activeItem = document.querySelector('kupukupu-feed-item[active]');
+    return activeItem?.getAudioPlayer?.() || KupukupuAudioPlayer.current;
+}
+
+/**
+ * Registers all audio playback keyboard shortcuts.
+ *
+ * Implementation details:
+ * - Only enables shortcuts when appropriate (not in input fields)
+ * - Does nothing when no player is available
+ *
+ * @example
+ * // Register audio shortcuts
+ * registerAudioShortcuts();
+ */
+export function registerAudioShortcuts() {
+    shortcuts.register('togglePlayback', () => {
+        if (!shouldEnableFeedNavigation()) return;
+        findPlayer()?.togglePlayback();
+    });
+
+    shortcuts.register('seekBackward', () => {
+        if (!shouldEnableFeedNavigation()) return;
+        findPlayer()?.seekBy(-15);
+    });
+
+    shortcuts.register('seekForward', () => {
+        if (!shouldEnableFeedNavigation()) return;
+        findPlayer()?.seekBy(30);
+    });
+}
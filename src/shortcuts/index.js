@@ -9,6 +9,7 @@
  * - Navigation: Page navigation shortcuts (home, settings)
  * - Drawer: Drawer control shortcuts (open/close, help)
  * - Feeds: Feed manipulation shortcuts (refresh, next/previous item)
+ * - Audio: Podcast/audio playback shortcuts (play/pause, skip)
  *
  * @module shortcuts
  */
@@ -17,6 +18,7 @@ import { registerNavigationShortcuts } from './navigation.js';
 import { registerDrawerShortcuts } from './drawer.js';
 import { registerFeedShortcuts } from './feeds.js';
 import { registerStarShortcuts } from './star.js';
+import { registerAudioShortcuts } from './audio.js';
 
 /**
  * Registers all keyboard shortcuts for the application.
@@ -40,4 +42,5 @@ export function registerAllShortcuts() {
     registerDrawerShortcuts();
     registerFeedShortcuts();
     registerStarShortcuts();
+    registerAudioShortcuts();
 }
\ No newline at end of file
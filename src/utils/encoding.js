@@ -0,0 +1,150 @@
+/**
+ * Character encoding detection for downloaded feeds and pages.
+ *
+ * Feeds are fetched as bytes and decoded here, rather than with
+ * `response.text()`, which always assumes UTF-8. The encoding is taken from,
+ * in order of precedence:
+ * 1. A byte order mark (UTF-8, UTF-16LE or UTF-16BE)
+ * 2. The charset parameter of the Content-Type header
+ * 3. The XML declaration (`<?xml version="1.0" encoding="ISO-8859-1"?>`)
+ * 4. An HTML `<meta charset>` or `http-equiv` declaration, for pages searched for feeds
+ *
+ * Without any of these the body is read as UTF-8, or as windows-1252 if it is
+ * not valid UTF-8, since undeclared legacy feeds are nearly always Latin-1.
+ *
+ * Labels are resolved by `TextDecoder`, following the WHATWG Encoding
+ * Standard: ISO-8859-1 and US-ASCII are read as windows-1252, and unknown
+ * labels are ignored. These helpers have no DOM or Node dependencies and are
+ * shared by the Electron main process and the proxy server.
+ */
+
+// Byte order marks, checked longest first
+const BYTE_ORDER_MARKS = [
+    { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+    { bytes: [0xfe, 0xff], encoding: 'utf-16be' },
+    { bytes: [0xff, 0xfe], encoding: 'utf-16le' }
+];
+
+// How much of the body is searched for an in-document declaration
+const PRESCAN_BYTES = 1024;
+
+// Characters of windows-1252 bytes 0x80 to 0x9F, the range where it differs from ISO-8859-1
+// (unassigned bytes keep their code point)
+const WINDOWS_1252_HIGH = '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f'
+    + '\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178';
+
+// Matches the charset parameter of a Content-Type header
+const CHARSET_PATTERN = /;\s*charset\s*=\s*(?:"([^"]*)"|([^;\s]+))/i;
+
+// Matches the encoding pseudo-attribute of an XML declaration
+const XML_DECLARATION_PATTERN = /^\s*<\?xml\s[^>]*?\bencoding\s*=\s*(?:"([^"]*)"|'([^']*)')/;
+
+// Matches <meta charset="..."> and <meta http-equiv="Content-Type" content="...; charset=...">
+const META_CHARSET_PATTERN = /<meta\s[^>]*?\bcharset\s*=\s*["']?([^"'\s/>;]+)/i;
+
+/**
+ * Resolves an encoding label to the name TextDecoder uses for it.
+ *
+ * @param {string} label - An encoding label, e.g. "ISO-8859-1" or "Shift_JIS"
+ * @returns {string} The encoding's name, or an empty string if it is not supported
+ */
+function resolveEncoding(label) {
+    if (!label) return '';
+    try {
+        return new TextDecoder(label.trim()).encoding;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Finds an encoding declared inside the document. The start of the body is
+ * read byte for byte, which is enough for declarations in any encoding that
+ * keeps ASCII as is.
+ *
+ * @param {Uint8Array} bytes - The body
+ * @returns {string} The declared encoding's name, or an empty string if there is none
+ */
+function findDeclaredEncoding(bytes) {
+    const head = String.fromCharCode(...bytes.subarray(0, PRESCAN_BYTES));
+    const match = head.match(XML_DECLARATION_PATTERN) || head.match(META_CHARSET_PATTERN);
+    const encoding = match ? resolveEncoding(match[1] || match[2]) : '';
+
+    // A UTF-16 declaration readable as ASCII is wrong: the document is not UTF-16
+    return encoding.startsWith('utf-16') ? 'utf-8' : encoding;
+}
+
+/**
+ * Decodes windows-1252, the encoding ISO-8859-1 and US-ASCII labels resolve
+ * to. Done by hand because some Node versions decode it as ISO-8859-1,
+ * losing curly quotes, dashes and the euro sign.
+ *
+ * @param {Uint8Array} bytes - The body
+ * @returns {string} The text
+ */
+function decodeWindows1252(bytes) {
+    let text = '';
+    for (const byte of bytes) {
+        text += byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+    }
+    return text;
+}
+
+/**
+ * Works out how a body is encoded.
+ *
+ * @param {Uint8Array|ArrayBuffer} body - The body as received
+ * @param {string} [contentType] - The Content-Type header
+ * @returns {{encoding: string, source: string}} The encoding's name, and where it was found:
+ *     'bom', 'header', 'document' or 'default'
+ *
+ * @example
+ * detectEncoding(bytes, 'application/rss+xml; charset=ISO-8859-1');
+ * // { encoding: 'windows-1252', source: 'header' }
+ */
+export function detectEncoding(body, contentType = '') {
+    const bytes = body instanceof ArrayBuffer ? new Uint8Array(body) : body;
+
+    const bom = BYTE_ORDER_MARKS.find(mark => mark.bytes.every((byte, index) => bytes[index] === byte));
+    if (bom) {
+        return { encoding: bom.encoding, source: 'bom' };
+    }
+
+    const charset = contentType.match(CHARSET_PATTERN);
+    const headerEncoding = charset ? resolveEncoding(charset[1] || charset[2]) : '';
+    if (headerEncoding) {
+        return { encoding: headerEncoding, source: 'header' };
+    }
+
+    const declared = findDeclaredEncoding(bytes);
+    if (declared) {
+        return { encoding: declared, source: 'document' };
+    }
+
+    return { encoding: 'utf-8', source: 'default' };
+}
+
+/**
+ * Decodes a downloaded feed or page to text, in the encoding it declares.
+ * A byte order mark is removed.
+ *
+ * @param {Uint8Array|ArrayBuffer} body - The body as received
+ * @param {string} [contentType] - The Content-Type header
+ * @returns {string} The text
+ *
+ * @example
+ * const text = decodeBody(new Uint8Array(await response.arrayBuffer()), response.headers.get('content-type'));
+ */
+export function decodeBody(body, contentType = '') {
+    const bytes = body instanceof ArrayBuffer ? new Uint8Array(body) : body;
+    const { encoding, source } = detectEncoding(bytes, contentType);
+
+    if (source === 'default') {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return decodeWindows1252(bytes);
+        }
+    }
+    return encoding === 'windows-1252' ? decodeWindows1252(bytes) : new TextDecoder(encoding).decode(bytes);
+}
@@ -0,0 +1,275 @@
+/**
+ * Feed autodiscovery utilities for KupuKupu.
+ *
+ * Turns whatever URL a user pastes (a feed, or the homepage of a site) into a
+ * list of subscribable feeds:
+ * 1. If the URL already serves a feed, that feed is the only candidate
+ * 2. Otherwise the page's <link rel="alternate"> feed links are collected
+ * 3. If the page declares none, well-known feed paths on the site are probed
+ *
+ * It also finds a website's favicon, for showing next to a feed's items.
+ *
+ * These helpers have no DOM or Node dependencies and are shared by the
+ * renderer and the Electron main process. Fetching is left to the caller.
+ */
+
+// Link types that announce a feed in <link rel="alternate" type="...">
+const FEED_LINK_TYPES = {
+    'application/rss+xml': 'rss',
+    'application/atom+xml': 'atom',
+    'application/rdf+xml': 'rdf',
+    'application/feed+json': 'json',
+    'application/json': 'json'
+};
+
+// Paths commonly used by blogging platforms, tried in order when a page declares no feeds
+export const COMMON_FEED_PATHS = [
+    '/feed',
+    '/rss',
+    '/feed.xml',
+    '/rss.xml',
+    '/atom.xml',
+    '/index.xml',
+    '/feed.json',
+    '/feeds/posts/default'
+];
+
+// Matches a single attribute inside an HTML tag (quoted or unquoted value)
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Reads the attributes of an HTML tag into a lowercase-keyed object.
+ *
+ * @param {string} tag - The tag source, e.g. '<link rel="alternate" href="/feed">'
+ * @returns {Object<string, string>} Attribute values by name
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    const source = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        if (!(name in attributes)) {
+            attributes[name] = decodeHtmlAttribute(match[2] ?? match[3] ?? match[4] ?? '');
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Decodes the entities that commonly appear in attribute values.
+ *
+ * @param {string} value - The raw attribute value
+ * @returns {string} The decoded value
+ */
+function decodeHtmlAttribute(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#([0-9]+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;|&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Resolves a possibly relative URL, returning null if it cannot be resolved.
+ *
+ * @param {string} url - The URL to resolve
+ * @param {string} base - The base URL
+ * @returns {string|null} The absolute http(s) URL
+ */
+function resolveHttpUrl(url, base) {
+    try {
+        const resolved = new URL(url.trim(), base);
+        return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Adds a scheme to URLs typed without one (e.g. "example.com/blog").
+ *
+ * @param {string} url - The URL as entered by the user
+ * @returns {string} The URL with an explicit scheme
+ */
+export function normalizeInputUrl(url) {
+    const trimmed = (url || '').trim();
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+/**
+ * Determines whether a response body is a feed, and which kind.
+ *
+ * @param {string} text - The response body
+ * @param {string} [contentType=''] - The content type reported for the response
+ * @returns {'rss'|'atom'|'rdf'|'json'|null} The feed format, or null if the body is not a feed
+ */
+export function sniffFeedFormat(text, contentType = '') {
+    if (!text) return null;
+    const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+
+    if (trimmed.startsWith('{')) {
+        return /"version"\s*:\s*"https?:\/\/jsonfeed\.org\/version\//.test(trimmed) ? 'json' : null;
+    }
+
+    // HTML pages are never feeds, whatever their markup happens to contain
+    if (/^text\/html\b/i.test(contentType) || /^<!doctype\s+html/i.test(trimmed)) {
+        return null;
+    }
+
+    // Skip the prolog, comments, processing instructions and doctype to find the root element
+    const root = trimmed
+        .replace(/^(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|\s+)*/i, '')
+        .match(/^<([\w.-]+:)?([\w.-]+)/);
+    if (!root) return null;
+
+    switch (root[2].toLowerCase()) {
+        case 'rss': return 'rss';
+        case 'feed': return 'atom';
+        case 'rdf': return 'rdf';
+        default: return null;
+    }
+}
+
+/**
+ * Finds the feeds an HTML page announces through <link rel="alternate">.
+ *
+ * @param {string} html - The page markup
+ * @param {string} pageUrl - The URL the page was fetched from
+ * @returns {Array<{url: string, title: string, format: string}>} Feed candidates, in document order
+ *
+ * @example
+ * findFeedLinks('<link rel="alternate" type="application/rss+xml" href="/feed" title="Posts">', 'https://example.com/');
+ * // [{ url: 'https://example.com/feed', title: 'Posts', format: 'rss' }]
+ */
+export function findFeedLinks(html, pageUrl) {
+    const head = html.split(/<body[\s>]/i)[0];
+
+    // A <base href> changes what relative links resolve against
+    const baseTag = head.match(/<base\s[^>]*>/i);
+    const baseHref = baseTag && parseAttributes(baseTag[0]).href;
+    const base = (baseHref && resolveHttpUrl(baseHref, pageUrl)) || pageUrl;
+
+    const candidates = [];
+    for (const [tag] of head.matchAll(/<link\s[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+        const format = FEED_LINK_TYPES[(attributes.type || '').toLowerCase().split(';')[0].trim()];
+
+        // rel="alternate stylesheet" and friends are not feeds
+        if (!rels.includes('alternate') || rels.includes('stylesheet') || !format || !attributes.href) continue;
+
+        const url = resolveHttpUrl(attributes.href, base);
+        if (url && !candidates.some(candidate => candidate.url === url)) {
+            candidates.push({ url, title: (attributes.title || '').trim(), format });
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Reads a feed's own title, so a feed URL entered directly can be named
+ * without parsing the whole document.
+ *
+ * @param {string} text - The feed document
+ * @param {string} format - The format from sniffFeedFormat
+ * @returns {string} The title, or an empty string
+ */
+export function readFeedTitle(text, format) {
+    if (format === 'json') {
+        try {
+            return (JSON.parse(text).title || '').trim();
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // The first title in an XML feed belongs to the channel (or Atom feed)
+    const match = text.match(/<(?:[\w.-]+:)?title(?:\s[^>]*)?>([\s\S]*?)<\/(?:[\w.-]+:)?title>/i);
+    if (!match) return '';
+    // Titles may be escaped HTML, so markup is stripped after decoding
+    return decodeHtmlAttribute(match[1].trim().replace(/^<!\[CDATA\[|\]\]>$/g, ''))
+        .replace(/<[^>]*>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Finds the best icon a website declares for itself.
+ * Prefers rel="icon"/"shortcut icon" links, then apple-touch-icon, and falls
+ * back to /favicon.ico at the site's origin.
+ *
+ * @param {string} html - The page markup
+ * @param {string} pageUrl - The URL the page was fetched from
+ * @returns {string} The absolute icon URL
+ */
+export function findIconLink(html, pageUrl) {
+    const head = (html || '').split(/<body[\s>]/i)[0];
+    const icons = [];
+
+    for (const [tag] of head.matchAll(/<link\s[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+        const url = attributes.href && resolveHttpUrl(attributes.href, pageUrl);
+        if (!url) continue;
+
+        if (rels.includes('icon')) {
+            icons.push({ url, priority: 0 });
+        } else if (rels.includes('apple-touch-icon')) {
+            icons.push({ url, priority: 1 });
+        }
+    }
+
+    icons.sort((a, b) => a.priority - b.priority);
+    return icons[0]?.url || new URL('/favicon.ico', pageUrl).href;
+}
+
+/**
+ * Discovers the feeds available at a URL.
+ *
+ * @async
+ * @param {string} url - A feed URL or the URL of a website
+ * @param {Function} fetchPage - Fetches a URL, resolving to { body, contentType } or throwing on failure
+ * @returns {Promise<Array<{url: string, title: string, format: string}>>} Feed candidates, possibly empty
+ * @throws {Error} If the URL itself cannot be fetched
+ *
+ * @example
+ * const candidates = await discoverFeeds('example.com', async (url) => {
+ *     const response = await fetch(url);
+ *     return { body: await response.text(), contentType: response.headers.get('content-type') };
+ * });
+ */
+export async function discoverFeeds(url, fetchPage) {
+    const pageUrl = normalizeInputUrl(url);
+    const page = await fetchPage(pageUrl);
+
+    const format = sniffFeedFormat(page.body, page.contentType);
+    if (format) {
+        return [{ url: pageUrl, title: readFeedTitle(page.body, format), format }];
+    }
+
+    const linked = findFeedLinks(page.body || '', pageUrl);
+    if (linked.length > 0) {
+        return linked;
+    }
+
+    // Probe one path at a time and stop at the first hit to stay polite to the site
+    const origin = new URL(pageUrl).origin;
+    for (const path of COMMON_FEED_PATHS) {
+        const candidateUrl = origin + path;
+        try {
+            const candidate = await fetchPage(candidateUrl);
+            const candidateFormat = sniffFeedFormat(candidate.body, candidate.contentType);
+            if (candidateFormat) {
+                return [{ url: candidateUrl, title: readFeedTitle(candidate.body, candidateFormat), format: candidateFormat }];
+            }
+        } catch (error) {
+            // Missing paths are expected while probing
+        }
+    }
+
+    return [];
+}
@@ -16,4 +16,21 @@ export function createHash(str) {
     }
 
     return Math.abs(hash).toString(36);
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a SHA-256 digest of a string using SubtleCrypto.
+ * Unlike createHash this is collision resistant, so it is used where
+ * distinct inputs must never share an identifier (e.g. feed item ids).
+ *
+ * @param {string} str - The string to hash
+ * @returns {Promise<string>} The digest as a 64 character hex string
+ *
+ * @example
+ * const id = await createDigest('https://example.com/post-1');
+ */
+export async function createDigest(str) {
+    const bytes = new TextEncoder().encode(str || '');
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -13,4 +13,6 @@
  */
 
 export { isElectron } from './environment.js';
-export { createHash } from './hash.js';
\ No newline at end of file
+export { createHash, createDigest } from './hash.js';
+export { detectEncoding, decodeBody } from './encoding.js';
+export { canonicalizeUrl } from './url.js';
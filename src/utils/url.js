@@ -0,0 +1,120 @@
+/**
+ * URL canonicalization utilities for KupuKupu.
+ *
+ * The same story is often linked with different URLs: with tracking
+ * parameters added by aggregators and newsletters, over http or https, on
+ * the www. or mobile host, or as its AMP version. Only variants known to
+ * serve the same page are reduced: a path or parameter that could be part of
+ * a different page's address is kept. canonicalizeUrl reduces
+ * such variants to one form, so they can be recognised as the same page.
+ *
+ * The canonical form is for comparing URLs only; links are still opened as
+ * published. These helpers have no DOM or Node dependencies.
+ */
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMETERS = new Set([
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid',
+    '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id', 'rb_clickid', 's_cid',
+    'cmpid', 'ncid', 'ocid', 'sr_share', 'smid', 'ref_src', 'ref_url'
+]);
+
+// Prefixes of tracking parameter families, e.g. utm_source and utm_campaign
+const TRACKING_PARAMETER_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+// Host prefixes that serve the same pages as the bare domain
+const HOST_PREFIXES = /^(www\d*|m|mobile)\./;
+
+// AMP versions of a page: /amp or /amp/ directly after an article slug (a path segment with a
+// hyphen or digit, so /tags/amp stays a page of its own), and .amp.html files
+const AMP_PATH_SUFFIX = /(\/[^/]*[-\d][^/]*)\/amp\/?$/;
+const AMP_FILE_SUFFIX = /\.amp(\.html?)?$/;
+
+// Values of the amp query parameter that ask for a page's AMP version (?amp=1)
+const AMP_PARAMETER_VALUES = new Set(['1', 'true']);
+
+// AMP cache URLs wrapping the original page: https://<domain>.cdn.ampproject.org/c/s/<host>/<path>
+// and https://www.google.com/amp/s/<host>/<path>; "s/" marks an https original
+const AMP_CACHE_PATH = /^\/(?:[cv]\/|amp\/)(s\/)?(.+)$/;
+
+// Directory index pages, which are the same page as the directory
+const INDEX_PAGE = /\/index\.(html?|php)$/;
+
+/**
+ * Checks whether a query parameter only tracks visitors, or asks for the AMP version.
+ *
+ * @param {string} name - The parameter name
+ * @param {string} value - The parameter value
+ * @returns {boolean} True if it can be dropped without changing the page
+ */
+function isTrackingParameter(name, value) {
+    const lowerName = name.toLowerCase();
+    if (lowerName === 'amp') {
+        return AMP_PARAMETER_VALUES.has(value.toLowerCase());
+    }
+    return TRACKING_PARAMETERS.has(lowerName)
+        || TRACKING_PARAMETER_PREFIXES.some(prefix => lowerName.startsWith(prefix));
+}
+
+/**
+ * Finds the page an AMP cache URL serves.
+ *
+ * @param {URL} url - The parsed URL
+ * @returns {string} The original page's URL, or an empty string if this is not an AMP cache URL
+ */
+function unwrapAmpCache(url) {
+    const isCache = url.hostname.endsWith('.cdn.ampproject.org')
+        || (/^(www\.)?google\.[a-z.]+$/.test(url.hostname) && url.pathname.startsWith('/amp/'));
+    const match = isCache && url.pathname.match(AMP_CACHE_PATH);
+    return match ? `${match[1] ? 'https' : 'http'}://${match[2]}${url.search}` : '';
+}
+
+/**
+ * Reduces a URL to a canonical form for comparison:
+ * - The original page for AMP cache URLs
+ * - https, without the default port, credentials or fragment
+ * - Host in lower case, without www., m. or mobile. prefixes
+ * - Path without AMP suffixes after an article slug, index pages, repeated or trailing slashes
+ * - Query without tracking parameters or amp=1, with the rest sorted
+ *
+ * @param {string} url - An absolute URL
+ * @returns {string} The canonical URL, or the input trimmed if it is not an http(s) URL
+ *
+ * @example
+ * canonicalizeUrl('http://www.example.com/news/story/amp/?utm_source=rss&id=4#comments');
+ * // 'https://example.com/news/story?id=4'
+ */
+export function canonicalizeUrl(url) {
+    const input = (url || '').trim();
+    let parsed;
+    try {
+        parsed = new URL(input);
+    } catch (error) {
+        return input;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return input;
+    }
+
+    const ampOriginal = unwrapAmpCache(parsed);
+    if (ampOriginal) {
+        return canonicalizeUrl(ampOriginal);
+    }
+
+    const host = parsed.hostname.replace(HOST_PREFIXES, '');
+    const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+
+    const path = parsed.pathname
+        .replace(/\/{2,}/g, '/')
+        .replace(AMP_PATH_SUFFIX, '$1')
+        .replace(AMP_FILE_SUFFIX, '$1')
+        .replace(INDEX_PAGE, '/')
+        .replace(/\/+$/, '');
+
+    const params = Array.from(parsed.searchParams)
+        .filter(([name, value]) => !isTrackingParameter(name, value))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    return `https://${host}${port}${path || '/'}${query}`;
+}
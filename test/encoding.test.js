@@ -0,0 +1,73 @@
+/**
+ * Encoding detection tests, run against the byte fixtures in
+ * fixtures/encoding: each is stored in the encoding it declares (or in none).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { detectEncoding, decodeBody } from '../src/utils/encoding.js';
+
+/**
+ * Reads an encoding fixture as bytes.
+ * @param {string} name - The file name in fixtures/encoding
+ * @returns {Uint8Array} The bytes
+ */
+function fixture(name) {
+    return new Uint8Array(readFileSync(new URL(`./fixtures/encoding/${name}`, import.meta.url)));
+}
+
+test('Shift_JIS declared in the XML prolog', () => {
+    const bytes = fixture('shift_jis-prolog.xml');
+    assert.deepEqual(detectEncoding(bytes, 'application/rss+xml'), { encoding: 'shift_jis', source: 'document' });
+    assert.match(decodeBody(bytes, 'application/rss+xml'), /<title>日本語のニュース<\/title>/);
+});
+
+test('ISO-8859-1 in the Content-Type header is read as windows-1252', () => {
+    const bytes = fixture('iso-8859-1-header.xml');
+    const contentType = 'application/rss+xml; charset="ISO-8859-1"';
+    assert.deepEqual(detectEncoding(bytes, contentType), { encoding: 'windows-1252', source: 'header' });
+    // Curly quotes, dashes and the euro sign are in the range where the two differ
+    assert.match(decodeBody(bytes, contentType), /<title>Café “news” – €5<\/title>/);
+});
+
+test('The header charset takes precedence over the document', () => {
+    const bytes = fixture('shift_jis-prolog.xml');
+    assert.equal(detectEncoding(bytes, 'text/xml; charset=utf-8').source, 'header');
+});
+
+test('UTF-16 byte order marks, little and big endian', () => {
+    for (const [name, encoding] of [['utf-16le-bom.xml', 'utf-16le'], ['utf-16be-bom.xml', 'utf-16be']]) {
+        const bytes = fixture(name);
+        // The byte order mark outranks even the header
+        assert.deepEqual(detectEncoding(bytes, 'text/xml; charset=utf-8'), { encoding, source: 'bom' });
+
+        const text = decodeBody(bytes);
+        assert.ok(text.startsWith('<?xml'), 'the byte order mark is removed');
+        assert.match(text, /<title>Grüße ✓<\/title>/);
+    }
+});
+
+test('HTML meta charset, for pages searched for feeds', () => {
+    const bytes = fixture('meta-charset.html');
+    assert.deepEqual(detectEncoding(bytes, 'text/html'), { encoding: 'windows-1251', source: 'document' });
+    assert.match(decodeBody(bytes, 'text/html'), /<title>Новости<\/title>/);
+});
+
+test('Undeclared bodies that are not UTF-8 fall back to windows-1252', () => {
+    const bytes = fixture('undeclared-latin1.xml');
+    assert.deepEqual(detectEncoding(bytes), { encoding: 'utf-8', source: 'default' });
+    assert.match(decodeBody(bytes), /<title>Señor Piña’s café<\/title>/);
+});
+
+test('A UTF-16 declaration in a document readable as ASCII means UTF-8', () => {
+    const bytes = fixture('utf-8-declared-utf-16.xml');
+    assert.deepEqual(detectEncoding(bytes), { encoding: 'utf-8', source: 'document' });
+    assert.match(decodeBody(bytes), /<title>Naïve ✓<\/title>/);
+});
+
+test('ArrayBuffers are accepted as well as byte arrays', () => {
+    const bytes = fixture('iso-8859-1-header.xml');
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    assert.equal(decodeBody(buffer, 'text/xml; charset=latin1'), decodeBody(bytes, 'text/xml; charset=latin1'));
+});
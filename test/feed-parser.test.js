@@ -0,0 +1,136 @@
+/**
+ * Feed parser tests, run against the real-world feeds in fixtures/feeds:
+ * RSS 0.91 and 2.0, RSS 1.0 (RDF), Atom 1.0 and JSON Feed 1.0 and 1.1.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseFeed, isJsonFeed } from '../src/assets/js/feed-parser.js';
+
+/**
+ * Reads a feed fixture.
+ * @param {string} name - The file name in fixtures/feeds
+ * @returns {string} The document
+ */
+function fixture(name) {
+    return readFileSync(new URL(`./fixtures/feeds/${name}`, import.meta.url), 'utf8');
+}
+
+test('RSS 0.91: channel, image and entity-encoded descriptions', () => {
+    const { format, channel, items } = parseFeed(fixture('rss-091.xml'), {
+        baseUrl: 'http://www.scripting.com/rss.xml'
+    });
+
+    assert.equal(format, 'rss');
+    assert.equal(channel.title, 'Scripting News');
+    assert.equal(channel.language, 'en-us');
+    assert.equal(channel.image, 'http://www.scripting.com/gifs/tinyScriptingNews.gif');
+    assert.equal(items.length, 2);
+    assert.equal(items[0].link, 'http://www.scripting.com/2000/06/12.html#stuff');
+    assert.equal(items[0].content, 'The <b>first</b> item & its description.');
+    assert.equal(items[0].published, null);
+});
+
+test('RSS 2.0: content:encoded, dc:creator, enclosures and WebSub links', () => {
+    const { channel, items } = parseFeed(fixture('rss-2.0.xml'), {
+        contentType: 'application/rss+xml',
+        baseUrl: 'https://podcast.example/feed.xml'
+    });
+
+    assert.equal(channel.hub, 'https://hub.example/');
+    assert.equal(channel.self, 'https://podcast.example/feed.xml');
+    assert.deepEqual(channel.schedule, { ttl: 60 });
+
+    const [episode, older] = items;
+    assert.equal(episode.id, 'episode-2');
+    assert.equal(episode.link, 'https://podcast.example/episodes/2');
+    assert.equal(episode.author, 'Jane Host');
+    assert.equal(episode.summary, 'Short summary.');
+    assert.match(episode.content, /href="https:\/\/podcast\.example\/notes\/2"/);
+    assert.equal(episode.published, '2025-06-10T04:00:00.000Z');
+    assert.deepEqual(episode.enclosures, [{
+        url: 'https://cdn.podcast.example/ep2.mp3',
+        type: 'audio/mpeg',
+        length: 12345678,
+        title: '',
+        duration: 3723
+    }]);
+
+    assert.equal(older.published, '2025-06-03T02:00:00.000Z');
+    assert.equal(older.content, 'First & foremost.');
+});
+
+test('RSS 1.0 (RDF): items beside the channel, with Dublin Core fields', () => {
+    const { format, channel, items } = parseFeed(fixture('rdf.xml'));
+
+    assert.equal(format, 'rdf');
+    assert.equal(channel.title, 'Example News');
+    assert.equal(channel.language, 'en');
+    assert.deepEqual(items.map(item => item.id), ['https://news.example/1', 'https://news.example/2']);
+    assert.equal(items[0].author, 'Reporter One');
+    assert.equal(items[0].published, '2025-06-10T08:00:00.000Z');
+});
+
+test('Atom 1.0: xml:base, XHTML content, enclosures and feed-level authors', () => {
+    const { format, channel, items } = parseFeed(fixture('atom.xml'), {
+        baseUrl: 'https://blog.example/atom.xml'
+    });
+
+    assert.equal(format, 'atom');
+    assert.equal(channel.link, 'https://blog.example/');
+    assert.equal(channel.description, 'Notes and essays');
+    assert.equal(channel.icon, 'https://blog.example/favicon.ico');
+    assert.equal(channel.self, 'https://blog.example/atom.xml');
+
+    const [first, second] = items;
+    assert.equal(first.title, 'Atom & XHTML');
+    assert.equal(first.link, 'https://blog.example/posts/atom-xhtml');
+    assert.equal(first.author, 'Ann Author');
+    assert.equal(first.content, '<p>An <em>inline</em> image: <img src="https://blog.example/img/a.png" alt=""></p>');
+    assert.equal(first.enclosures[0].url, 'https://blog.example/media/talk.mp3');
+
+    // The entry's own xml:base and author take precedence
+    assert.equal(second.link, 'https://other.example/archive/second');
+    assert.equal(second.author, 'Guest Writer');
+    assert.equal(second.content, 'Only a summary.');
+});
+
+test('JSON Feed 1.1: null items, authors and attachments are skipped', () => {
+    const text = fixture('json-feed-1.1.json');
+    assert.ok(isJsonFeed(text, 'application/feed+json'));
+
+    const { format, channel, items } = parseFeed(text, {
+        contentType: 'application/feed+json',
+        baseUrl: 'https://json.example/feed.json'
+    });
+
+    assert.equal(format, 'json');
+    assert.equal(channel.hub, 'https://hub.example/');
+    assert.equal(channel.image, 'https://json.example/icon.png');
+
+    assert.equal(items.length, 2);
+    const [plain, html] = items;
+    assert.equal(plain.id, '2');
+    assert.equal(plain.author, 'Item Author');
+    assert.equal(plain.content, 'Line one<br>Line &lt;two&gt;');
+    assert.equal(plain.summary, 'A summary');
+    assert.deepEqual(plain.enclosures.map(enclosure => enclosure.url), ['https://json.example/a.mp3']);
+
+    assert.equal(html.author, 'Feed Author');
+    assert.equal(html.content, '<p>Hello <a href="https://json.example/x">x</a></p>');
+});
+
+test('JSON Feed 1.0: single author object and external URLs', () => {
+    const { items } = parseFeed(fixture('json-feed-1.0.json'), {
+        baseUrl: 'https://legacy.example/feed.json'
+    });
+
+    assert.equal(items[0].author, 'Solo Author');
+    assert.equal(items[0].link, 'https://elsewhere.example/story');
+});
+
+test('Unrecognized documents are reported as parsing errors', () => {
+    assert.throws(() => parseFeed('<html><body></body></html>'), /Feed parsing error/);
+    assert.throws(() => parseFeed('{"items": 1}', { contentType: 'application/json' }), /JSON Feed parsing error/);
+});
@@ -0,0 +1,149 @@
+/**
+ * HTML sanitizer tests: a corpus of XSS payloads, none of which may survive
+ * with anything executable, and the rewriting of links to open externally.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml } from '../src/assets/js/html-sanitizer.js';
+import { decodeEntities } from '../src/assets/js/xml-parser.js';
+
+const baseUrl = 'https://feed.example/posts/';
+
+// Anything in sanitized output that could run script or submit a form
+const DANGEROUS = /javascript:|vbscript:|data:(?!image\/(png|gif|jpe?g|webp))|formaction|<(script|style|svg|math|iframe|object|embed|form|button|input|base|meta|noscript)\b/i;
+
+// Event handler and style attributes, looked for in markup with attribute values blanked out
+const DANGEROUS_ATTRIBUTE = /[\s/](on[a-z]+|style)\s*=/i;
+
+// URL schemes sanitized output may link to
+const SAFE_URL = /^(https?:|mailto:|data:image\/(png|gif|jpe?g|webp);)/i;
+
+/**
+ * Returns the URLs in sanitized output as a browser reads them: entities
+ * decoded, and whitespace and control characters removed.
+ * @param {string} html - Sanitized HTML
+ * @returns {Array<string>} The href, src and srcset values
+ */
+function urlsIn(html) {
+    return Array.from(html.matchAll(/\s(?:href|src|srcset)="([^"]*)"/g), ([, value]) =>
+        decodeEntities(value).replace(/&(Tab|NewLine);/g, '').replace(/[\u0000-\u0020]/g, ''));
+}
+
+// Payloads by what they try, each of which must come out harmless
+const PAYLOADS = {
+    'javascript: URLs, with entities and control characters': [
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="JaVaScRiPt:alert(1)">x</a>',
+        '<a href="&#106;avascript:alert(1)">x</a>',
+        '<a href="&#x6A;&#x61;vascript&#58;alert(1)">x</a>',
+        '<a href="&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)">x</a>',
+        '<a href="java\tscript:alert(1)">x</a>',
+        '<a href="java&#x09;script:alert(1)">x</a>',
+        '<a href="java&#x0A;script:alert(1)">x</a>',
+        '<a href="java&NewLine;script:alert(1)">x</a>',
+        '<a href="\u0001javascript:alert(1)">x</a>',
+        '<a href=" \u0000 javascript:alert(1)">x</a>',
+        '<a href="vbscript:msgbox(1)">x</a>',
+        '<img src="javascript:alert(1)">',
+        '<img src="x" srcset="javascript:alert(1) 1x">',
+        '<iframe src="javascript:alert(1)"></iframe>'
+    ],
+    'data: URLs': [
+        '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+        '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+        '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9ImFsZXJ0KDEpIi8+">',
+        '<img src="data:image/svg+xml,<svg onload=alert(1)>">'
+    ],
+    'event handlers': [
+        '<img src=x onerror=alert(1)>',
+        '<p onclick="alert(1)" ONMOUSEOVER=alert(2)>x</p>',
+        '<a href="https://ok.example/" onfocus="alert(1)" autofocus>x</a>',
+        '<details open ontoggle=alert(1)>x</details>',
+        '<video><source onerror="alert(1)"></video>',
+        '<body onload=alert(1)>x</body>',
+        '<img src=x/onerror=alert(1)>',
+        '<img """><script>alert(1)</script>">'
+    ],
+    'form submission': [
+        '<form action="javascript:alert(1)"><input type="submit"></form>',
+        '<button formaction="javascript:alert(1)">x</button>',
+        '<input type="image" formaction="javascript:alert(1)" src="x">',
+        '<isindex action="javascript:alert(1)" type="image">'
+    ],
+    'svg, math and noscript mutation XSS': [
+        '<svg><script>alert(1)</script></svg>',
+        '<svg onload=alert(1)>',
+        '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+        '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+        '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+        '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+        '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+        '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+        '<template><script>alert(1)</script></template>'
+    ],
+    'script and style': [
+        '<script>alert(1)</script>',
+        '<SCRIPT SRC=https://evil.example/x.js></SCRIPT>',
+        '<<script>script>alert(1)<</script>/script>',
+        '<script>alert(1)',
+        '<style>@import "javascript:alert(1)";</style>',
+        '<p style="background:url(javascript:alert(1))">x</p>',
+        '<div style="width: expression(alert(1))">x</div>',
+        '<!--<img src=x onerror=alert(1)>-->',
+        '<![CDATA[<script>alert(1)</script>]]>'
+    ],
+    'document-level elements': [
+        '<base href="javascript:alert(1)//">',
+        '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+        '<link rel="stylesheet" href="javascript:alert(1)">',
+        '<object data="javascript:alert(1)"></object>',
+        '<embed src="javascript:alert(1)">'
+    ]
+};
+
+for (const [kind, payloads] of Object.entries(PAYLOADS)) {
+    test(`XSS corpus: ${kind}`, () => {
+        for (const payload of payloads) {
+            const output = sanitizeHtml(payload, { baseUrl });
+            assert.doesNotMatch(output, DANGEROUS, `${payload} became ${output}`);
+            assert.doesNotMatch(output.replace(/"[^"]*"/g, '""'), DANGEROUS_ATTRIBUTE, `${payload} became ${output}`);
+            for (const url of urlsIn(output)) {
+                assert.match(url, SAFE_URL, `${payload} became ${output}`);
+            }
+        }
+    });
+}
+
+test('Text content around removed elements is kept', () => {
+    assert.equal(sanitizeHtml('<script>alert(1)</script>after'), 'after');
+    assert.equal(sanitizeHtml('<p onclick="alert(1)">kept</p>'), '<p>kept</p>');
+    assert.equal(sanitizeHtml('<font color="red">unwrapped</font>'), 'unwrapped');
+});
+
+test('Inline raster images are allowed', () => {
+    const output = sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=" alt="">');
+    assert.match(output, /^<img src="data:image\/png;base64,iVBORw0KGgo="/);
+});
+
+test('Links open externally, without referrer or opener', () => {
+    assert.equal(
+        sanitizeHtml('<a href="https://example.com/" target="_self" rel="opener">x</a>'),
+        '<a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">x</a>'
+    );
+    assert.equal(
+        sanitizeHtml('<a href="mailto:someone@example.com">mail</a>'),
+        '<a href="mailto:someone@example.com" target="_blank" rel="noopener noreferrer nofollow">mail</a>'
+    );
+});
+
+test('Relative URLs resolve against the base URL', () => {
+    assert.equal(
+        sanitizeHtml('<a href="../about">x</a>', { baseUrl }),
+        '<a href="https://feed.example/about" target="_blank" rel="noopener noreferrer nofollow">x</a>'
+    );
+});
+
+test('Tracking pixels are removed', () => {
+    assert.equal(sanitizeHtml('<img src="https://t.example/p.gif" width="1" height="1">'), '');
+});
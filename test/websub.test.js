@@ -0,0 +1,171 @@
+/**
+ * WebSub subscriber tests: a stand-in hub on an ephemeral port receives the
+ * subscription, then drives the subscriber's callback endpoint through intent
+ * verification and signed pushes.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHmac } from 'node:crypto';
+import { WebSubSubscriber, verifySignature, isLoopbackUrl } from '../src/ipc/websub.js';
+
+const TOPIC = 'http://127.0.0.1/feed.xml';
+const FEED = '<feed xmlns="http://www.w3.org/2005/Atom"><title>Pushed</title></feed>';
+
+// Subscription requests received by the hub, as URLSearchParams
+const requests = [];
+// Content passed on by the subscriber
+const delivered = [];
+
+let hub;
+let subscriber;
+
+before(async () => {
+    hub = http.createServer(async (request, response) => {
+        let body = '';
+        for await (const chunk of request) body += chunk;
+        requests.push(new URLSearchParams(body));
+        response.writeHead(202);
+        response.end();
+    });
+    await new Promise(resolve => hub.listen(0, '127.0.0.1', resolve));
+
+    subscriber = new WebSubSubscriber({ port: 0, onContent: content => delivered.push(content) });
+});
+
+after(async () => {
+    await subscriber.stop();
+    await new Promise(resolve => hub.close(resolve));
+});
+
+/**
+ * Sends a request to the subscriber's callback endpoint.
+ * @param {string} method - GET or POST
+ * @param {string} path - Path and query string
+ * @param {Object} [options] - Request headers and body
+ * @returns {Promise<{status: number, body: string}>} The response
+ */
+async function callback(method, path, { headers = {}, body } = {}) {
+    const response = await fetch(`http://127.0.0.1:${subscriber.server.address().port}${path}`, { method, headers, body });
+    return { status: response.status, body: await response.text() };
+}
+
+/**
+ * Builds a verification request's query string.
+ * @param {Object} params - The hub.* parameters
+ * @returns {string} The path with its query string
+ */
+function verification(params) {
+    return `/websub/feed-1?${new URLSearchParams(params)}`;
+}
+
+/**
+ * Signs content as a hub does.
+ * @param {string} secret - The subscription's secret
+ * @param {string} body - The content
+ * @returns {string} The X-Hub-Signature value
+ */
+function sign(secret, body) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+test('Subscribing sends the callback, topic, secret and lease to the hub', async () => {
+    const hubUrl = `http://127.0.0.1:${hub.address().port}/`;
+    const status = await subscriber.subscribe({ feedId: 'feed-1', topic: TOPIC, hub: hubUrl });
+
+    assert.equal(status.state, 'pending');
+    assert.equal(requests.length, 1);
+    const [params] = requests;
+    assert.equal(params.get('hub.mode'), 'subscribe');
+    assert.equal(params.get('hub.topic'), TOPIC);
+    assert.equal(params.get('hub.callback'), subscriber.getCallbackUrl('feed-1'));
+    assert.match(params.get('hub.secret'), /^[0-9a-f]{64}$/);
+    assert.equal(params.get('hub.lease_seconds'), String(10 * 24 * 60 * 60));
+
+    // A second request while the hub has not verified yet is not sent
+    await subscriber.subscribe({ feedId: 'feed-1', topic: TOPIC, hub: hubUrl });
+    assert.equal(requests.length, 1);
+});
+
+test('Verification for another topic or mode is rejected', async () => {
+    const wrongTopic = await callback('GET', verification({
+        'hub.mode': 'subscribe', 'hub.topic': 'http://127.0.0.1/other.xml', 'hub.challenge': 'abc'
+    }));
+    assert.equal(wrongTopic.status, 404);
+
+    const wrongMode = await callback('GET', verification({
+        'hub.mode': 'unsubscribe', 'hub.topic': TOPIC, 'hub.challenge': 'abc'
+    }));
+    assert.equal(wrongMode.status, 404);
+
+    const unknownFeed = await callback('GET', `/websub/feed-2?${new URLSearchParams({
+        'hub.mode': 'subscribe', 'hub.topic': TOPIC, 'hub.challenge': 'abc'
+    })}`);
+    assert.equal(unknownFeed.status, 404);
+
+    assert.equal(subscriber.getStatus('feed-1').state, 'pending');
+});
+
+test('Verification of the subscription echoes the challenge', async () => {
+    const response = await callback('GET', verification({
+        'hub.mode': 'subscribe', 'hub.topic': TOPIC, 'hub.challenge': 'challenge-123', 'hub.lease_seconds': '3600'
+    }));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body, 'challenge-123');
+    const status = subscriber.getStatus('feed-1');
+    assert.equal(status.state, 'active');
+    assert.ok(Math.abs(status.leaseExpires - (Date.now() + 3600 * 1000)) < 5000);
+});
+
+test('Signed pushes are passed on; unsigned and wrongly signed ones are not', async () => {
+    const secret = requests[0].get('hub.secret');
+    const headers = { 'Content-Type': 'application/atom+xml' };
+
+    const signed = await callback('POST', '/websub/feed-1', {
+        headers: { ...headers, 'X-Hub-Signature': sign(secret, FEED) },
+        body: FEED
+    });
+    assert.equal(signed.status, 202);
+    assert.equal(delivered.length, 1);
+    assert.deepEqual(delivered[0], { feedId: 'feed-1', topic: TOPIC, body: FEED, contentType: 'application/atom+xml' });
+
+    // Hubs get a 2xx either way, so they do not retry
+    const badlySigned = await callback('POST', '/websub/feed-1', {
+        headers: { ...headers, 'X-Hub-Signature': sign(`${secret}-wrong`, FEED) },
+        body: FEED
+    });
+    const unsigned = await callback('POST', '/websub/feed-1', { headers, body: FEED });
+    assert.equal(badlySigned.status, 202);
+    assert.equal(unsigned.status, 202);
+    assert.equal(delivered.length, 1);
+});
+
+test('Hubs that cannot reach the callback or be trusted with the secret are skipped', async () => {
+    const local = new WebSubSubscriber({ port: 0, onContent() {} });
+    assert.equal(await local.subscribe({ feedId: 'a', topic: TOPIC, hub: 'https://hub.example/' }), null);
+    assert.equal(local.server, null);
+
+    const forwarded = new WebSubSubscriber({ port: 0, callbackUrl: 'https://reader.example', onContent() {} });
+    assert.equal(forwarded.canSubscribe('https://hub.example/'), true);
+    assert.equal(forwarded.canSubscribe('http://hub.example/'), false);
+});
+
+test('verifySignature accepts known algorithms only', () => {
+    const body = Buffer.from(FEED);
+    const digest = createHmac('sha1', 'secret').update(body).digest('hex');
+
+    assert.equal(verifySignature(`sha1=${digest}`, 'secret', body), true);
+    assert.equal(verifySignature(`md5=${digest}`, 'secret', body), false);
+    assert.equal(verifySignature(`sha1=${digest.slice(2)}`, 'secret', body), false);
+    assert.equal(verifySignature(undefined, 'secret', body), false);
+});
+
+test('isLoopbackUrl recognizes this machine', () => {
+    assert.equal(isLoopbackUrl('http://localhost:9799/'), true);
+    assert.equal(isLoopbackUrl('http://127.0.0.53/'), true);
+    assert.equal(isLoopbackUrl('http://[::1]/'), true);
+    assert.equal(isLoopbackUrl('http://127.example/'), false);
+    assert.equal(isLoopbackUrl('https://hub.example/'), false);
+});
@@ -0,0 +1,54 @@
+/**
+ * XML parser tests: namespaces, entities, CDATA and malformed documents.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseXml,
+    decodeEntities,
+    escapeXml,
+    firstChild,
+    getAttribute,
+    textContent,
+    XML_NAMESPACE
+} from '../src/assets/js/xml-parser.js';
+
+test('Elements and attributes are resolved to their namespaces', () => {
+    const root = parseXml(
+        '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:m="urn:media" xml:lang="en">'
+        + '<m:content url="a.mp3"/></feed>'
+    );
+
+    assert.equal(root.namespace, 'http://www.w3.org/2005/Atom');
+    assert.equal(getAttribute(root, 'lang', XML_NAMESPACE), 'en');
+    const media = firstChild(root, 'urn:media', 'content');
+    assert.equal(media.prefix, 'm');
+    assert.equal(getAttribute(media, 'url'), 'a.mp3');
+});
+
+test('Text keeps CDATA as is and decodes entities elsewhere', () => {
+    const root = parseXml('<a>&lt;b&gt; &amp; &#233;&#x20AC; <![CDATA[<i>&amp;</i>]]><!-- note --></a>');
+    assert.equal(textContent(root), '<b> & é€ <i>&amp;</i>');
+});
+
+test('DOCTYPE declarations, processing instructions and unknown entities are tolerated', () => {
+    const root = parseXml(
+        '<?xml version="1.0"?><!DOCTYPE rss [<!ENTITY x "y">]><?xml-stylesheet href="s.xsl"?>'
+        + '<rss>a&nbsp;b</rss>'
+    );
+    assert.equal(root.name, 'rss');
+    assert.equal(textContent(root), 'a&nbsp;b');
+});
+
+test('Malformed documents throw', () => {
+    assert.throws(() => parseXml('<rss><channel></rss>'));
+    assert.throws(() => parseXml(''));
+});
+
+test('decodeEntities and escapeXml round-trip markup characters', () => {
+    const text = '<a href="x">Tom & "Jerry"\'s</a>';
+    assert.equal(decodeEntities(escapeXml(text)), text);
+    // Code points beyond Unicode are left as written
+    assert.equal(decodeEntities('&#x110000;'), '&#x110000;');
+});
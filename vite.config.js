@@ -25,7 +25,8 @@ export default {
     rollupOptions: {
       input: {
         main: 'src/pages/index.html',
-        settings: 'src/pages/settings.html'
+        settings: 'src/pages/settings.html',
+        health: 'src/pages/health.html'
       }
     }
   }